@@ -6,12 +6,26 @@ const path = require("path");
 const { 
   processRoutes, 
   processSinglePage, 
+  crawlSite,
   loadRoutesFromFile,
+  clearHttpCache,
   VALID_FORMATS, 
   DEFAULT_FORMAT,
+  DEFAULT_BASE_URL,
+  loadProfiles,
   isValidUrl
 } = require("./src/core");
 const logger = require("./utils/logger");
+const {
+  DEFAULT_CONFIG_FILE,
+  parseCookies,
+  mergeRequestOptions,
+  loadRequestConfig,
+} = require("./utils/requestOptions");
+const { CONTENT_STRATEGIES } = require("./utils/contentProcessor");
+const { TEXT_MODES } = require("./utils/plainText");
+const { JSON_MARKDOWN_MODES } = require("./utils/jsonContent");
+const { FRONT_MATTER_FIELDS } = require("./utils/frontMatter");
 const { 
   displayBanner, 
   displayError, 
@@ -19,19 +33,329 @@ const {
   colors 
 } = require("./src/ui/display");
 
+// Flags that take a value (e.g. --since 2024-01-01)
+const VALUE_FLAGS = [
+  "--banner",
+  "--sitemap-url", "--since", "--prefix", "--match",
+  "--depth", "--max-pages", "--include", "--exclude",
+  "--concurrency", "--max-per-host", "--delay", "--jitter",
+  "--retries", "--retry-delay",
+  "--cache-dir", "--cache-ttl",
+  "--config", "--header", "--cookie", "--proxy", "--ca",
+  "--timeout", "--max-redirects", "--user-agent",
+  "--content-strategy", "--profiles",
+  "--max-image-size", "--image-types",
+  "--text-mode", "--wrap", "--json-markdown",
+  "--lang",
+  "--boilerplate-share", "--boilerplate-min-pages",
+  "--front-matter-fields",
+];
+
+// Value flags that may be given more than once (collected into arrays)
+const REPEATABLE_FLAGS = ["--header", "--cookie"];
+
+/**
+ * Separate --flags from positional command line arguments
+ * @param {string[]} argv - Raw command line arguments
+ * @returns {Object} - { flags, args } where flags maps flag names to values
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const args = [];
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    
+    const name = arg.slice(2);
+    if (REPEATABLE_FLAGS.includes(arg) && i + 1 < argv.length) {
+      flags[name] = [...(flags[name] || []), argv[++i]];
+    } else if (VALUE_FLAGS.includes(arg) && i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  
+  return { flags, args };
+}
+
+/**
+ * Parse a flag that must be a non-negative integer
+ * @param {Object} flags - Flags returned by parseArgs
+ * @param {string} flag - Flag name without the leading dashes
+ * @returns {number} - The parsed value
+ */
+function parseCountFlag(flags, flag) {
+  const value = parseInt(flags[flag], 10);
+  if (isNaN(value) || value < 0) {
+    throw new Error(`Invalid value for --${flag}: ${flags[flag]}`);
+  }
+  return value;
+}
+
+/**
+ * Build worker pool, politeness, retry, cache and extraction options from command line flags
+ * @param {Object} flags - Flags returned by parseArgs
+ * @returns {Object} - Options for processRoutes/crawlSite
+ */
+function getRunOptions(flags) {
+  const runOptions = {};
+  const numericFlags = {
+    concurrency: 'concurrency',
+    'max-per-host': 'maxPerHost',
+    delay: 'hostDelay',
+    jitter: 'hostJitter',
+    retries: 'retries',
+    'retry-delay': 'retryDelay',
+    'cache-ttl': 'cacheTtl',
+  };
+  
+  for (const [flag, option] of Object.entries(numericFlags)) {
+    if (flags[flag] === undefined) continue;
+    runOptions[option] = parseCountFlag(flags, flag);
+  }
+  
+  // Only for sites we own: skip robots.txt and meta robots checks
+  if (flags['ignore-robots']) {
+    runOptions.ignoreRobots = true;
+  }
+  
+  // Continue the previous run recorded in output/manifest.json
+  if (flags.resume) {
+    runOptions.resume = true;
+  }
+  
+  // Same-page #anchors stay local links in markdown instead of absolute URLs
+  if (flags['keep-anchors']) {
+    runOptions.keepAnchors = true;
+  }
+  
+  // Save content images locally; a size cap or type list implies downloading
+  if (flags['download-images'] || flags['max-image-size'] !== undefined || flags['image-types'] !== undefined) {
+    const images = {};
+    if (flags['max-image-size'] !== undefined) {
+      images.maxBytes = parseCountFlag(flags, 'max-image-size');
+    }
+    if (flags['image-types'] !== undefined) {
+      images.types = String(flags['image-types']).split(',').map((type) => type.trim()).filter(Boolean);
+      if (images.types.length === 0) {
+        throw new Error(`Invalid value for --image-types: ${flags['image-types']}`);
+      }
+    }
+    runOptions.images = images;
+  }
+  
+  // Layout of the plain text output
+  if (flags['text-mode'] !== undefined) {
+    if (!TEXT_MODES.includes(flags['text-mode'])) {
+      throw new Error(`Invalid value for --text-mode (expected ${TEXT_MODES.join(' or ')}): ${flags['text-mode']}`);
+    }
+    runOptions.textMode = flags['text-mode'];
+  }
+  if (flags.wrap !== undefined) {
+    runOptions.wrap = parseCountFlag(flags, 'wrap');
+  }
+  
+  // Markdown for JSON responses: readable sections and tables, or the raw JSON
+  if (flags['json-markdown'] !== undefined) {
+    if (!JSON_MARKDOWN_MODES.includes(flags['json-markdown'])) {
+      throw new Error(`Invalid value for --json-markdown (expected ${JSON_MARKDOWN_MODES.join(' or ')}): ${flags['json-markdown']}`);
+    }
+    runOptions.jsonMarkdown = flags['json-markdown'];
+  }
+  
+  // Table of contents at the top of the markdown, linking to the headings
+  if (flags.toc) {
+    runOptions.toc = true;
+  }
+  
+  // YAML front matter at the top of markdown files; a field list implies it
+  if (flags['front-matter-fields'] !== undefined) {
+    const fields = String(flags['front-matter-fields']).split(',').map((field) => field.trim()).filter(Boolean);
+    const unknown = fields.find((field) => !FRONT_MATTER_FIELDS.includes(field));
+    if (fields.length === 0 || unknown !== undefined) {
+      throw new Error(`Invalid value for --front-matter-fields (expected fields from ${FRONT_MATTER_FIELDS.join(', ')}): ${flags['front-matter-fields']}`);
+    }
+    runOptions.frontMatter = fields;
+  } else if (flags['front-matter']) {
+    runOptions.frontMatter = true;
+  }
+  
+  // Only write pages in these languages, declared or detected
+  if (flags.lang !== undefined) {
+    runOptions.languages = String(flags.lang).split(',').map((language) => language.trim()).filter(Boolean);
+    if (runOptions.languages.length === 0) {
+      throw new Error(`Invalid value for --lang: ${flags.lang}`);
+    }
+  }
+  
+  // Strip text blocks repeated across the run's pages; either threshold implies it
+  if (flags['remove-boilerplate'] || flags['boilerplate-share'] !== undefined || flags['boilerplate-min-pages'] !== undefined) {
+    const boilerplate = {};
+    if (flags['boilerplate-share'] !== undefined) {
+      const percent = parseCountFlag(flags, 'boilerplate-share');
+      if (percent === 0 || percent > 100) {
+        throw new Error(`Invalid value for --boilerplate-share (expected a percentage from 1 to 100): ${flags['boilerplate-share']}`);
+      }
+      boilerplate.minShare = percent / 100;
+    }
+    if (flags['boilerplate-min-pages'] !== undefined) {
+      boilerplate.minPages = parseCountFlag(flags, 'boilerplate-min-pages');
+    }
+    runOptions.boilerplate = boilerplate;
+  }
+  
+  // How the main content block of each page is found
+  if (flags['content-strategy'] !== undefined) {
+    if (!CONTENT_STRATEGIES.includes(flags['content-strategy'])) {
+      throw new Error(`Invalid value for --content-strategy (expected ${CONTENT_STRATEGIES.join(' or ')}): ${flags['content-strategy']}`);
+    }
+    runOptions.contentStrategy = flags['content-strategy'];
+  }
+  
+  // Like the API, responses are only cached between runs when asked to:
+  // --cache, or a cache directory or TTL
+  const { cacheTtl, ...options } = runOptions;
+  const useCache = flags.cache || flags['cache-dir'] !== undefined || cacheTtl !== undefined;
+  options.cache = useCache ? { dir: flags['cache-dir'], ttl: cacheTtl } : false;
+  
+  return options;
+}
+
+/**
+ * Build request options from the config file and command line flags
+ *
+ * The config file (--config, or scoopit.config.json if present) can set
+ * options per host; flags apply to every host and win over the file.
+ *
+ * @param {Object} flags - Flags returned by parseArgs
+ * @returns {Promise<Object>} - Request options for processRoutes/crawlSite
+ */
+async function getRequestOptions(flags) {
+  const configFile =
+    flags.config || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  const fileOptions = configFile ? await loadRequestConfig(configFile) : {};
+  
+  const flagOptions = { headers: {}, cookies: {} };
+  for (const header of flags.header || []) {
+    const separator = header.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid value for --header (expected "Name: value"): ${header}`);
+    }
+    flagOptions.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  }
+  for (const cookie of flags.cookie || []) {
+    Object.assign(flagOptions.cookies, parseCookies(cookie));
+  }
+  
+  if (flags.proxy) flagOptions.proxy = flags.proxy;
+  if (flags.ca) flagOptions.ca = path.resolve(flags.ca);
+  if (flags.insecure) flagOptions.insecure = true;
+  if (flags['cookie-jar']) flagOptions.cookieJar = true;
+  if (flags['user-agent']) flagOptions.userAgent = flags['user-agent'];
+  if (flags.timeout !== undefined) flagOptions.timeout = parseCountFlag(flags, 'timeout');
+  if (flags['max-redirects'] !== undefined) {
+    flagOptions.maxRedirects = parseCountFlag(flags, 'max-redirects');
+  }
+  
+  return mergeRequestOptions(fileOptions, flagOptions);
+}
+
+/**
+ * Load extraction profiles from the config file and --profiles
+ *
+ * Profiles in the --profiles file replace config file profiles with the
+ * same key.
+ *
+ * @param {Object} flags - Flags returned by parseArgs
+ * @returns {Promise<Object>} - Profiles for processRoutes/crawlSite
+ */
+async function getProfiles(flags) {
+  const configFile =
+    flags.config || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  const configProfiles = configFile ? await loadProfiles(configFile) : {};
+  const fileProfiles = flags.profiles ? await loadProfiles(flags.profiles) : {};
+  
+  return { ...configProfiles, ...fileProfiles };
+}
+
 /**
  * Validate command line arguments and process accordingly
  * @returns {Promise<boolean>} - True if arguments were processed, false if interactive mode should be used
  */
 async function processCommandLineArgs() {
-  const args = process.argv.slice(2);
+  const { flags, args } = parseArgs(process.argv.slice(2));
+  
+  // Clear the HTTP cache and exit
+  if (flags['clear-cache']) {
+    await clearHttpCache({ dir: flags['cache-dir'] });
+    console.log(`${colors.green}${colors.bright}✓ HTTP cache cleared${colors.reset}`);
+    return true;
+  }
   
   // No arguments - use interactive mode
-  if (args.length === 0) {
+  if (args.length === 0 && !flags.sitemap && !flags.crawl) {
     return false;
   }
   
   try {
+    const runOptions = getRunOptions(flags);
+    runOptions.request = await getRequestOptions(flags);
+    runOptions.profiles = await getProfiles(flags);
+    
+    // Discover routes from the site's sitemap
+    if (flags.sitemap) {
+      const baseUrl = args.find((arg) => isValidUrl(arg)) || DEFAULT_BASE_URL;
+      const format = args.find((arg) => VALID_FORMATS.includes(arg)) || DEFAULT_FORMAT;
+      const sitemap = {
+        url: flags['sitemap-url'],
+        since: flags.since,
+        prefix: flags.prefix,
+        pattern: flags.match,
+      };
+      
+      console.log(`${colors.cyan}${colors.bright}Processing routes from sitemap: ${sitemap.url || `${baseUrl}/sitemap.xml`}${colors.reset}`);
+      console.log(`${colors.dim}Output format: ${format}${colors.reset}\n`);
+      
+      const results = await processRoutes({ baseUrl, format, sitemap, ...runOptions });
+      console.log(`\n${colors.green}${colors.bright}✓ Successfully processed ${results.length} routes from sitemap${colors.reset}`);
+      console.log(`${colors.dim}Output files are available in the 'output' directory.${colors.reset}`);
+      return true;
+    }
+    
+    // Crawl the site by following links from the given URL
+    if (flags.crawl) {
+      const startUrl = new URL(args.find((arg) => isValidUrl(arg)) || DEFAULT_BASE_URL);
+      const format = args.find((arg) => VALID_FORMATS.includes(arg)) || DEFAULT_FORMAT;
+      const crawlOptions = {
+        baseUrl: startUrl.origin,
+        seeds: [`${startUrl.pathname}${startUrl.search}`],
+        format,
+        include: flags.include,
+        exclude: flags.exclude,
+        ...runOptions,
+      };
+      if (flags.depth !== undefined) crawlOptions.maxDepth = parseCountFlag(flags, 'depth');
+      if (flags['max-pages'] !== undefined) {
+        crawlOptions.maxPages = parseCountFlag(flags, 'max-pages');
+        if (crawlOptions.maxPages === 0) {
+          throw new Error(`Invalid value for --max-pages (expected at least 1): ${flags['max-pages']}`);
+        }
+      }
+      
+      console.log(`${colors.cyan}${colors.bright}Crawling from: ${startUrl}${colors.reset}`);
+      console.log(`${colors.dim}Output format: ${format}${colors.reset}\n`);
+      
+      const results = await crawlSite(crawlOptions);
+      console.log(`\n${colors.green}${colors.bright}✓ Successfully crawled ${results.length} pages${colors.reset}`);
+      console.log(`${colors.dim}Output files are available in the 'output' directory.${colors.reset}`);
+      return true;
+    }
+    
     // Check if the first argument is a URL
     if (isValidUrl(args[0])) {
       const url = args[0];
@@ -40,7 +364,16 @@ async function processCommandLineArgs() {
       console.log(`${colors.cyan}${colors.bright}Processing single page: ${url}${colors.reset}`);
       console.log(`${colors.dim}Output format: ${format}${colors.reset}\n`);
       
-      await processSinglePage(url, format);
+      const result = await processSinglePage(url, format, runOptions);
+      if (result && result.skipped) {
+        console.log(`\n${colors.yellow}Skipped page (${result.reason}): ${url}${colors.reset}`);
+        if (result.reason === 'robots_disallowed' || result.reason === 'noindex') {
+          console.log(`${colors.dim}Use --ignore-robots for sites you own.${colors.reset}`);
+        } else if (result.reason === 'language') {
+          console.log(`${colors.dim}The page is in ${result.language || 'an unknown language'}; change or drop --lang to keep it.${colors.reset}`);
+        }
+        return true;
+      }
       console.log(`\n${colors.green}${colors.bright}✓ Successfully processed page: ${url}${colors.reset}`);
       console.log(`${colors.dim}Output files are available in the 'output' directory.${colors.reset}`);
       return true;
@@ -63,7 +396,7 @@ async function processCommandLineArgs() {
       console.log(`${colors.dim}Base URL: ${baseUrl || 'Default'}${colors.reset}`);
       console.log(`${colors.dim}Output format: ${format}${colors.reset}\n`);
       
-      await processRoutes(baseUrl, routes, format);
+      await processRoutes({ baseUrl, routes, format, ...runOptions });
       console.log(`\n${colors.green}${colors.bright}✓ Successfully processed routes from file: ${routesFile}${colors.reset}`);
       console.log(`${colors.dim}Output files are available in the 'output' directory.${colors.reset}`);
       return true;
@@ -7,6 +7,7 @@ const {
   extractMetaInfo,
   extractContent,
   convertToMarkdown,
+  CONTENT_STRATEGIES,
 } = require("./utils/contentProcessor");
 // Lazy-load puppeteer to improve startup time and avoid issues if not installed
 let puppeteer;
@@ -18,18 +19,76 @@ try {
 const { program } = require("commander");
 const { getTitle, getContent } = require("./lib/extractor");
 const { saveToFile } = require("./lib/saver");
+const { loadSitemapRoutes } = require("./utils/sitemap");
+const {
+  normalizeUrl,
+  getBaseUrl,
+  extractLinks,
+  getLinkInventory,
+  matchesPathPatterns,
+  isSkippedResource,
+} = require("./utils/urlUtils");
+const { sleep, runPool, createHostLimiter } = require("./utils/concurrency");
+const {
+  DEFAULT_RETRIES,
+  DEFAULT_MAX_RETRY_DELAY,
+  isRetryableError,
+  parseRetryAfter,
+  getBackoffDelay,
+  createCircuitBreaker,
+} = require("./utils/retry");
+const { checkRobots, getPageRobotsDirectives } = require("./utils/robots");
+const { createHttpCache } = require("./utils/httpCache");
+const { createRunManifest } = require("./utils/manifest");
+const { decodeBody } = require("./utils/charset");
+const { isPdfResponse, extractPdf } = require("./utils/pdf");
+const {
+  getHtmlHeadings,
+  getMarkdownHeadings,
+  buildOutline,
+  addTableOfContents,
+} = require("./utils/outline");
+const {
+  buildDocumentTree,
+  blockText,
+  removeDocumentBlocks,
+} = require("./utils/document");
+const { resolveFrontMatterFields, addFrontMatter } = require("./utils/frontMatter");
+const { resolveProfile, loadProfiles } = require("./utils/profiles");
+const { extractTables, tableToCsv } = require("./utils/tables");
+const { TEXT_MODES } = require("./utils/plainText");
+const { JSON_MARKDOWN_MODES } = require("./utils/jsonContent");
+const { getPageLanguage, matchesLanguage } = require("./utils/language");
+const {
+  BOILERPLATE_REPORT_FILE,
+  findBoilerplate,
+  removeBoilerplate,
+} = require("./utils/boilerplate");
+const {
+  collectImages,
+  createImageStore,
+  localizeImages,
+} = require("./utils/images");
+const {
+  buildRequestConfig,
+  redactUserHeaders,
+  prepareRequestOptions,
+  loadRequestConfig,
+} = require("./utils/requestOptions");
 
 // Default configuration
 const DEFAULT_BASE_URL = "https://icjia.illinois.gov";
 const DEFAULT_ROUTES = ["/about", "/researchHub"];
 const DEFAULT_FORMAT = "text"; // Default format is 'text'
-const VALID_FORMATS = ["text", "json", "markdown", "all"]; // Valid output formats
+const VALID_FORMATS = ["text", "json", "markdown", "document", "all"]; // Valid output formats
+const DEFAULT_CONCURRENCY = 4; // Routes processed at the same time
+const DEFAULT_MAX_PER_HOST = 2; // In-flight requests allowed per host
 
 // Application version
 const APP_VERSION = require("./package.json").version;
 
 // Output directory location
-let OUTPUT_DIR = path.join(process.cwd(), "output");
+const OUTPUT_DIR = path.join(process.cwd(), "output");
 
 // Create output directory if it doesn't exist
 if (!fs.existsSync(OUTPUT_DIR)) {
@@ -48,7 +107,7 @@ async function shouldDeletePreviousOutputs() {
   }
 
   // Check if output directory already has content
-  const outputDirs = ["text", "json", "markdown"].map((dir) =>
+  const outputDirs = ["text", "json", "markdown", "document", "csv", "assets"].map((dir) =>
     path.join(OUTPUT_DIR, dir)
   );
   let hasExistingOutput = false;
@@ -94,7 +153,7 @@ async function deletePreviousOutputs() {
   logger.info("Deleting previous output files");
 
   // Directories to clean (but not the log directory)
-  const outputDirs = ["text", "json", "markdown"].map((dir) =>
+  const outputDirs = ["text", "json", "markdown", "document", "csv", "assets"].map((dir) =>
     path.join(OUTPUT_DIR, dir)
   );
 
@@ -190,54 +249,339 @@ function isValidUrl(url) {
   }
 }
 
+/**
+ * Normalize the cache option into an HTTP cache
+ * @param {boolean|Object} cache - true, cache options ({ dir, ttl }), or a cache from createHttpCache
+ * @param {string} [outputDir] - Output directory the default cache directory sits in
+ * @returns {Object|null} - The HTTP cache, or null if caching is disabled
+ */
+function resolveHttpCache(cache, outputDir = OUTPUT_DIR) {
+  if (!cache) return null;
+  if (typeof cache.get === "function") return cache;
+
+  const cacheOptions = cache === true ? {} : cache;
+  return createHttpCache({
+    ...cacheOptions,
+    dir: cacheOptions.dir || path.join(outputDir, "cache"),
+  });
+}
+
+/**
+ * Turn the images option into an image store
+ * @param {boolean|Object} images - true, { dir, maxBytes, types }, or a store from createImageStore
+ * @param {string} [outputDir] - Output directory the default assets directory sits in
+ * @returns {Object|null} - The image store, or null when images aren't downloaded
+ */
+function resolveImageStore(images, outputDir = OUTPUT_DIR) {
+  if (!images) return null;
+  if (typeof images.download === "function") return images;
+
+  const imageOptions = images === true ? {} : images;
+  return createImageStore({
+    ...imageOptions,
+    dir: imageOptions.dir || path.join(outputDir, "assets"),
+  });
+}
+
+/**
+ * Remove text blocks repeated across a run's pages and rewrite their files
+ *
+ * The text, markdown, JSON and document files already written for each
+ * page are rewritten without the boilerplate, and each result's data and
+ * document are updated to match. Each item of a mapped JSON list counts as
+ * a page.
+ *
+ * @param {Object[]} results - Route results ({ data, files, document } or { items }) from the run
+ * @param {boolean|Object} boilerplate - true, or { minShare, minPages } (see utils/boilerplate.js)
+ * @param {boolean|string[]} [frontMatter] - Front matter the markdown files were written with
+ * @returns {Promise<Object[]>} - The boilerplate blocks as { text, pages }
+ */
+async function removeRunBoilerplate(results, boilerplate, frontMatter) {
+  const pages = results.flatMap((result) => result.items || [result]);
+  const blocks = findBoilerplate(
+    pages.map((page) => page.data),
+    boilerplate === true ? {} : boilerplate
+  );
+  if (!blocks.length) {
+    logger.info(`No boilerplate found across ${pages.length} pages`);
+    return blocks;
+  }
+
+  logger.info(
+    `Removing ${blocks.length} boilerplate block(s) repeated across ${pages.length} pages`
+  );
+
+  for (const { data, files, document } of pages) {
+    const text = removeBoilerplate(data.textContent, blocks);
+    const markdown = removeBoilerplate(data.markdownContent, blocks);
+    const documentRemoved = document
+      ? removeDocumentBlocks(
+          document,
+          (block) => removeBoilerplate(blockText(block), blocks).removed > 0
+        )
+      : 0;
+    if (!text.removed && !markdown.removed && !documentRemoved) continue;
+
+    data.textContent = text.content;
+    data.markdownContent = markdown.content;
+    data.boilerplateRemoved = Math.max(text.removed, markdown.removed, documentRemoved);
+
+    const rewrites = [
+      [files.text, "text", text.content],
+      [files.markdown, "markdown", addFrontMatter(markdown.content, data, frontMatter)],
+      [files.json, "json", JSON.stringify(data, null, 2)],
+      [files.document, "document", JSON.stringify(document, null, 2)],
+    ];
+    for (const [filePath, fileFormat, content] of rewrites) {
+      if (!filePath) continue;
+      await fs.writeFile(filePath, content);
+      logger.fileSystem("write", filePath, {
+        format: fileFormat,
+        size: Buffer.byteLength(content),
+      });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Delete every cached HTTP response
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.dir=output/cache] - Cache directory to clear
+ * @returns {Promise<void>}
+ */
+async function clearHttpCache(options = {}) {
+  await resolveHttpCache({ dir: options.dir }).clear();
+  logger.info("HTTP cache cleared");
+}
+
+/**
+ * Decode a response body into the result returned by fetchResponse
+ * @param {Object} response - { body, status, headers, finalUrl } with the body as a Buffer (cache entries older than finalUrl have only their request url)
+ * @param {boolean} fromCache - Whether the body came from the HTTP cache
+ * @returns {Object} - { data, body, charset, status, headers, finalUrl, fromCache }
+ */
+function toFetchResult({ body, status, headers, url, finalUrl }, fromCache) {
+  const { text, charset, source } = decodeBody(body, headers["content-type"]);
+  logger.debug(`Decoded response body as ${charset}`, { source });
+
+  return {
+    data: text,
+    body,
+    charset,
+    status,
+    headers,
+    finalUrl: finalUrl || url,
+    fromCache,
+  };
+}
+
 /**
  * Fetch content from a URL with improved error handling
  * @param {string} url - The URL to fetch content from
- * @returns {Promise<string|null>} - The HTML content or null if fetch fails
+ * @param {Object} [options] - Fetch options (see fetchResponse)
+ * @returns {Promise<string|null>} - The HTML content or null if fetch fails or is disallowed
+ */
+async function fetchContent(url, options = {}) {
+  const response = await fetchResponse(url, options);
+  return response && !response.skipped ? response.data : null;
+}
+
+/**
+ * Fetch a URL and return the response body with its status and headers
+ *
+ * URLs disallowed by robots.txt are not requested. Network errors, 429
+ * and 5xx responses are retried with exponential backoff (honoring
+ * Retry-After). Hosts that keep failing are skipped for a while by the
+ * circuit breaker.
+ *
+ * With a cache, fresh entries are served without a request and stale ones
+ * are revalidated with If-None-Match / If-Modified-Since; a 304 reuses the
+ * cached body. Cached results carry `fromCache: true`.
+ *
+ * Bodies are fetched as bytes and decoded using the Content-Type charset,
+ * a byte order mark, a <meta charset> declaration or sniffing, in that
+ * order (see utils/charset).
+ *
+ * @param {string} url - The URL to fetch
+ * @param {Object} [options] - Fetch options
+ * @param {Object} [options.limiter] - Host limiter (from createHostLimiter) to schedule the request through
+ * @param {number} [options.retries=3] - How many times to retry a failed request
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in ms
+ * @param {number} [options.maxRetryDelay=30000] - Maximum wait in ms before a retry
+ * @param {Object|false} [options.circuitBreaker] - Circuit breaker (from createCircuitBreaker) to check before each attempt
+ * @param {boolean} [options.ignoreRobots=false] - Skip robots.txt checks (for sites you own)
+ * @param {boolean|Object} [options.cache=false] - HTTP cache: true, { dir, ttl }, or a cache from createHttpCache
+ * @param {Object} [options.request] - Request options: headers, cookies, cookieJar, proxy, ca, insecure, timeout, maxRedirects, userAgent, and per-host overrides under `hosts`
+ * @returns {Promise<Object|null>} - { data, body, charset, status, headers, finalUrl, fromCache }, { skipped, reason } if disallowed, or null if the fetch fails
  */
-async function fetchContent(url) {
+async function fetchResponse(url, options = {}) {
   // Validate URL first
   if (!isValidUrl(url)) {
     logger.error(`Invalid URL format: ${url}`);
     return null;
   }
 
+  const host = new URL(url).host;
+  const breaker = options.circuitBreaker || null;
+  const maxAttempts = (options.retries ?? DEFAULT_RETRIES) + 1;
+  const maxRetryDelay = options.maxRetryDelay ?? DEFAULT_MAX_RETRY_DELAY;
+
   const fetchContext = logger.startOperation("fetch_content", { url });
 
-  try {
-    const startTime = Date.now();
-    const response = await axios.get(url, {
-      timeout: 30000, // 30s timeout
-      headers: {
-        "User-Agent": `ScoopIt Content Generator/${APP_VERSION}`,
-      },
-      validateStatus: (status) => status >= 200 && status < 300, // Only consider 2xx as success
-    });
-    const duration = Date.now() - startTime;
+  const requestOptions = prepareRequestOptions(options.request);
+  const requestConfig = buildRequestConfig(requestOptions, url);
+  logger.debug(`Request options for ${url}`, {
+    headers: redactUserHeaders(requestConfig.headers, requestOptions, url),
+    timeout: requestConfig.timeout,
+    maxRedirects: requestConfig.maxRedirects,
+  });
 
-    logger.httpSuccess(url, response.status, duration, {
-      contentLength: response.headers["content-length"],
-      contentType: response.headers["content-type"],
+  if (!options.ignoreRobots) {
+    const robots = await checkRobots(url, requestConfig, {
+      retries: options.retries,
+      retryDelay: options.retryDelay,
+      maxRetryDelay,
     });
+    if (robots.crawlDelay && options.limiter) {
+      options.limiter.setHostDelay(host, robots.crawlDelay * 1000);
+    }
+    if (!robots.allowed) {
+      logger.warn(`Skipping ${url}: disallowed by robots.txt`);
+      logger.endOperation(fetchContext, "skipped", {
+        reason: "robots_disallowed",
+      });
+      return { skipped: true, reason: "robots_disallowed" };
+    }
+  }
+
+  const cache = resolveHttpCache(options.cache, options.outputDir);
+  const cached = cache ? await cache.get(url) : null;
 
+  if (cached && cache.isFresh(cached)) {
+    logger.debug(`Serving ${url} from cache`, { storedAt: cached.storedAt });
     logger.endOperation(fetchContext, "success", {
-      status: response.status,
-      duration,
+      status: cached.status,
+      fromCache: true,
     });
+    return toFetchResult(cached, true);
+  }
 
-    return response.data;
-  } catch (error) {
-    const errorDetails = {
-      message: error.message,
-      code: error.code || "UNKNOWN",
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-    };
+  const request = () =>
+    axios.get(url, {
+      ...requestConfig,
+      responseType: "arraybuffer",
+      headers: {
+        ...requestConfig.headers,
+        ...(cached ? cache.getConditionalHeaders(cached) : {}),
+      },
+      // Only consider 2xx as success (and 304 when revalidating a cached copy)
+      validateStatus: (status) =>
+        (status >= 200 && status < 300) || (cached && status === 304),
+    });
 
-    logger.httpError(url, error, errorDetails);
-    logger.endOperation(fetchContext, "error", errorDetails);
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (breaker && !breaker.canRequest(host)) {
+      logger.warn(`Circuit open for ${host}; skipping ${url}`);
+      logger.endOperation(fetchContext, "error", {
+        reason: "circuit_open",
+        attempt,
+      });
+      return null;
+    }
 
-    return null;
+    try {
+      const startTime = Date.now();
+      const response = options.limiter
+        ? await options.limiter.schedule(url, request)
+        : await request();
+      const duration = Date.now() - startTime;
+
+      if (breaker) breaker.recordSuccess(host);
+      if (requestOptions.cookieJar) {
+        requestOptions.cookieJar.setCookies(url, response.headers["set-cookie"]);
+      }
+
+      logger.httpSuccess(url, response.status, duration, {
+        contentLength: response.headers["content-length"],
+        contentType: response.headers["content-type"],
+        attempt,
+      });
+
+      if (response.status === 304) {
+        const revalidated = await cache.touch(cached, response.headers);
+        logger.debug(`Reusing cached copy of ${url} (not modified)`);
+        logger.endOperation(fetchContext, "success", {
+          status: response.status,
+          duration,
+          attempt,
+          fromCache: true,
+        });
+        return toFetchResult(revalidated, true);
+      }
+
+      const fetched = {
+        body: Buffer.from(response.data),
+        status: response.status,
+        headers: response.headers,
+        // Where redirects ended up, which relative links resolve against
+        finalUrl: response.request?.res?.responseUrl || url,
+      };
+      if (cache) await cache.set(url, fetched);
+
+      logger.endOperation(fetchContext, "success", {
+        status: response.status,
+        duration,
+        attempt,
+      });
+
+      return toFetchResult(fetched, false);
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      const errorDetails = {
+        message: error.message,
+        code: error.code || "UNKNOWN",
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        attempt,
+        maxAttempts,
+      };
+
+      logger.httpError(url, error, errorDetails);
+
+      // Only transient failures count against the host; any other answer
+      // shows it is up, which also settles a trial request
+      if (breaker && !retryable && error.response) breaker.recordSuccess(host);
+      const circuitOpened =
+        retryable && breaker ? breaker.recordFailure(host) : false;
+
+      if (!retryable || circuitOpened || attempt === maxAttempts) {
+        logger.endOperation(fetchContext, "error", {
+          ...errorDetails,
+          reason: circuitOpened ? "circuit_open" : undefined,
+        });
+        return null;
+      }
+
+      // Wait as long as the server asks, but at least the backoff delay
+      const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+      if (retryAfter !== null && retryAfter > maxRetryDelay) {
+        logger.warn(
+          `Retry-After for ${url} is ${retryAfter}ms (over ${maxRetryDelay}ms); giving up`
+        );
+        logger.endOperation(fetchContext, "error", errorDetails);
+        return null;
+      }
+
+      const delay = Math.max(retryAfter || 0, getBackoffDelay(attempt, options));
+      logger.debug(`Retrying ${url} in ${delay}ms`, {
+        attempt,
+        maxAttempts,
+        retryAfter,
+      });
+      await sleep(delay);
+    }
   }
 }
 
@@ -245,10 +589,36 @@ async function fetchContent(url) {
  * Generate files for a route with improved error handling
  * @param {string} baseUrl - The base URL
  * @param {string} route - The route path
- * @param {string} format - The output format (text, json, markdown, or all)
- * @returns {Promise<Object|null>} - Route data or null if processing fails
+ * @param {string} format - The output format (text, json, markdown, document, or all)
+ * @param {Object} [options] - Additional processing options
+ * @param {boolean} [options.collectLinks=false] - Include the page's absolute link URLs in the result
+ * @param {Object} [options.limiter] - Host limiter to schedule the fetch through
+ * @param {number} [options.retries] - Retries for the fetch (see fetchContent)
+ * @param {number} [options.retryDelay] - Base backoff delay for the fetch (see fetchContent)
+ * @param {Object|false} [options.circuitBreaker] - Circuit breaker for the fetch (see fetchResponse)
+ * @param {boolean} [options.ignoreRobots=false] - Ignore robots.txt, meta robots and X-Robots-Tag
+ * @param {boolean|Object} [options.cache] - HTTP cache for the fetch (see fetchResponse)
+ * @param {Object} [options.request] - Request options for the fetch (see fetchResponse)
+ * @param {string} [options.contentStrategy="readability"] - How to find the main content of HTML pages: "readability" or "selector"
+ * @param {Object} [options.profiles] - Extraction profiles keyed by hostname or URL pattern (see utils/profiles.js)
+ * @param {Object} [options.profile] - Extraction profile for this route, applied over any matching profiles
+ * @param {boolean} [options.keepAnchors=false] - Keep same-page "#section" links in markdown as local links instead of absolute URLs
+ * @param {boolean|Object} [options.images=false] - Download content images: true, { dir, maxBytes, types }, or a store from createImageStore
+ * @param {string} [options.textMode="structured"] - Layout of textContent for HTML pages: "structured" or "single-line"
+ * @param {number} [options.wrap] - Wrap structured textContent at this many characters
+ * @param {string} [options.jsonMarkdown="rendered"] - Markdown for JSON responses: "rendered" (sections, lists and tables) or "code" (the raw JSON in a code block)
+ * @param {boolean} [options.toc=false] - Start the markdown with a table of contents linking to the headings
+ * @param {boolean|string[]} [options.frontMatter] - Start markdown files with YAML front matter: true for every field, or a list of fields (see utils/frontMatter.js)
+ * @param {string[]} [options.languages] - Only write pages in these languages ("es" matches "es-MX"); others are skipped
+ * @param {string} [options.outputDir] - Directory to write the files to (defaults to ./output)
+ * @returns {Promise<Object|null>} - Route data ({ route, url, data, files }), { route, url, items, files } for JSON mapped with `items` (one route data entry per item, files listed by format), { route, url, skipped, reason } for pages robots rules or the language filter exclude, or null if processing fails
  */
-async function generateFilesForRoute(baseUrl, route, format = DEFAULT_FORMAT) {
+async function generateFilesForRoute(
+  baseUrl,
+  route,
+  format = DEFAULT_FORMAT,
+  options = {}
+) {
   // Input validation
   if (!baseUrl) {
     throw new Error("Base URL is required");
@@ -264,6 +634,36 @@ async function generateFilesForRoute(baseUrl, route, format = DEFAULT_FORMAT) {
     );
   }
 
+  if (
+    options.contentStrategy &&
+    !CONTENT_STRATEGIES.includes(options.contentStrategy)
+  ) {
+    throw new Error(
+      `Invalid content strategy: ${
+        options.contentStrategy
+      }. Valid strategies are: ${CONTENT_STRATEGIES.join(", ")}`
+    );
+  }
+
+  if (options.jsonMarkdown && !JSON_MARKDOWN_MODES.includes(options.jsonMarkdown)) {
+    throw new Error(
+      `Invalid JSON markdown mode: ${options.jsonMarkdown}. Valid modes are: ${JSON_MARKDOWN_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  // Throws on unknown front matter fields before anything is fetched
+  resolveFrontMatterFields(options.frontMatter);
+
+  if (options.textMode && !TEXT_MODES.includes(options.textMode)) {
+    throw new Error(
+      `Invalid text mode: ${options.textMode}. Valid modes are: ${TEXT_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
   // Handle baseUrl as either string or object (from options)
   const resolvedBaseUrl =
     typeof baseUrl === "object" && baseUrl.baseUrl ? baseUrl.baseUrl : baseUrl;
@@ -271,6 +671,7 @@ async function generateFilesForRoute(baseUrl, route, format = DEFAULT_FORMAT) {
   // Normalize the route path
   const normalizedRoute = route.startsWith("/") ? route : `/${route}`;
   const fullUrl = `${resolvedBaseUrl}${normalizedRoute}`;
+  const outputDir = options.outputDir || OUTPUT_DIR;
 
   const routeContext = logger.startOperation("generate_files_for_route", {
     baseUrl: resolvedBaseUrl,
@@ -282,7 +683,21 @@ async function generateFilesForRoute(baseUrl, route, format = DEFAULT_FORMAT) {
   logger.processing(`Processing ${fullUrl}...`);
 
   // Fetch the content (could be HTML or JSON)
-  const content = await fetchContent(fullUrl);
+  const response = await fetchResponse(fullUrl, options);
+
+  if (response && response.skipped) {
+    logger.endOperation(routeContext, "skipped", { reason: response.reason });
+    return {
+      route: normalizedRoute,
+      url: fullUrl,
+      skipped: true,
+      reason: response.reason,
+    };
+  }
+
+  const content = response ? response.data : null;
+  // Relative URLs resolve against the page's final URL, after redirects
+  const pageUrl = (response && response.finalUrl) || fullUrl;
 
   if (!content) {
     logger.error(`Failed to fetch content for ${fullUrl}`);
@@ -292,116 +707,478 @@ async function generateFilesForRoute(baseUrl, route, format = DEFAULT_FORMAT) {
     return null;
   }
 
-  // Detect if the content is JSON
+  // Detect if the content is a PDF or JSON
   const { isJsonContent } = require("./utils/contentProcessor");
-  const isJson = isJsonContent(content);
-
-  try {
-    // Extract meta information
-    logger.processing(`Extracting metadata from ${fullUrl}`);
-    const metaInfo = extractMetaInfo(content, isJson);
-    logger.debug(`Extracted metadata`, {
-      title: metaInfo.title,
-      descriptionLength: metaInfo.description?.length || 0,
-      contentType: isJson ? "JSON" : "HTML",
-    });
+  const isPdf = isPdfResponse(response.body, response.headers["content-type"]);
+  const isJson = !isPdf && isJsonContent(content);
+
+  // Honor <meta name="robots"> and X-Robots-Tag unless told otherwise
+  const robotsDirectives = options.ignoreRobots
+    ? { noindex: false, nofollow: false }
+    : getPageRobotsDirectives(isJson || isPdf ? "" : content, response.headers);
+  const collectLinks = () =>
+    options.collectLinks && !isJson && !isPdf && !robotsDirectives.nofollow
+      ? extractLinks(content, pageUrl)
+      : [];
+
+  if (robotsDirectives.noindex) {
+    logger.warn(`Skipping output for ${fullUrl}: page is marked noindex`);
+    logger.endOperation(routeContext, "skipped", { reason: "noindex" });
+
+    const skippedResult = {
+      route: normalizedRoute,
+      url: fullUrl,
+      skipped: true,
+      reason: "noindex",
+    };
+    if (options.collectLinks) {
+      skippedResult.links = collectLinks();
+    }
+    return skippedResult;
+  }
 
-    // Extract main content
-    logger.processing(`Extracting content from ${fullUrl}`);
-    const {
-      cleanHtml: contentHtml,
-      textContent,
-      isJson: detectedJson,
-    } = extractContent(content);
-    logger.debug(`Extracted content`, {
-      textLength: textContent?.length || 0,
-      htmlLength: contentHtml?.length || 0,
-      isJson: detectedJson,
-    });
+  /**
+   * Skip the page when a language filter is set and the page isn't in one of its languages
+   * @param {Object} pageLanguage - Result of getPageLanguage
+   * @returns {Object|null} - The skipped result, or null to carry on
+   */
+  const skipForLanguage = (pageLanguage) => {
+    if (!options.languages?.length || matchesLanguage(pageLanguage.language, options.languages)) {
+      return null;
+    }
 
-    // Convert to markdown
-    logger.processing(`Converting content to markdown`);
-    const markdownContent = convertToMarkdown(
-      contentHtml,
-      detectedJson || isJson
+    logger.info(
+      `Skipping output for ${fullUrl}: language ${pageLanguage.language || "unknown"} is not one of ${options.languages.join(", ")}`
     );
-    logger.debug(`Converted to markdown`, {
-      markdownLength: markdownContent?.length || 0,
+    logger.endOperation(routeContext, "skipped", {
+      reason: "language",
+      language: pageLanguage.language,
     });
 
-    // Generate filename with title slug and datetime stamp
-    const safeFilename = generateFilename(normalizedRoute, metaInfo.title);
-    logger.debug(`Generated safe filename`, { safeFilename });
-
-    // Create JSON data
-    const jsonData = {
-      url: fullUrl,
+    const skippedResult = {
       route: normalizedRoute,
-      title: metaInfo.title,
-      description: metaInfo.description,
-      textContent,
-      markdownContent,
-      timestamp: new Date().toISOString(),
+      url: fullUrl,
+      skipped: true,
+      reason: "language",
+      language: pageLanguage.language,
     };
+    if (options.collectLinks) {
+      skippedResult.links = collectLinks();
+    }
+    return skippedResult;
+  };
 
-    // Create the appropriate output directories as needed
-    try {
-      // Write files based on format
-      if (format === "json" || format === "all") {
-        const jsonDir = path.join(OUTPUT_DIR, "json");
-        await fs.ensureDir(jsonDir);
+  try {
+    const profile = resolveProfile(options.profiles, fullUrl, options.profile);
+    const writeDocument = format === "document" || format === "all";
+    let metaInfo;
+    let textContent;
+    let pdf = null;
+    let extraction = null;
+    let pageLanguage;
+    // What gets written: the page, or each item of a mapped JSON list
+    let pages;
+    let mappedItems = false;
+
+    if (isPdf) {
+      logger.processing(`Extracting PDF text from ${fullUrl}`);
+      pdf = await extractPdf(response.body);
+      metaInfo = { title: pdf.title, description: pdf.description };
+      textContent = pdf.textContent;
+      logger.debug(`Extracted PDF`, {
+        title: pdf.title,
+        pageCount: pdf.pageCount,
+        textLength: textContent.length,
+      });
+
+      pageLanguage = getPageLanguage({
+        headers: response.headers,
+        text: textContent,
+        url: pageUrl,
+      });
+      const skippedResult = skipForLanguage(pageLanguage);
+      if (skippedResult) return skippedResult;
+
+      pages = [
+        {
+          metaInfo,
+          textContent,
+          markdownContent: pdf.markdownContent,
+          documentTree: writeDocument ? buildDocumentTree(pdf.html) : null,
+        },
+      ];
+    } else {
+      // Extract meta information
+      logger.processing(`Extracting metadata from ${fullUrl}`);
+      metaInfo = extractMetaInfo(content, isJson, profile);
+      logger.debug(`Extracted metadata`, {
+        title: metaInfo.title,
+        descriptionLength: metaInfo.description?.length || 0,
+        contentType: isJson ? "JSON" : "HTML",
+      });
+
+      // Extract main content
+      logger.processing(`Extracting content from ${fullUrl}`);
+      const extracted = extractContent(content, {
+        strategy: options.contentStrategy,
+        profile,
+        textMode: options.textMode,
+        wrap: options.wrap,
+      });
+      const contentHtml = extracted.cleanHtml;
+      const detectedJson = extracted.isJson;
+      textContent = extracted.textContent;
+      if (extracted.strategy) {
+        extraction = {
+          strategy: extracted.strategy,
+          selector: extracted.usedSelector,
+          score: extracted.score,
+        };
+      }
+      logger.debug(`Extracted content`, {
+        textLength: textContent?.length || 0,
+        htmlLength: contentHtml?.length || 0,
+        isJson: detectedJson,
+        ...extraction,
+      });
 
-        const jsonFilePath = path.join(jsonDir, `${safeFilename}.json`);
-        await fs.writeFile(jsonFilePath, JSON.stringify(jsonData, null, 2));
+      // JSON mapped by the profile comes back as HTML and is treated as a page from here on
+      const isHtml = !detectedJson;
+      const pageHtml = isJson ? contentHtml : content;
 
-        logger.fileSystem("write", jsonFilePath, {
-          format: "json",
-          size: Buffer.byteLength(JSON.stringify(jsonData, null, 2)),
+      // Unmapped JSON only has the Content-Language header to go on
+      pageLanguage = getPageLanguage({
+        html: isHtml ? pageHtml : null,
+        headers: response.headers,
+        text: isHtml ? textContent : null,
+        url: pageUrl,
+      });
+      logger.debug(`Page language`, pageLanguage);
+      const skippedResult = skipForLanguage(pageLanguage);
+      if (skippedResult) return skippedResult;
+
+      // Links in HTML strings inside JSON resolve against the endpoint's URL
+      const contentBaseUrl = isHtml ? getBaseUrl(pageHtml, pageUrl) : pageUrl;
+      const imageStore = resolveImageStore(options.images, outputDir);
+      const markdownOptions = {
+        baseUrl: contentBaseUrl,
+        keepAnchors: options.keepAnchors,
+        jsonMarkdown: options.jsonMarkdown,
+      };
+
+      /**
+       * Turn cleaned content HTML into the parts of a page's output
+       * @param {string} html - The cleaned content HTML
+       * @param {string} linkHtml - The HTML whose links are listed (the whole page for web pages)
+       * @returns {Promise<Object>} - { headings, tables, links, images, markdownContent, documentTree }
+       */
+      const renderPage = async (html, linkHtml) => {
+        let images = null;
+        let imagePaths = null;
+
+        if (imageStore) {
+          logger.processing(`Downloading images from ${fullUrl}`);
+          images = await localizeImages(
+            collectImages(html, contentBaseUrl),
+            imageStore,
+            { outputDir, request: options.request, limiter: options.limiter }
+          );
+          // Markdown and JSON files sit one folder below the output directory
+          imagePaths = Object.fromEntries(
+            images
+              .filter((image) => image.file)
+              .map((image) => [image.url, `../${image.file}`])
+          );
+        }
+
+        // Convert to markdown
+        logger.processing(`Converting content to markdown`);
+        const markdownContent = convertToMarkdown(html, false, { ...markdownOptions, imagePaths });
+        logger.debug(`Converted to markdown`, {
+          markdownLength: markdownContent?.length || 0,
         });
 
-        logger.info(`Generated JSON file: output/json/${safeFilename}.json`);
+        return {
+          headings: getHtmlHeadings(html),
+          tables: extractTables(html),
+          links: getLinkInventory(linkHtml, pageUrl, html),
+          images,
+          markdownContent,
+          // The document format is built from the same cleaned HTML
+          documentTree: writeDocument
+            ? buildDocumentTree(html, {
+                baseUrl: contentBaseUrl,
+                imageFiles:
+                  images &&
+                  Object.fromEntries(
+                    images.filter((image) => image.file).map((image) => [image.url, image.file])
+                  ),
+              })
+            : null,
+        };
+      };
+
+      if (!isHtml) {
+        logger.processing(`Converting content to markdown`);
+        const markdownContent = convertToMarkdown(contentHtml, true, markdownOptions);
+        logger.debug(`Converted to markdown`, {
+          markdownLength: markdownContent?.length || 0,
+        });
+
+        // Unmapped JSON has no HTML, so its document is the JSON itself
+        pages = [
+          {
+            metaInfo,
+            textContent,
+            markdownContent,
+            documentTree: writeDocument
+              ? { blocks: [{ type: "code", language: "json", text: contentHtml }], sections: [] }
+              : null,
+          },
+        ];
+      } else if (extracted.documents && profile.json.items) {
+        // Each item of a mapped JSON list is a page of its own, with files of its own
+        mappedItems = true;
+        pages = [];
+        for (const { html, textContent: text, ...fields } of extracted.documents) {
+          pages.push({ metaInfo: fields, textContent: text, ...(await renderPage(html, html)) });
+        }
+      } else {
+        pages = [{ metaInfo, textContent, ...(await renderPage(contentHtml, pageHtml)) }];
       }
+    }
 
-      if (format === "text" || format === "all") {
-        const textDir = path.join(OUTPUT_DIR, "text");
-        await fs.ensureDir(textDir);
+    /**
+     * Write the output files of one page
+     * @param {Object} page - The page's metaInfo, textContent and markdownContent, plus any headings, tables, links, images and documentTree
+     * @param {number} [item] - The page's position in a mapped JSON list
+     * @returns {Promise<Object>} - { route, url, data, files, document }
+     */
+    const writePage = async (page, item) => {
+      const { metaInfo: pageInfo, tables = [] } = page;
+
+      // Headings of PDFs and unmapped JSON come from their markdown
+      let markdownContent = page.markdownContent;
+      const outline = buildOutline(page.headings || getMarkdownHeadings(markdownContent));
+      if (options.toc) {
+        markdownContent = addTableOfContents(markdownContent, outline);
+      }
 
-        const textFilePath = path.join(textDir, `${safeFilename}.txt`);
-        await fs.writeFile(textFilePath, textContent);
+      // Generate filename with title slug and datetime stamp; items are numbered so they don't collide
+      const safeFilename = generateFilename(
+        item ? `${normalizedRoute}/${item}` : normalizedRoute,
+        pageInfo.title
+      );
+      logger.debug(`Generated safe filename`, { safeFilename });
+
+      // Create JSON data
+      const jsonData = {
+        url: fullUrl,
+        route: normalizedRoute,
+        title: pageInfo.title,
+        description: pageInfo.description,
+        textContent: page.textContent,
+        markdownContent,
+        timestamp: new Date().toISOString(),
+        charset: isPdf ? null : response.charset,
+        fromCache: response.fromCache,
+        language: pageLanguage.language,
+        languageSource: pageLanguage.source,
+      };
+
+      // Position in the mapped JSON list the page came from
+      if (item) {
+        jsonData.item = item;
+      }
 
-        logger.fileSystem("write", textFilePath, {
-          format: "text",
-          size: Buffer.byteLength(textContent),
-        });
+      // How sure the detector was, when the page didn't declare a language
+      if (pageLanguage.confidence !== null) {
+        jsonData.languageConfidence = pageLanguage.confidence;
+      }
 
-        logger.info(`Generated text file: output/text/${safeFilename}.txt`);
+      // Other-language versions of the page from its hreflang links
+      if (pageLanguage.alternates.length) {
+        jsonData.alternates = pageLanguage.alternates;
       }
 
-      if (format === "markdown" || format === "all") {
-        const markdownDir = path.join(OUTPUT_DIR, "markdown");
-        await fs.ensureDir(markdownDir);
+      if (!pdf) {
+        if (pageInfo.author) jsonData.author = pageInfo.author;
+        if (pageInfo.date) jsonData.date = pageInfo.date;
+        if (pageInfo.keywords?.length) jsonData.keywords = pageInfo.keywords;
+        if (pageInfo.structuredData) {
+          jsonData.structuredData = pageInfo.structuredData;
+        }
+      }
 
-        const markdownFilePath = path.join(markdownDir, `${safeFilename}.md`);
-        await fs.writeFile(markdownFilePath, markdownContent);
+      // Heading hierarchy, to check a page came through whole and to navigate it
+      if (outline.length) {
+        jsonData.outline = outline;
+      }
 
-        logger.fileSystem("write", markdownFilePath, {
-          format: "markdown",
-          size: Buffer.byteLength(markdownContent),
-        });
+      // Downloaded images with where they came from
+      if (page.images) {
+        jsonData.images = page.images;
+      }
 
-        logger.info(
-          `Generated markdown file: output/markdown/${safeFilename}.md`
+      // Every link on the page, for link audits and site maps
+      if (page.links) {
+        jsonData.links = page.links;
+      }
+
+      // Data tables as rows; with JSON output each is also saved as CSV
+      const writeCsv = tables.length > 0 && (format === "json" || format === "all");
+      if (tables.length) {
+        jsonData.tables = tables.map((table, index) =>
+          writeCsv
+            ? { ...table, csv: `csv/${safeFilename}-table-${index + 1}.csv` }
+            : table
         );
       }
-    } catch (fileError) {
-      logger.error(`File system error: ${fileError.message}`, {
-        error: {
-          message: fileError.message,
-          code: fileError.code,
-          stack: fileError.stack,
-        },
-      });
-      throw new Error(`Failed to save output files: ${fileError.message}`);
+
+      // Which block of an HTML page was taken as its content, for debugging
+      if (extraction) {
+        jsonData.extraction = extraction;
+      }
+
+      if (pdf) {
+        jsonData.contentType = "application/pdf";
+        jsonData.author = pdf.author;
+        jsonData.pageCount = pdf.pageCount;
+      }
+
+      // Page details with the content as sections of typed blocks
+      const document = page.documentTree && {
+        url: fullUrl,
+        route: normalizedRoute,
+        title: jsonData.title,
+        description: jsonData.description,
+        language: jsonData.language,
+        timestamp: jsonData.timestamp,
+        ...page.documentTree,
+      };
+
+      // Paths of the files written for this page, by format
+      const files = {};
+
+      // Create the appropriate output directories as needed
+      try {
+        // Write files based on format
+        if (writeCsv) {
+          const csvDir = path.join(outputDir, "csv");
+          await fs.ensureDir(csvDir);
+          files.csv = [];
+
+          for (const table of jsonData.tables) {
+            const csvFilePath = path.join(outputDir, table.csv);
+            const csv = tableToCsv(table);
+            await fs.writeFile(csvFilePath, csv);
+            files.csv.push(csvFilePath);
+
+            logger.fileSystem("write", csvFilePath, {
+              format: "csv",
+              size: Buffer.byteLength(csv),
+            });
+          }
+
+          logger.info(`Generated ${files.csv.length} CSV file(s) in output/csv`);
+        }
+
+        if (format === "json" || format === "all") {
+          const jsonDir = path.join(outputDir, "json");
+          await fs.ensureDir(jsonDir);
+
+          const jsonFilePath = path.join(jsonDir, `${safeFilename}.json`);
+          await fs.writeFile(jsonFilePath, JSON.stringify(jsonData, null, 2));
+          files.json = jsonFilePath;
+
+          logger.fileSystem("write", jsonFilePath, {
+            format: "json",
+            size: Buffer.byteLength(JSON.stringify(jsonData, null, 2)),
+          });
+
+          logger.info(`Generated JSON file: output/json/${safeFilename}.json`);
+        }
+
+        if (format === "text" || format === "all") {
+          const textDir = path.join(outputDir, "text");
+          await fs.ensureDir(textDir);
+
+          const textFilePath = path.join(textDir, `${safeFilename}.txt`);
+          await fs.writeFile(textFilePath, page.textContent);
+          files.text = textFilePath;
+
+          logger.fileSystem("write", textFilePath, {
+            format: "text",
+            size: Buffer.byteLength(page.textContent),
+          });
+
+          logger.info(`Generated text file: output/text/${safeFilename}.txt`);
+        }
+
+        if (format === "markdown" || format === "all") {
+          const markdownDir = path.join(outputDir, "markdown");
+          await fs.ensureDir(markdownDir);
+
+          const markdownFilePath = path.join(markdownDir, `${safeFilename}.md`);
+          const markdownFile = addFrontMatter(markdownContent, jsonData, options.frontMatter);
+          await fs.writeFile(markdownFilePath, markdownFile);
+          files.markdown = markdownFilePath;
+
+          logger.fileSystem("write", markdownFilePath, {
+            format: "markdown",
+            size: Buffer.byteLength(markdownFile),
+          });
+
+          logger.info(
+            `Generated markdown file: output/markdown/${safeFilename}.md`
+          );
+        }
+
+        if (document) {
+          const documentDir = path.join(outputDir, "document");
+          await fs.ensureDir(documentDir);
+
+          const documentFilePath = path.join(documentDir, `${safeFilename}.json`);
+          const documentJson = JSON.stringify(document, null, 2);
+          await fs.writeFile(documentFilePath, documentJson);
+          files.document = documentFilePath;
+
+          logger.fileSystem("write", documentFilePath, {
+            format: "document",
+            size: Buffer.byteLength(documentJson),
+          });
+
+          logger.info(`Generated document file: output/document/${safeFilename}.json`);
+        }
+      } catch (fileError) {
+        logger.error(`File system error: ${fileError.message}`, {
+          error: {
+            message: fileError.message,
+            code: fileError.code,
+            stack: fileError.stack,
+          },
+        });
+        throw new Error(`Failed to save output files: ${fileError.message}`);
+      }
+
+      const pageResult = {
+        route: normalizedRoute,
+        url: fullUrl,
+        data: jsonData,
+        files,
+      };
+
+      // The document tree, when the document format was written
+      if (document) {
+        pageResult.document = document;
+      }
+
+      return pageResult;
+    };
+
+    const written = [];
+    for (const [index, page] of pages.entries()) {
+      written.push(await writePage(page, mappedItems ? index + 1 : undefined));
     }
 
     logger.info(`Generated files for ${fullUrl}`);
@@ -411,11 +1188,25 @@ async function generateFilesForRoute(baseUrl, route, format = DEFAULT_FORMAT) {
     });
 
     // Return data for testing purposes
-    return {
-      route: normalizedRoute,
-      url: fullUrl,
-      data: jsonData,
-    };
+    let result = written[0];
+
+    // Mapped JSON lists return each item's result, with all their files by format
+    if (mappedItems) {
+      const files = {};
+      for (const item of written) {
+        for (const [fileFormat, filePath] of Object.entries(item.files)) {
+          files[fileFormat] = (files[fileFormat] || []).concat(filePath);
+        }
+      }
+      result = { route: normalizedRoute, url: fullUrl, items: written, files };
+    }
+
+    // Links are only needed by callers that follow them (e.g. crawlSite)
+    if (options.collectLinks) {
+      result.links = collectLinks();
+    }
+
+    return result;
   } catch (error) {
     logger.error(
       `Error processing route ${normalizedRoute}: ${error.message}`,
@@ -462,7 +1253,7 @@ function findRoutesFile(routePath = null) {
 /**
  * Load routes from a JSON file
  * @param {string} filePath - Path to the JSON file containing routes
- * @returns {Promise<string[]>} - Array of routes from the file
+ * @returns {Promise<Array<string|Object>>} - Routes from the file (paths, or { route, profile } objects)
  */
 async function loadRoutesFromFile(filePath) {
   try {
@@ -477,8 +1268,12 @@ async function loadRoutesFromFile(filePath) {
       throw new Error("Routes file must contain a JSON array of routes");
     }
 
-    // Validate each route is a string
-    const validRoutes = routesData.filter((route) => typeof route === "string");
+    // Each route is a string, or { route, profile } to override the extraction profile
+    const validRoutes = routesData.filter(
+      (route) =>
+        typeof route === "string" ||
+        (route && typeof route === "object" && typeof route.route === "string")
+    );
 
     // If file exists but has no valid routes, default to a single route
     if (validRoutes.length === 0) {
@@ -495,16 +1290,58 @@ async function loadRoutesFromFile(filePath) {
   }
 }
 
+/**
+ * Normalize the sitemap option of processRoutes into loadSitemapRoutes options
+ * @param {boolean|string|Object} sitemap - true, a sitemap URL, or an options object
+ * @returns {Object|null} - Options for loadSitemapRoutes or null if disabled
+ */
+function resolveSitemapOptions(sitemap) {
+  if (!sitemap) return null;
+  if (sitemap === true) return {};
+  if (typeof sitemap === "string") return { url: sitemap };
+  return sitemap;
+}
+
 /**
  * Process multiple routes with improved error handling and monitoring
- * @param {string} baseUrl - The base URL
- * @param {string[]} routes - Array of routes to process
- * @param {string} format - The output format (text, json, markdown, or all)
- * @returns {Promise<Array>} - Array of results for testing purposes
+ *
+ * Accepts either an options object or the legacy positional arguments
+ * (baseUrl, routes, format).
+ *
+ * @param {Object} options - Processing options
+ * @param {string} [options.baseUrl] - The base URL
+ * @param {Array<string|Object>} [options.routes] - Routes to process, each a path or { route, profile } to override the extraction profile
+ * @param {string} [options.routePath] - Path to a JSON file of routes
+ * @param {boolean|string|Object} [options.sitemap] - Discover routes from the sitemap: true, a sitemap URL, or loadSitemapRoutes options
+ * @param {string} [options.format] - The output format (text, json, markdown, document, or all)
+ * @param {string} [options.outputDir] - Output directory
+ * @param {number} [options.concurrency=4] - Maximum number of routes processed at once
+ * @param {number} [options.maxPerHost=2] - Maximum in-flight requests per host
+ * @param {number} [options.hostDelay=0] - Minimum ms between requests to the same host
+ * @param {number} [options.hostJitter=0] - Maximum random ms added to hostDelay
+ * @param {number} [options.retries=3] - How many times to retry a failed request
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in ms between retries
+ * @param {boolean} [options.ignoreRobots=false] - Ignore robots.txt and meta robots (for sites you own)
+ * @param {string} [options.contentStrategy="readability"] - How to find the main content of HTML pages: "readability" or "selector"
+ * @param {Object} [options.profiles] - Extraction profiles keyed by hostname or URL pattern (see utils/profiles.js)
+ * @param {boolean} [options.keepAnchors=false] - Keep same-page "#section" links in markdown as local links
+ * @param {boolean|Object} [options.images=false] - Download content images into output/assets: true or { dir, maxBytes, types }
+ * @param {string} [options.textMode="structured"] - Layout of textContent for HTML pages: "structured" or "single-line"
+ * @param {number} [options.wrap] - Wrap structured textContent at this many characters
+ * @param {string} [options.jsonMarkdown="rendered"] - Markdown for JSON responses: "rendered" (sections, lists and tables) or "code" (the raw JSON in a code block)
+ * @param {boolean} [options.toc=false] - Start the markdown with a table of contents linking to the headings
+ * @param {boolean|string[]} [options.frontMatter] - Start markdown files with YAML front matter: true for every field, or a list of fields (see utils/frontMatter.js)
+ * @param {string[]} [options.languages] - Only write pages in these languages ("es" matches "es-MX"); others are skipped
+ * @param {boolean|Object} [options.boilerplate=false] - Remove text blocks repeated across the run's pages: true, or { minShare, minPages }
+ * @param {boolean|Object} [options.cache=false] - Reuse cached responses: true, { dir, ttl }, or a cache from createHttpCache
+ * @param {Object} [options.request] - Headers, cookies, proxy, TLS and timeout options, globally and per host (see fetchResponse)
+ * @param {boolean} [options.resume=false] - Continue the previous run in the output directory, running only its pending and failed routes
+ * @returns {Promise<Array>} - Array of results (in route order) for testing purposes
  */
 async function processRoutes(options = {}) {
   // Handle options parameter to support both object and positional arguments
-  let baseUrl, routes, format, outputDir, quiet;
+  let baseUrl, routes, format, outputDir, quiet, sitemapOptions;
+  let runOptions = {};
 
   if (typeof options === "object") {
     // Object parameter style
@@ -519,12 +1356,26 @@ async function processRoutes(options = {}) {
         routes = DEFAULT_ROUTES;
       }
     } else {
-      routes = options.routes || DEFAULT_ROUTES;
+      routes = options.routes;
+    }
+
+    // Add routes discovered from the site's sitemap
+    sitemapOptions = resolveSitemapOptions(options.sitemap);
+    if (sitemapOptions) {
+      const sitemapRoutes = await loadSitemapRoutes(
+        typeof baseUrl === "object" ? baseUrl.baseUrl : baseUrl,
+        { request: options.request, ...sitemapOptions }
+      );
+      logger.info(`Found ${sitemapRoutes.length} routes in sitemap`);
+      routes = Array.from(new Set([...(routes || []), ...sitemapRoutes]));
+    } else if (!routes) {
+      routes = DEFAULT_ROUTES;
     }
 
     format = options.format || DEFAULT_FORMAT;
     outputDir = options.outputDir;
     quiet = options.quiet;
+    runOptions = options;
   } else {
     // Legacy positional parameters style
     baseUrl = arguments[0] || DEFAULT_BASE_URL;
@@ -532,19 +1383,31 @@ async function processRoutes(options = {}) {
     format = arguments[2] || DEFAULT_FORMAT;
   }
 
-  // Override OUTPUT_DIR if specified
-  if (outputDir) {
-    OUTPUT_DIR = outputDir;
-  }
+  // Write this run's files to its own output directory, if given
+  outputDir = outputDir || OUTPUT_DIR;
 
   // Input validation
   if (!baseUrl) {
     throw new Error("Base URL is required");
   }
   if (!Array.isArray(routes) || routes.length === 0) {
+    if (sitemapOptions) {
+      throw new Error("No routes found in sitemap matching the given filters");
+    }
     throw new Error("Routes must be a non-empty array");
   }
 
+  // Routes may carry their own extraction profile: { route, profile }
+  const routeProfiles = new Map();
+  routes = routes.map((entry) => {
+    if (typeof entry === "string") return entry;
+    if (!entry || typeof entry.route !== "string") {
+      throw new Error("Each route must be a string or an object with a route");
+    }
+    if (entry.profile) routeProfiles.set(entry.route, entry.profile);
+    return entry.route;
+  });
+
   // Check format validity - use default format if invalid
   const validFormat = VALID_FORMATS.includes(format) ? format : DEFAULT_FORMAT;
   if (!VALID_FORMATS.includes(format)) {
@@ -557,6 +1420,44 @@ async function processRoutes(options = {}) {
   const resolvedBaseUrl =
     typeof baseUrl === "object" && baseUrl.baseUrl ? baseUrl.baseUrl : baseUrl;
 
+  // The manifest in the output directory records each route's outcome
+  const manifest = createRunManifest(outputDir);
+  let resume = false;
+  let finishedEarlier = 0;
+
+  if (runOptions.resume) {
+    const previous = await manifest.load();
+    if (!previous) {
+      logger.warn("No previous run to resume; starting a new run");
+    } else if (
+      previous.baseUrl !== resolvedBaseUrl ||
+      previous.format !== validFormat
+    ) {
+      logger.warn(
+        `Previous run used ${previous.baseUrl} (${previous.format}); starting a new run`
+      );
+    } else {
+      resume = true;
+      finishedEarlier = Object.values(previous.routes).filter(
+        (entry) => entry.status === "done"
+      ).length;
+    }
+  }
+
+  await manifest.start({
+    baseUrl: resolvedBaseUrl,
+    format: validFormat,
+    routes,
+    resume,
+  });
+
+  routes = manifest.getRoutesToRun();
+  if (resume) {
+    logger.info(
+      `Resuming previous run: ${routes.length} pending or failed routes`
+    );
+  }
+
   logger.startup(APP_VERSION, {
     baseUrl,
     routeCount: routes.length,
@@ -566,39 +1467,327 @@ async function processRoutes(options = {}) {
   logger.info(`Starting to process ${routes.length} routes from ${baseUrl}`);
   logger.debug("Routes to process", { routes });
 
-  // Track results and errors
+  /**
+   * Record a route's outcome in the manifest without failing the route
+   * @param {string} route - The route
+   * @param {string} status - pending, done, failed or skipped
+   * @param {Object} [details] - { files, error, reason }
+   */
+  const recordRoute = async (route, status, details = {}) => {
+    try {
+      await manifest.update(route, status, details);
+    } catch (error) {
+      logger.error(`Failed to update run manifest: ${error.message}`);
+    }
+  };
+
+  // Track errors; results are collected by the pool in route order
+  const errors = [];
+  let completed = 0;
+
+  const limiter = createHostLimiter({
+    maxPerHost: runOptions.maxPerHost || DEFAULT_MAX_PER_HOST,
+    minDelay: runOptions.hostDelay,
+    jitter: runOptions.hostJitter,
+  });
+
+  const routeOptions = {
+    limiter,
+    retries: runOptions.retries,
+    retryDelay: runOptions.retryDelay,
+    // A fresh breaker per run, so hosts that failed in an earlier run start closed
+    circuitBreaker: createCircuitBreaker(),
+    ignoreRobots: runOptions.ignoreRobots,
+    contentStrategy: runOptions.contentStrategy,
+    profiles: runOptions.profiles,
+    keepAnchors: runOptions.keepAnchors,
+    textMode: runOptions.textMode,
+    wrap: runOptions.wrap,
+    jsonMarkdown: runOptions.jsonMarkdown,
+    toc: runOptions.toc,
+    frontMatter: runOptions.frontMatter,
+    languages: runOptions.languages,
+    // One store for the run, so shared images are downloaded once
+    images: resolveImageStore(runOptions.images, outputDir),
+    cache: resolveHttpCache(runOptions.cache, outputDir),
+    outputDir,
+    request: prepareRequestOptions(runOptions.request),
+  };
+
+  const routeResults = await runPool(
+    routes,
+    async (route) => {
+      try {
+        const result = await generateFilesForRoute(
+          resolvedBaseUrl,
+          route,
+          validFormat,
+          { ...routeOptions, profile: routeProfiles.get(route) }
+        );
+
+        if (!result) {
+          await recordRoute(route, "failed", { error: "fetch_failed" });
+        } else if (result.skipped) {
+          await recordRoute(route, "skipped", { reason: result.reason });
+        } else {
+          // Manifest paths are relative so the output directory can be moved
+          const files = Object.fromEntries(
+            Object.entries(result.files).map(([fileFormat, filePath]) => [
+              fileFormat,
+              // CSV files come as a list, one per table
+              Array.isArray(filePath)
+                ? filePath.map((file) => path.relative(outputDir, file))
+                : path.relative(outputDir, filePath),
+            ])
+          );
+          await recordRoute(route, "done", { files });
+        }
+
+        return result;
+      } catch (error) {
+        logger.error(`Failed to process route ${route}: ${error.message}`);
+        errors.push({
+          route,
+          error: error.message,
+        });
+        await recordRoute(route, "failed", { error: error.message });
+        return null;
+      } finally {
+        completed++;
+        logger.progress("processing_routes", completed, routes.length, {
+          currentRoute: route,
+        });
+      }
+    },
+    { concurrency: runOptions.concurrency || DEFAULT_CONCURRENCY }
+  );
+  const results = routeResults.filter((result) => result && !result.skipped);
+  const skipped = routeResults
+    .filter((result) => result && result.skipped)
+    .map(({ route, reason }) => ({ route, reason }));
+
+  // Boilerplate is only known once every page is in, so files are rewritten afterwards
+  let boilerplate;
+  if (runOptions.boilerplate) {
+    // Only this run's pages are in memory; earlier pages keep their files as they are
+    if (finishedEarlier > 0) {
+      logger.warn(
+        `${finishedEarlier} page(s) finished before resuming are not checked for boilerplate; run again without resuming to clean every page`
+      );
+    }
+    try {
+      boilerplate = await removeRunBoilerplate(
+        results,
+        runOptions.boilerplate,
+        runOptions.frontMatter
+      );
+      await manifest.setBoilerplate(boilerplate);
+    } catch (error) {
+      logger.error(`Failed to remove boilerplate: ${error.message}`);
+    }
+  }
+
+  await manifest.save();
+
+  // Log a summary of results
+  logger.info(`Completed processing ${routes.length} routes`, {
+    successful: results.length,
+    skipped: skipped.length,
+    failed: errors.length,
+    skippedRoutes: skipped.length > 0 ? skipped : undefined,
+    boilerplate,
+    errors: errors.length > 0 ? errors : undefined,
+  });
+
+  return results;
+}
+
+/**
+ * Crawl a site by following same-origin links from one or more seed routes
+ *
+ * Pages are visited breadth-first and written through generateFilesForRoute.
+ *
+ * @param {Object} options - Crawl options
+ * @param {string} [options.baseUrl] - The base URL (only links on its origin are followed)
+ * @param {string[]} [options.seeds] - Routes to start crawling from
+ * @param {number} [options.maxDepth=2] - How many links away from a seed to follow
+ * @param {number} [options.maxPages=100] - Maximum number of pages to visit
+ * @param {string|RegExp|Array<string|RegExp>} [options.include] - Only follow paths matching one of these patterns
+ * @param {string|RegExp|Array<string|RegExp>} [options.exclude] - Never follow paths matching these patterns
+ * @param {string} [options.format] - The output format (text, json, markdown, document, or all)
+ * @param {string} [options.outputDir] - Output directory
+ * @param {number} [options.hostDelay=0] - Minimum ms between requests to the site
+ * @param {number} [options.hostJitter=0] - Maximum random ms added to hostDelay
+ * @param {number} [options.retries=3] - How many times to retry a failed request
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in ms between retries
+ * @param {boolean} [options.ignoreRobots=false] - Ignore robots.txt and meta robots (for sites you own)
+ * @param {string} [options.contentStrategy="readability"] - How to find the main content of HTML pages: "readability" or "selector"
+ * @param {Object} [options.profiles] - Extraction profiles keyed by hostname or URL pattern (see utils/profiles.js)
+ * @param {boolean} [options.keepAnchors=false] - Keep same-page "#section" links in markdown as local links
+ * @param {boolean|Object} [options.images=false] - Download content images into output/assets: true or { dir, maxBytes, types }
+ * @param {string} [options.textMode="structured"] - Layout of textContent for HTML pages: "structured" or "single-line"
+ * @param {number} [options.wrap] - Wrap structured textContent at this many characters
+ * @param {string} [options.jsonMarkdown="rendered"] - Markdown for JSON responses: "rendered" (sections, lists and tables) or "code" (the raw JSON in a code block)
+ * @param {boolean} [options.toc=false] - Start the markdown with a table of contents linking to the headings
+ * @param {boolean|string[]} [options.frontMatter] - Start markdown files with YAML front matter: true for every field, or a list of fields (see utils/frontMatter.js)
+ * @param {string[]} [options.languages] - Only write pages in these languages ("es" matches "es-MX"); others are skipped
+ * @param {boolean|Object} [options.boilerplate=false] - Remove text blocks repeated across the run's pages: true, or { minShare, minPages } (the removed blocks are listed in boilerplate.json in the output directory)
+ * @param {boolean|Object} [options.cache=false] - Reuse cached responses: true, { dir, ttl }, or a cache from createHttpCache
+ * @param {Object} [options.request] - Headers, cookies, proxy, TLS and timeout options, globally and per host (see fetchResponse)
+ * @returns {Promise<Array>} - Array of results for the visited pages
+ */
+async function crawlSite(options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  const seeds = options.seeds || ["/"];
+  const maxDepth = options.maxDepth ?? 2;
+  const maxPages = options.maxPages ?? 100;
+  const filters = { include: options.include, exclude: options.exclude };
+
+  if (!isValidUrl(baseUrl)) {
+    throw new Error(`Invalid base URL: ${baseUrl}`);
+  }
+  if (!Array.isArray(seeds) || seeds.length === 0) {
+    throw new Error("Seeds must be a non-empty array");
+  }
+
+  const format = VALID_FORMATS.includes(options.format)
+    ? options.format
+    : DEFAULT_FORMAT;
+
+  const outputDir = options.outputDir || OUTPUT_DIR;
+
+  const origin = new URL(baseUrl).origin;
+  const crawlContext = logger.startOperation("crawl_site", {
+    baseUrl,
+    seeds,
+    maxDepth,
+    maxPages,
+    format,
+  });
+
+  // Queue of pages to visit; "seen" holds every normalized URL ever queued
+  const queue = [];
+  const seen = new Set();
+  const enqueue = (url, depth) => {
+    const normalized = normalizeUrl(url, origin);
+    if (!normalized || seen.has(normalized)) return;
+    seen.add(normalized);
+    queue.push({ url: normalized, depth });
+  };
+
+  seeds.forEach((seed) => enqueue(seed, 0));
+
   const results = [];
   const errors = [];
+  let visited = 0;
+  let skipped = 0;
 
-  for (let i = 0; i < routes.length; i++) {
-    const route = routes[i];
-    logger.progress("processing_routes", i + 1, routes.length, {
+  const limiter = createHostLimiter({
+    minDelay: options.hostDelay,
+    jitter: options.hostJitter,
+  });
+  const cache = resolveHttpCache(options.cache, outputDir);
+  const request = prepareRequestOptions(options.request);
+  const images = resolveImageStore(options.images, outputDir);
+  const circuitBreaker = createCircuitBreaker();
+
+  while (queue.length > 0 && visited < maxPages) {
+    const { url, depth } = queue.shift();
+    const urlObj = new URL(url);
+    const route = `${urlObj.pathname}${urlObj.search}`;
+    visited++;
+
+    logger.progress("crawling_site", visited, maxPages, {
       currentRoute: route,
+      depth,
+      queued: queue.length,
     });
 
     try {
-      const result = await generateFilesForRoute(
-        resolvedBaseUrl,
-        route,
-        validFormat
-      );
-      if (result) {
-        results.push(result);
+      const result = await generateFilesForRoute(origin, route, format, {
+        collectLinks: depth < maxDepth,
+        limiter,
+        retries: options.retries,
+        retryDelay: options.retryDelay,
+        circuitBreaker,
+        ignoreRobots: options.ignoreRobots,
+        contentStrategy: options.contentStrategy,
+        profiles: options.profiles,
+        keepAnchors: options.keepAnchors,
+        textMode: options.textMode,
+        wrap: options.wrap,
+        jsonMarkdown: options.jsonMarkdown,
+        toc: options.toc,
+        frontMatter: options.frontMatter,
+        languages: options.languages,
+        images,
+        cache,
+        request,
+        outputDir,
+      });
+      if (!result) continue;
+
+      // Skipped (noindex or other-language) pages may still have links worth following
+      const { links = [], ...pageResult } = result;
+      if (pageResult.skipped) {
+        skipped++;
+      } else {
+        results.push(pageResult);
+      }
+
+      for (const link of links) {
+        const linkUrl = new URL(link);
+        const linkRoute = `${linkUrl.pathname}${linkUrl.search}`;
+        if (
+          linkUrl.origin === origin &&
+          !isSkippedResource(link) &&
+          matchesPathPatterns(linkRoute, filters)
+        ) {
+          enqueue(link, depth + 1);
+        }
       }
     } catch (error) {
-      logger.error(`Failed to process route ${route}: ${error.message}`);
-      errors.push({
-        route,
-        error: error.message,
+      logger.error(`Failed to crawl route ${route}: ${error.message}`);
+      errors.push({ route, error: error.message });
+    }
+  }
+
+  let boilerplate;
+  if (options.boilerplate) {
+    try {
+      boilerplate = await removeRunBoilerplate(results, options.boilerplate, options.frontMatter);
+
+      // Crawls have no manifest, so the blocks go to a report of their own
+      const reportPath = path.join(outputDir, BOILERPLATE_REPORT_FILE);
+      const report = JSON.stringify(
+        {
+          baseUrl: origin,
+          seeds,
+          createdAt: new Date().toISOString(),
+          // Items of mapped JSON lists count as pages, as in removeRunBoilerplate
+          pages: results.flatMap((result) => result.items || [result]).length,
+          boilerplate,
+        },
+        null,
+        2
+      );
+      await fs.outputFile(reportPath, report);
+      logger.fileSystem("write", reportPath, {
+        format: "json",
+        size: Buffer.byteLength(report),
       });
+    } catch (error) {
+      logger.error(`Failed to remove boilerplate: ${error.message}`);
     }
   }
 
-  // Log a summary of results
-  logger.info(`Completed processing ${routes.length} routes`, {
+  logger.endOperation(crawlContext, "success", {
+    visited,
     successful: results.length,
+    skipped,
     failed: errors.length,
-    errors: errors.length > 0 ? errors : undefined,
+    unvisited: queue.length,
+    boilerplate,
   });
 
   return results;
@@ -608,9 +1797,10 @@ async function processRoutes(options = {}) {
  * Process a single page URL
  * @param {string} url - Full URL to process
  * @param {string} format - Output format
+ * @param {Object} [options] - Processing options (see generateFilesForRoute)
  * @returns {Promise<Object|null>} - Result or null if processing fails
  */
-async function processSinglePage(url, format = DEFAULT_FORMAT) {
+async function processSinglePage(url, format = DEFAULT_FORMAT, options = {}) {
   try {
     if (!isValidUrl(url)) {
       throw new Error(`Invalid URL: ${url}`);
@@ -624,26 +1814,38 @@ async function processSinglePage(url, format = DEFAULT_FORMAT) {
     const route = urlObj.pathname;
 
     logger.info(`Processing single page: ${url}`);
-    return await generateFilesForRoute(baseUrl, route, format);
+    return await generateFilesForRoute(baseUrl, route, format, options);
   } catch (error) {
     logger.error(`Failed to process single page: ${error.message}`);
     throw error;
   }
 }
 
-program
-  .option("-u, --url <url>", "URL to scoop")
-  .option(
-    "-f, --file <file>",
-    "JSON file with URLs to scoop",
-    "urls/routes.json"
-  )
-  .option("-o, --output <directory>", "Output directory", "output")
-  .parse(process.argv);
-
-const options = program.opts();
+/**
+ * Read the Puppeteer path's options from the command line
+ * @returns {Object} - { url, file, output, frontMatter, frontMatterFields }
+ */
+function getPuppeteerOptions() {
+  return program
+    .option("-u, --url <url>", "URL to scoop")
+    .option(
+      "-f, --file <file>",
+      "JSON file with URLs to scoop",
+      "urls/routes.json"
+    )
+    .option("-o, --output <directory>", "Output directory", "output")
+    .option("--front-matter", "Start markdown files with YAML front matter")
+    .option(
+      "--front-matter-fields <fields>",
+      "Comma-separated front matter fields (implies --front-matter)"
+    )
+    // The routes CLI below parses its own flags from the same arguments
+    .allowUnknownOption()
+    .parse(process.argv)
+    .opts();
+}
 
-async function processUrl(url) {
+async function processUrl(url, options) {
   console.log(`Processing ${url}`);
   try {
     if (!puppeteer) {
@@ -668,7 +1870,11 @@ async function processUrl(url) {
       options.output,
       `${title.replace(/\s+/g, "-").replace(/[^a-zA-Z0-9-]/g, "")}.md`
     );
-    saveToFile(outputPath, { title, content, url });
+    saveToFile(outputPath, { title, content, url }, {
+      frontMatter: options.frontMatterFields
+        ? options.frontMatterFields.split(",").map((field) => field.trim())
+        : options.frontMatter,
+    });
 
     console.log(`Processed ${url} -> ${outputPath}`);
   } catch (error) {
@@ -677,12 +1883,13 @@ async function processUrl(url) {
 }
 
 async function main() {
+  const options = getPuppeteerOptions();
   if (!fs.existsSync(options.output)) {
     fs.mkdirSync(options.output, { recursive: true });
   }
 
   if (options.url) {
-    await processUrl(options.url);
+    await processUrl(options.url, options);
   } else {
     const urlsFile = path.resolve(options.file);
     if (!fs.existsSync(urlsFile)) {
@@ -693,26 +1900,36 @@ async function main() {
     const urls = JSON.parse(fs.readFileSync(urlsFile, "utf8"));
 
     for (const url of urls) {
-      await processUrl(url);
+      await processUrl(url, options);
     }
   }
 }
 
-main().catch(console.error);
-
 // If this file is run directly (not imported)
 if (require.main === module) {
+  main().catch(console.error);
+
   (async () => {
     try {
-      // Check for previous outputs and ask user if they want to delete them
-      const shouldDelete = await shouldDeletePreviousOutputs();
-      if (shouldDelete) {
-        await deletePreviousOutputs();
-      }
-
       // Command line arguments handling
       const args = process.argv.slice(2);
 
+      // --resume continues the previous run recorded in the output manifest
+      const resumeIndex = args.indexOf("--resume");
+      const resume = resumeIndex !== -1;
+      if (resume) {
+        args.splice(resumeIndex, 1);
+      }
+
+      // Check for previous outputs and ask user if they want to delete them
+      // (a resumed run keeps the files the previous run wrote)
+      if (!resume) {
+        const shouldDelete = await shouldDeletePreviousOutputs();
+        if (shouldDelete) {
+          await deletePreviousOutputs();
+        }
+      }
+
       // Extract route path flag if specified
       let routePathIndex = args.findIndex((arg) => arg === "-routePath");
       let routePathValue = null;
@@ -772,6 +1989,7 @@ if (require.main === module) {
               baseUrl: baseUrl,
               routePath: routesFilePath,
               format: format,
+              resume,
             });
             logger.info(
               `\nAll routes from file processed. Check the output directory: ${OUTPUT_DIR}`
@@ -797,6 +2015,7 @@ if (require.main === module) {
             baseUrl: baseUrl,
             routes: routes,
             format: format,
+            resume,
           });
           logger.info(
             `\nAll routes processed. Check the output directory: ${OUTPUT_DIR}`
@@ -838,7 +2057,12 @@ module.exports = {
   generateFilesForRoute,
   processRoutes,
   processSinglePage,
+  crawlSite,
   loadRoutesFromFile,
+  loadSitemapRoutes,
+  clearHttpCache,
+  loadRequestConfig,
+  loadProfiles,
   isValidUrl,
   shouldDeletePreviousOutputs,
   deletePreviousOutputs,
@@ -3,6 +3,7 @@
  */
 const fs = require("fs-extra");
 const path = require("path");
+const { addFrontMatter } = require("../utils/frontMatter");
 
 /**
  * Save extracted content to a file
@@ -11,15 +12,21 @@ const path = require("path");
  * @param {string} data.title - Page title
  * @param {string} data.content - Page content
  * @param {string} data.url - Source URL
+ * @param {object} [options] - Save options
+ * @param {boolean|string[]} [options.frontMatter] - Start the file with YAML front matter
+ *   (true for every field, or a list of fields) instead of ending it with a "Source:" line
  * @returns {Promise<string>} The path of the saved file
  */
-async function saveToFile(outputPath, data) {
+async function saveToFile(outputPath, data, options = {}) {
   try {
     // Ensure the directory exists
     await fs.ensureDir(path.dirname(outputPath));
 
     // Format the content in markdown
-    const markdown = `# ${data.title}\n\n${data.content}\n\n---\nSource: [${data.url}](${data.url})`;
+    const body = `# ${data.title}\n\n${data.content}`;
+    const markdown = options.frontMatter
+      ? addFrontMatter(body, { timestamp: new Date().toISOString(), ...data }, options.frontMatter)
+      : `${body}\n\n---\nSource: [${data.url}](${data.url})`;
 
     // Write to file
     await fs.writeFile(outputPath, markdown, "utf8");
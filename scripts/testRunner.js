@@ -1289,6 +1289,11 @@ async function runTests() {
               continue;
             }
 
+            // The run manifest describes a run, not sample content
+            if (file === "manifest.json") {
+              continue;
+            }
+
             const sourcePath = path.join(config.outputDir, file);
 
             // Make sure config.samplesDir is defined
@@ -6,7 +6,12 @@ const {
   generateFilesForRoute,
   processRoutes,
   processSinglePage,
+  crawlSite,
   loadRoutesFromFile,
+  loadSitemapRoutes,
+  clearHttpCache,
+  loadRequestConfig,
+  loadProfiles,
   isValidUrl,
   shouldDeletePreviousOutputs,
   deletePreviousOutputs,
@@ -21,7 +26,12 @@ module.exports = {
   generateFilesForRoute,
   processRoutes,
   processSinglePage,
+  crawlSite,
   loadRoutesFromFile,
+  loadSitemapRoutes,
+  clearHttpCache,
+  loadRequestConfig,
+  loadProfiles,
   isValidUrl,
   shouldDeletePreviousOutputs,
   deletePreviousOutputs,
@@ -59,6 +59,13 @@ ${colors.magenta}Usage:${colors.reset}
   ${colors.bright}3. Single page:${colors.reset} ${colors.cyan}scoopit https://wikipedia.org/page [format]${colors.reset}
   ${colors.bright}4. Routes file:${colors.reset} ${colors.cyan}scoopit routes.json [format] [baseUrl]${colors.reset}
   ${colors.bright}5. Custom routes path:${colors.reset} ${colors.cyan}scoopit -routePath ./path/to/routes.json${colors.reset}
+  ${colors.bright}6. Sitemap:${colors.reset} ${colors.cyan}scoopit https://example.com --sitemap [--since date] [--prefix /news] [format]${colors.reset}
+  ${colors.bright}7. Crawl:${colors.reset} ${colors.cyan}scoopit https://example.com/section --crawl [--depth 2] [--max-pages 100] [format]${colors.reset}
+
+${colors.magenta}HTTP cache:${colors.reset}
+  Pages are fetched fresh on every run. Add ${colors.cyan}--cache${colors.reset} to keep them in output/cache and revalidate
+  them next time, ${colors.cyan}--cache-ttl <ms>${colors.reset} to reuse recent pages without asking the server,
+  or ${colors.cyan}--clear-cache${colors.reset} to empty the cache.
 `);
 }
 
@@ -1,4 +1,6 @@
 const { expect } = require('chai');
+const { spawnSync } = require('child_process');
+const path = require('path');
 const { DEFAULT_BASE_URL, DEFAULT_ROUTES } = require('../index');
 
 describe('Basic application configuration', function() {
@@ -22,4 +24,20 @@ describe('Basic application configuration', function() {
       });
     });
   });
+
+  describe('require()', function() {
+    this.timeout(20000);
+
+    it('should leave command-line flags to the CLI that loads it', function() {
+      const result = spawnSync(
+        process.execPath,
+        ['-e', 'require("./index"); console.log("loaded")', '--', '--sitemap', '--concurrency', '2'],
+        { cwd: path.join(__dirname, '..'), encoding: 'utf8', timeout: 15000 }
+      );
+
+      expect(result.status).to.equal(0);
+      expect(result.stderr).to.not.include('unknown option');
+      expect(result.stdout.trim()).to.equal('loaded');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes, crawlSite } = require("../index");
+const logger = require("../utils/logger");
+const { MANIFEST_FILE } = require("../utils/manifest");
+const {
+  BOILERPLATE_REPORT_FILE,
+  findBoilerplate,
+  removeBoilerplate,
+} = require("../utils/boilerplate");
+
+describe("Boilerplate removal", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const cookies = "This site uses cookies to improve your experience.";
+  const page = (text) => ({
+    textContent: `${text}\n\n${cookies}`,
+    markdownContent: `${text}\n\n*${cookies}*`,
+  });
+
+  describe("findBoilerplate()", () => {
+    it("should report blocks on at least half of the pages", () => {
+      const pages = [page("One"), page("Two"), page("Three"), page("Four")];
+      pages[0].textContent += "\n\nSubscribe to our newsletter";
+      pages[1].textContent += "\n\nSubscribe to our newsletter";
+
+      expect(findBoilerplate(pages)).to.deep.equal([{ text: cookies, pages: 4 }]);
+      expect(findBoilerplate(pages, { minPages: 2 })).to.deep.equal([
+        { text: cookies, pages: 4 },
+        { text: "Subscribe to our newsletter", pages: 2 },
+      ]);
+    });
+
+    it("should leave runs with too few pages alone", () => {
+      expect(findBoilerplate([page("One"), page("Two")])).to.be.empty;
+      expect(findBoilerplate([page("One"), page("Two")], { minPages: 2 })).to.have.lengthOf(1);
+    });
+
+    it("should apply the share threshold", () => {
+      const pages = [page("One"), page("Two"), page("Three"), { textContent: "Four" }];
+      expect(findBoilerplate(pages, { minShare: 0.75 })).to.have.lengthOf(1);
+      expect(findBoilerplate(pages, { minShare: 1 })).to.be.empty;
+    });
+  });
+
+  describe("removeBoilerplate()", () => {
+    it("should match blocks across text and markdown markup", () => {
+      const blocks = [{ text: "- Home\n- Contact us", pages: 5 }, { text: cookies, pages: 5 }];
+
+      expect(
+        removeBoilerplate(
+          "# Annual Report\n\n-   [Home](https://example.org/)\n-   [Contact us](https://example.org/contact)\n\nArrests fell.\n\n> *This site uses cookies to   improve your experience.*",
+          blocks
+        )
+      ).to.deep.equal({ content: "# Annual Report\n\nArrests fell.", removed: 2 });
+    });
+
+    it("should leave content without boilerplate untouched", () => {
+      const content = "Arrests fell.\n\n\nCourt filings rose.\n";
+      expect(removeBoilerplate(content, [{ text: cookies, pages: 3 }])).to.deep.equal({
+        content,
+        removed: 0,
+      });
+    });
+  });
+
+  describe("processRoutes() and crawlSite()", () => {
+    const html = (title, links = "") =>
+      `<html><head><title>${title}</title></head><body><main>
+        <h1>${title}</h1>
+        <p>${title} research and analysis for the state of Illinois.</p>
+        <p>${cookies}</p>${links}
+      </main></body></html>`;
+
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should rewrite the files and list the blocks in the manifest", async () => {
+      nock("https://boilerplate.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/a")
+        .reply(200, html("Arrests"))
+        .get("/b")
+        .reply(200, html("Courts"))
+        .get("/c")
+        .reply(200, html("Corrections"));
+
+      const results = await processRoutes({
+        baseUrl: "https://boilerplate.example",
+        routes: ["/a", "/b", "/c"],
+        format: "all",
+        outputDir,
+        boilerplate: true,
+      });
+
+      const [first] = results;
+      expect(first.data.textContent).to.not.include(cookies);
+      expect(first.data.markdownContent).to.not.include(cookies);
+      expect(first.data.boilerplateRemoved).to.equal(1);
+
+      expect(await fs.readFile(first.files.text, "utf8")).to.equal(first.data.textContent);
+      expect(await fs.readFile(first.files.markdown, "utf8")).to.equal(first.data.markdownContent);
+      expect((await fs.readJson(first.files.json)).textContent).to.equal(first.data.textContent);
+
+      const manifest = await fs.readJson(path.join(outputDir, MANIFEST_FILE));
+      expect(manifest.boilerplate).to.deep.equal([{ text: cookies, pages: 3 }]);
+    });
+
+    it("should list the blocks a crawl removed in a report", async () => {
+      nock("https://boilerplate.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/")
+        .reply(200, html("Home", '<a href="/b">Courts</a><a href="/c">Corrections</a>'))
+        .get("/b")
+        .reply(200, html("Courts"))
+        .get("/c")
+        .reply(200, html("Corrections"));
+
+      const results = await crawlSite({
+        baseUrl: "https://boilerplate.example",
+        format: "text",
+        outputDir,
+        boilerplate: true,
+      });
+
+      expect(results).to.have.lengthOf(3);
+      expect(results[0].data.textContent).to.not.include(cookies);
+
+      const report = await fs.readJson(path.join(outputDir, BOILERPLATE_REPORT_FILE));
+      expect(report).to.include({ baseUrl: "https://boilerplate.example", pages: 3 });
+      expect(report.boilerplate).to.deep.equal([{ text: cookies, pages: 3 }]);
+    });
+
+    it("should leave pages finished before resuming alone and warn about them", async () => {
+      const newsletter = "Subscribe to our newsletter for monthly updates.";
+      const earlierText = `Arrests\n\n${cookies}`;
+      await fs.outputFile(path.join(outputDir, "text", "a.txt"), earlierText);
+      await fs.outputJson(path.join(outputDir, MANIFEST_FILE), {
+        baseUrl: "https://boilerplate.example",
+        format: "text",
+        routes: {
+          "/a": { status: "done", files: { text: "text/a.txt" } },
+          "/b": { status: "pending", files: {} },
+          "/c": { status: "pending", files: {} },
+          "/d": { status: "failed", files: {}, error: "fetch_failed" },
+        },
+        boilerplate: [
+          { text: cookies, pages: 1 },
+          { text: newsletter, pages: 1 },
+        ],
+      });
+
+      nock("https://boilerplate.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/b")
+        .reply(200, html("Courts"))
+        .get("/c")
+        .reply(200, html("Corrections"))
+        .get("/d")
+        .reply(200, html("Victims"));
+
+      const warn = sinon.spy(logger, "warn");
+      let results;
+      try {
+        results = await processRoutes({
+          baseUrl: "https://boilerplate.example",
+          routes: ["/a", "/b", "/c", "/d"],
+          format: "text",
+          outputDir,
+          resume: true,
+          boilerplate: true,
+        });
+      } finally {
+        warn.restore();
+      }
+
+      expect(results.map((result) => result.route)).to.deep.equal(["/b", "/c", "/d"]);
+      expect(results[0].data.textContent).to.not.include(cookies);
+      expect(await fs.readFile(path.join(outputDir, "text", "a.txt"), "utf8")).to.equal(
+        earlierText
+      );
+      expect(warn.calledWithMatch(/^1 page\(s\) finished before resuming/)).to.be.true;
+
+      // Blocks the interrupted run recorded stay listed, counted with this run's
+      const manifest = await fs.readJson(path.join(outputDir, MANIFEST_FILE));
+      expect(manifest.boilerplate).to.deep.equal([
+        { text: cookies, pages: 4 },
+        { text: newsletter, pages: 1 },
+      ]);
+    });
+  });
+});
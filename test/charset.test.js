@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const iconv = require("iconv-lite");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes, fetchContent } = require("../index");
+const { decodeBody, normalizeCharset } = require("../utils/charset");
+
+describe("Charset decoding", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const latin1 = (text) => iconv.encode(text, "windows-1252");
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe("decodeBody()", () => {
+    it("should use the Content-Type charset first", () => {
+      const result = decodeBody(latin1("café"), "text/html; charset=ISO-8859-1");
+
+      expect(result).to.deep.equal({
+        text: "café",
+        charset: "windows-1252",
+        source: "header",
+      });
+    });
+
+    it("should fall back to a byte order mark", () => {
+      const body = Buffer.concat([
+        Buffer.from([0xef, 0xbb, 0xbf]),
+        Buffer.from("naïve", "utf8"),
+      ]);
+      const result = decodeBody(body, "text/html");
+
+      expect(result.text).to.equal("naïve");
+      expect(result.source).to.equal("bom");
+    });
+
+    it("should read <meta charset> and http-equiv declarations", () => {
+      const meta = decodeBody(
+        latin1('<html><head><meta charset="windows-1252"></head><p>Müller</p>')
+      );
+      const httpEquiv = decodeBody(
+        latin1(
+          '<meta http-equiv="Content-Type" content="text/html; charset=iso-8859-1"><p>Señor</p>'
+        )
+      );
+
+      expect(meta.text).to.include("Müller");
+      expect(meta.source).to.equal("declaration");
+      expect(httpEquiv.text).to.include("Señor");
+    });
+
+    it("should sniff undeclared bodies", () => {
+      expect(decodeBody(Buffer.from("<p>Zürich</p>", "utf8")).charset).to.equal(
+        "utf-8"
+      );
+      expect(decodeBody(latin1("<p>Zürich</p>"))).to.include({
+        text: "<p>Zürich</p>",
+        charset: "windows-1252",
+        source: "sniffed",
+      });
+    });
+
+    it("should ignore unknown charset labels", () => {
+      expect(normalizeCharset("x-made-up")).to.be.null;
+      expect(decodeBody(Buffer.from("ok"), "text/html; charset=x-made-up").source)
+        .to.equal("sniffed");
+    });
+  });
+
+  describe("fetching", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      await fs.remove(outputDir);
+    });
+
+    it("should return decoded text from fetchContent", async () => {
+      nock("https://charset.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/page")
+        .reply(200, latin1("Crème brûlée"), {
+          "Content-Type": "text/plain; charset=iso-8859-1",
+        });
+
+      expect(await fetchContent("https://charset.example/page")).to.equal(
+        "Crème brûlée"
+      );
+    });
+
+    it("should write clean UTF-8 and record the charset in the JSON", async () => {
+      nock("https://charset.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/about")
+        .reply(
+          200,
+          latin1(
+            '<html><head><meta charset="iso-8859-1"><title>À propos</title></head><body><main><p>Déjà vu</p></main></body></html>'
+          ),
+          { "Content-Type": "text/html" }
+        );
+
+      const [result] = await processRoutes({
+        baseUrl: "https://charset.example",
+        routes: ["/about"],
+        format: "json",
+        outputDir,
+      });
+
+      expect(result.data.charset).to.equal("windows-1252");
+      expect(result.data.textContent).to.equal("Déjà vu");
+    });
+  });
+});
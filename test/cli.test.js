@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+describe("CLI", function () {
+  this.timeout(30000);
+
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-cli-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(cwd);
+  });
+
+  // Runs the CLI in a scratch directory so its logs and output stay out of the repo
+  const run = (...args) =>
+    spawnSync(process.execPath, [CLI, ...args], {
+      cwd,
+      encoding: "utf8",
+      input: "",
+      timeout: 20000,
+    });
+
+  describe("HTTP cache", () => {
+    let server;
+    let url;
+
+    before((done) => {
+      server = http.createServer((req, res) => {
+        if (req.url === "/robots.txt") {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { "Content-Type": "text/html", ETag: '"v1"' });
+        res.end("<html><head><title>Page</title></head><body><main><p>Hello</p></main></body></html>");
+      });
+      server.listen(0, "127.0.0.1", () => {
+        url = `http://127.0.0.1:${server.address().port}/page`;
+        done();
+      });
+    });
+
+    after((done) => {
+      server.close(done);
+    });
+
+    // The server runs in this process, so the CLI must not block the event loop
+    const runAsync = (...args) =>
+      new Promise((resolve) => {
+        const child = spawn(process.execPath, [CLI, ...args], { cwd, stdio: "ignore" });
+        const timer = setTimeout(() => child.kill(), 20000);
+        child.on("exit", (status) => {
+          clearTimeout(timer);
+          resolve(status);
+        });
+      });
+
+    it("should only cache responses when asked to", async () => {
+      const cacheDir = () => path.join(cwd, "output", "cache");
+
+      expect(await runAsync(url, "text")).to.equal(0);
+      expect(await fs.pathExists(path.join(cwd, "output", "text"))).to.be.true;
+      expect(await fs.pathExists(cacheDir())).to.be.false;
+
+      expect(await runAsync(url, "text", "--cache")).to.equal(0);
+      expect(await fs.readdir(cacheDir())).to.not.be.empty;
+    });
+  });
+
+  describe("skipped pages", () => {
+    let server;
+    let origin;
+
+    before((done) => {
+      server = http.createServer((req, res) => {
+        if (req.url === "/robots.txt") {
+          res.writeHead(200, { "Content-Type": "text/plain" });
+          res.end("User-agent: *\nDisallow: /private");
+          return;
+        }
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.end('<html lang="fr"><head><title>Page</title></head><body><main><p>Bonjour</p></main></body></html>');
+      });
+      server.listen(0, "127.0.0.1", () => {
+        origin = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    after((done) => {
+      server.close(done);
+    });
+
+    // Like runAsync above, but keeping what the CLI prints
+    const runOutput = (...args) =>
+      new Promise((resolve) => {
+        const child = spawn(process.execPath, [CLI, ...args], { cwd, stdio: ["ignore", "pipe", "pipe"] });
+        let output = "";
+        child.stdout.on("data", (chunk) => (output += chunk));
+        child.stderr.on("data", (chunk) => (output += chunk));
+        const timer = setTimeout(() => child.kill(), 20000);
+        child.on("exit", () => {
+          clearTimeout(timer);
+          resolve(output);
+        });
+      });
+
+    it("should only suggest --ignore-robots for pages robots rules skip", async () => {
+      const disallowed = await runOutput(`${origin}/private`, "text");
+      expect(disallowed).to.include("Skipped page (robots_disallowed)");
+      expect(disallowed).to.include("--ignore-robots");
+
+      const otherLanguage = await runOutput(`${origin}/page`, "text", "--lang", "en");
+      expect(otherLanguage).to.include("Skipped page (language)");
+      expect(otherLanguage).to.include("change or drop --lang");
+      expect(otherLanguage).to.not.include("--ignore-robots");
+    });
+  });
+
+  describe("--crawl", () => {
+    it("should reject depths and page limits that aren't counts", () => {
+      const depth = run("--crawl", "https://example.invalid", "--depth", "abc");
+      expect(depth.status).to.equal(1);
+      expect(depth.stdout + depth.stderr).to.include("Invalid value for --depth: abc");
+
+      const maxPages = run("--crawl", "https://example.invalid", "--max-pages", "-1");
+      expect(maxPages.status).to.equal(1);
+      expect(maxPages.stdout + maxPages.stderr).to.include("Invalid value for --max-pages: -1");
+
+      const noPages = run("--crawl", "https://example.invalid", "--max-pages", "0");
+      expect(noPages.stdout + noPages.stderr).to.include(
+        "Invalid value for --max-pages (expected at least 1): 0"
+      );
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { sleep, runPool, createHostLimiter } = require("../utils/concurrency");
+
+describe("Concurrent route processing", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  describe("runPool()", () => {
+    it("should keep results in input order", async () => {
+      const results = await runPool(
+        [30, 10, 20],
+        async (ms, index) => {
+          await sleep(ms);
+          return `${index}:${ms}`;
+        },
+        { concurrency: 3 }
+      );
+
+      expect(results).to.deep.equal(["0:30", "1:10", "2:20"]);
+    });
+
+    it("should never exceed the concurrency limit", async () => {
+      let active = 0;
+      let peak = 0;
+
+      await runPool(
+        [1, 2, 3, 4, 5, 6],
+        async () => {
+          active++;
+          peak = Math.max(peak, active);
+          await sleep(10);
+          active--;
+        },
+        { concurrency: 2 }
+      );
+
+      expect(peak).to.equal(2);
+    });
+  });
+
+  describe("createHostLimiter()", () => {
+    it("should limit in-flight requests per host", async () => {
+      const limiter = createHostLimiter({ maxPerHost: 1 });
+      const active = {};
+      const peak = {};
+
+      const request = (url) =>
+        limiter.schedule(url, async () => {
+          const host = new URL(url).host;
+          active[host] = (active[host] || 0) + 1;
+          peak[host] = Math.max(peak[host] || 0, active[host]);
+          await sleep(10);
+          active[host]--;
+        });
+
+      await Promise.all([
+        request("https://a.example/1"),
+        request("https://a.example/2"),
+        request("https://b.example/1"),
+        request("https://b.example/2"),
+      ]);
+
+      expect(peak).to.deep.equal({ "a.example": 1, "b.example": 1 });
+    });
+
+    it("should space out requests to the same host", async () => {
+      const limiter = createHostLimiter({ maxPerHost: 3, minDelay: 40 });
+      const starts = [];
+
+      await Promise.all(
+        [1, 2, 3].map((n) =>
+          limiter.schedule(`https://a.example/${n}`, async () => {
+            starts.push(Date.now());
+          })
+        )
+      );
+
+      expect(starts[1] - starts[0]).to.be.at.least(35);
+      expect(starts[2] - starts[1]).to.be.at.least(35);
+    });
+  });
+
+  describe("processRoutes()", () => {
+    const page = (title) =>
+      `<html><head><title>${title}</title></head><body><main><p>${title}</p></main></body></html>`;
+
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should return results in route order when responses arrive out of order", async () => {
+      nock("https://example.org")
+        .get("/slow")
+        .delay(60)
+        .reply(200, page("Slow"))
+        .get("/fast")
+        .reply(200, page("Fast"))
+        .get("/medium")
+        .delay(30)
+        .reply(200, page("Medium"));
+
+      const results = await processRoutes({
+        baseUrl: "https://example.org",
+        routes: ["/slow", "/fast", "/medium"],
+        format: "text",
+        outputDir,
+        concurrency: 3,
+        maxPerHost: 3,
+        ignoreRobots: true,
+      });
+
+      expect(results.map((result) => result.route)).to.deep.equal([
+        "/slow",
+        "/fast",
+        "/medium",
+      ]);
+    });
+  });
+});
@@ -124,6 +124,24 @@ describe("Content Processor Utilities", () => {
       expect(metaInfo).to.have.property("description", "");
     });
 
+    it("should read author, date, keywords and canonical URL from HTML", () => {
+      const metaInfo = extractMetaInfo(`<html><head>
+        <title>Annual Report</title>
+        <meta name="author" content="Research Unit">
+        <meta property="article:published_time" content="2024-05-01">
+        <meta name="keywords" content="arrests, courts">
+        <link rel="canonical" href="https://example.org/report">
+      </head><body><p>Arrests fell.</p></body></html>`);
+
+      expect(metaInfo).to.include({
+        title: "Annual Report",
+        author: "Research Unit",
+        date: "2024-05-01",
+        url: "https://example.org/report",
+      });
+      expect(metaInfo.keywords).to.deep.equal(["arrests", "courts"]);
+    });
+
     it("should handle null or empty input", () => {
       const emptyMetaInfo = extractMetaInfo(null);
       expect(emptyMetaInfo).to.deep.equal({ title: "", description: "" });
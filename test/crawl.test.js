@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { crawlSite } = require("../index");
+const {
+  normalizeUrl,
+  extractLinks,
+  matchesPathPatterns,
+} = require("../utils/urlUtils");
+
+describe("Crawl mode", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const page = (title, links) => `
+    <html>
+      <head><title>${title}</title></head>
+      <body>
+        <main>
+          <h1>${title}</h1>
+          <p>Content for ${title}.</p>
+          ${links.map((href) => `<a href="${href}">${href}</a>`).join("\n")}
+        </main>
+      </body>
+    </html>`;
+
+  let outputDir;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = "test";
+    sinon.stub(console, "log");
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+  });
+
+  afterEach(async () => {
+    console.log.restore();
+    nock.cleanAll();
+    await fs.remove(outputDir);
+  });
+
+  describe("normalizeUrl()", () => {
+    it("should drop fragments, trailing slashes and tracking params", () => {
+      expect(
+        normalizeUrl("https://Example.org/news/?utm_source=x&b=2&a=1#top")
+      ).to.equal("https://example.org/news?a=1&b=2");
+    });
+
+    it("should keep the root path and resolve relative URLs", () => {
+      expect(normalizeUrl("/", "https://example.org/a/b")).to.equal(
+        "https://example.org/"
+      );
+      expect(normalizeUrl("../c", "https://example.org/a/b")).to.equal(
+        "https://example.org/c"
+      );
+    });
+
+    it("should reject non-http URLs", () => {
+      expect(normalizeUrl("mailto:someone@example.org")).to.be.null;
+      expect(normalizeUrl("javascript:void(0)")).to.be.null;
+    });
+  });
+
+  describe("extractLinks()", () => {
+    it("should resolve links against the page URL and <base href>", () => {
+      const html = `<html><head><base href="https://example.org/docs/"></head>
+        <body><a href="guide">Guide</a><a href="#top">Top</a>
+        <a href="https://other.org/">Other</a></body></html>`;
+
+      expect(extractLinks(html, "https://example.org/")).to.deep.equal([
+        "https://example.org/docs/guide",
+        "https://other.org/",
+      ]);
+    });
+  });
+
+  describe("matchesPathPatterns()", () => {
+    it("should apply include and exclude patterns", () => {
+      const filters = { include: ["^/news"], exclude: /archive/ };
+
+      expect(matchesPathPatterns("/news/today", filters)).to.be.true;
+      expect(matchesPathPatterns("/news/archive/1", filters)).to.be.false;
+      expect(matchesPathPatterns("/about", filters)).to.be.false;
+    });
+  });
+
+  describe("crawlSite()", () => {
+    it("should follow same-origin links up to the max depth", async () => {
+      nock("https://example.org")
+        .get("/")
+        .reply(200, page("Home", ["/a", "/a/#section", "https://other.org/x"]))
+        .get("/a")
+        .reply(200, page("A", ["/b", "/"]))
+        .get("/b")
+        .reply(200, page("B", ["/c"]));
+
+      const results = await crawlSite({
+        baseUrl: "https://example.org",
+        maxDepth: 2,
+        format: "text",
+        outputDir,
+        ignoreRobots: true,
+      });
+
+      expect(results.map((result) => result.route)).to.deep.equal([
+        "/",
+        "/a",
+        "/b",
+      ]);
+      expect(results[0]).to.not.have.property("links");
+    });
+
+    it("should stop at the page limit and respect exclude patterns", async () => {
+      nock("https://example.org")
+        .get("/")
+        .reply(200, page("Home", ["/private", "/one", "/two"]))
+        .get("/one")
+        .reply(200, page("One", []));
+
+      const results = await crawlSite({
+        baseUrl: "https://example.org",
+        maxPages: 2,
+        exclude: "^/private",
+        format: "text",
+        outputDir,
+        ignoreRobots: true,
+      });
+
+      expect(results.map((result) => result.route)).to.deep.equal([
+        "/",
+        "/one",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { buildDocumentTree, blockText } = require("../utils/document");
+
+describe("Document trees", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  describe("buildDocumentTree()", () => {
+    it("should nest sections under their headings", () => {
+      const tree = buildDocumentTree(
+        `<p>Published <b>2024</b></p>
+         <h1>Annual Report</h1><p>Findings.</p>
+         <h2 id="sec-methods">Methodology</h2><p>Records<br>and filings.</p>
+         <h3>Sources</h3><p>Courts.</p>
+         <h2>Results</h2>
+         <h1>Appendix</h1>`
+      );
+
+      expect(tree.blocks).to.deep.equal([{ type: "paragraph", text: "Published 2024" }]);
+      expect(tree.sections.map((section) => section.heading)).to.deep.equal([
+        "Annual Report",
+        "Appendix",
+      ]);
+
+      const [methods, results] = tree.sections[0].sections;
+      expect(methods).to.deep.equal({
+        heading: "Methodology",
+        level: 2,
+        anchor: "methodology",
+        id: "sec-methods",
+        blocks: [{ type: "paragraph", text: "Records\nand filings." }],
+        sections: [
+          {
+            heading: "Sources",
+            level: 3,
+            anchor: "sources",
+            blocks: [{ type: "paragraph", text: "Courts." }],
+            sections: [],
+          },
+        ],
+      });
+      expect(results.blocks).to.be.empty;
+    });
+
+    it("should type lists, tables, images, quotes and code", () => {
+      const tree = buildDocumentTree(
+        `<ol><li>Arrests<ul><li>Adults</li><li>Juveniles</li></ul></li><li>Courts</li></ol>
+         <table><caption>Totals</caption><tr><th>County</th><th>Arrests</th></tr><tr><td>Cook</td><td>100</td></tr></table>
+         <figure><img src="chart.png" alt="Chart"><figcaption>Chart</figcaption><figcaption>Arrests by year</figcaption></figure>
+         <blockquote><p>First.</p><p>Second.</p></blockquote>
+         <pre><code class="language-r">summary(arrests)
+</code></pre>`,
+        {
+          baseUrl: "https://example.org/reports/",
+          imageFiles: { "https://example.org/reports/chart.png": "assets/3f2a.png" },
+        }
+      );
+
+      expect(tree.blocks).to.deep.equal([
+        {
+          type: "list",
+          ordered: true,
+          items: [
+            { text: "Arrests", items: [{ text: "Adults" }, { text: "Juveniles" }] },
+            { text: "Courts" },
+          ],
+        },
+        { type: "table", caption: "Totals", headers: ["County", "Arrests"], rows: [["Cook", "100"]] },
+        {
+          type: "image",
+          url: "https://example.org/reports/chart.png",
+          alt: "Chart",
+          caption: "Arrests by year",
+          file: "assets/3f2a.png",
+        },
+        { type: "quote", text: "First.\n\nSecond." },
+        { type: "code", language: "r", text: "summary(arrests)" },
+      ]);
+      expect(blockText(tree.blocks[0])).to.equal("- Arrests\n- Adults\n- Juveniles\n- Courts");
+    });
+
+    it("should read layout table cells as content", () => {
+      const tree = buildDocumentTree(
+        '<table role="presentation"><tr><td><h2>News</h2><p>Grants open.</p></td></tr></table>'
+      );
+
+      expect(tree.sections[0]).to.include({ heading: "News" });
+      expect(tree.sections[0].blocks).to.deep.equal([{ type: "paragraph", text: "Grants open." }]);
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should write the document format", async () => {
+      nock("https://document.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/report")
+        .reply(
+          200,
+          `<html lang="en"><head><title>Report</title></head><body><main>
+            <h1>Crime in Illinois</h1>
+            <p>Findings on arrests, court filings and corrections across the state.</p>
+            <h2>Methodology</h2>
+            <p>Arrest records were matched to court filings for every county.</p>
+          </main></body></html>`
+        );
+
+      const [result] = await processRoutes({
+        baseUrl: "https://document.example",
+        routes: ["/report"],
+        format: "document",
+        outputDir,
+      });
+
+      expect(result.files).to.have.all.keys("document");
+      expect(await fs.readJson(result.files.document)).to.deep.equal(result.document);
+      expect(result.document).to.include({
+        url: "https://document.example/report",
+        title: "Report",
+        language: "en",
+      });
+      expect(result.document.sections[0].sections[0]).to.deep.include({
+        heading: "Methodology",
+        blocks: [
+          {
+            type: "paragraph",
+            text: "Arrest records were matched to court filings for every county.",
+          },
+        ],
+      });
+    });
+
+    it("should remove boilerplate blocks from documents", async () => {
+      const cookies = "This site uses cookies to improve your experience.";
+      const html = (title) =>
+        `<html><head><title>${title}</title></head><body><main>
+          <h1>${title}</h1>
+          <p>${title} research and analysis for the state of Illinois.</p>
+          <p>${cookies}</p>
+        </main></body></html>`;
+
+      nock("https://document.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/a")
+        .reply(200, html("Arrests"))
+        .get("/b")
+        .reply(200, html("Courts"))
+        .get("/c")
+        .reply(200, html("Corrections"));
+
+      const [first] = await processRoutes({
+        baseUrl: "https://document.example",
+        routes: ["/a", "/b", "/c"],
+        format: "document",
+        outputDir,
+        boilerplate: true,
+      });
+
+      expect(first.document.sections[0].blocks).to.deep.equal([
+        { type: "paragraph", text: "Arrests research and analysis for the state of Illinois." },
+      ]);
+      expect(await fs.readJson(first.files.document)).to.deep.equal(first.document);
+    });
+  });
+});
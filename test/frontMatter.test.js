@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes, generateFilesForRoute } = require("../index");
+const { saveToFile } = require("../lib/saver");
+const { renderFrontMatter, addFrontMatter } = require("../utils/frontMatter");
+
+describe("Front matter", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const page = {
+    url: "https://example.org/reports/annual",
+    route: "/reports/annual",
+    title: "Arrests: A Review",
+    description: "",
+    author: null,
+    date: "2024-05-01",
+    keywords: ["arrests", "courts"],
+    language: "en",
+    timestamp: "2024-05-02T14:03:11.000Z",
+  };
+
+  describe("renderFrontMatter()", () => {
+    it("should write the fields in order, leaving out empty ones", () => {
+      const fields = ["title", "url", "description", "author", "date", "keywords"];
+      expect(renderFrontMatter(page, fields)).to.equal(
+        [
+          "---",
+          "title: 'Arrests: A Review'",
+          "url: https://example.org/reports/annual",
+          "date: '2024-05-01'",
+          "keywords:",
+          "  - arrests",
+          "  - courts",
+          "---",
+          "",
+          "",
+        ].join("\n")
+      );
+      expect(renderFrontMatter(page, ["author"])).to.equal("");
+    });
+  });
+
+  describe("addFrontMatter()", () => {
+    it("should write every field for true and check field lists", () => {
+      expect(addFrontMatter("# Report", page, true)).to.match(
+        /^---\nurl: .*\nroute: .*\ntitle: .*\ndate: .*\nkeywords:\n.*\n.*\nlanguage: en\ntimestamp: .*\n---\n\n# Report$/
+      );
+      expect(addFrontMatter("# Report", page, false)).to.equal("# Report");
+      expect(() => addFrontMatter("# Report", page, ["title", "source"])).to.throw(
+        /Invalid front matter field: source/
+      );
+    });
+
+    it("should take a single field as a string", () => {
+      expect(addFrontMatter("# Report", page, "title")).to.equal(
+        "---\ntitle: 'Arrests: A Review'\n---\n\n# Report"
+      );
+      expect(() => addFrontMatter("# Report", page, "source")).to.throw(
+        /Invalid front matter field: source/
+      );
+    });
+  });
+
+  describe("saveToFile()", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-saver-"));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    it("should use front matter instead of the Source line", async () => {
+      const data = { title: "Report", content: "Arrests fell.", url: "https://example.org/report" };
+
+      const plain = await saveToFile(path.join(dir, "plain.md"), data);
+      expect(await fs.readFile(plain, "utf8")).to.equal(
+        "# Report\n\nArrests fell.\n\n---\nSource: [https://example.org/report](https://example.org/report)"
+      );
+
+      const withFrontMatter = await saveToFile(path.join(dir, "front.md"), data, {
+        frontMatter: ["url", "title"],
+      });
+      expect(await fs.readFile(withFrontMatter, "utf8")).to.equal(
+        "---\nurl: https://example.org/report\ntitle: Report\n---\n\n# Report\n\nArrests fell."
+      );
+    });
+  });
+
+  describe("generateFilesForRoute()", () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it("should reject unknown fields before fetching", async () => {
+      const scope = nock("https://example.org").get("/reports/annual").reply(200, "<p>Report</p>");
+
+      let error;
+      try {
+        await generateFilesForRoute("https://example.org", "/reports/annual", "markdown", {
+          frontMatter: ["title", "summary"],
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.match(/Invalid front matter field: summary/);
+      expect(scope.isDone()).to.be.false;
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should start markdown files with front matter and keep it through boilerplate removal", async () => {
+      const cookies = "This site uses cookies to improve your experience.";
+      const html = (title) =>
+        `<html lang="en"><head><title>${title}</title>
+          <meta name="keywords" content="illinois, ${title.toLowerCase()}">
+        </head><body><main>
+          <h1>${title}</h1>
+          <p>${title} research and analysis for the state of Illinois.</p>
+          <p>${cookies}</p>
+        </main></body></html>`;
+
+      nock("https://front.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/a")
+        .reply(200, html("Arrests"))
+        .get("/b")
+        .reply(200, html("Courts"))
+        .get("/c")
+        .reply(200, html("Corrections"));
+
+      const [first] = await processRoutes({
+        baseUrl: "https://front.example",
+        routes: ["/a", "/b", "/c"],
+        format: "all",
+        outputDir,
+        frontMatter: ["title", "keywords", "language"],
+        boilerplate: true,
+      });
+
+      expect(first.data.keywords).to.deep.equal(["illinois", "arrests"]);
+      expect(first.data.markdownContent).to.not.match(/^---/);
+      expect(await fs.readFile(first.files.markdown, "utf8")).to.equal(
+        "---\ntitle: Arrests\nkeywords:\n  - illinois\n  - arrests\nlanguage: en\n---\n\n" +
+          first.data.markdownContent
+      );
+      expect(first.data.markdownContent).to.not.include(cookies);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { fetchContent, processRoutes, clearHttpCache } = require("../index");
+const { createHttpCache } = require("../utils/httpCache");
+
+describe("HTTP cache", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  let cacheDir;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = "test";
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-cache-"));
+  });
+
+  afterEach(async () => {
+    nock.cleanAll();
+    await fs.remove(cacheDir);
+  });
+
+  it("should revalidate cached pages and reuse the body on 304", async () => {
+    nock("https://cache.example")
+      .get("/page")
+      .reply(200, "<p>Cached</p>", {
+        ETag: '"v1"',
+        "Last-Modified": "Wed, 21 Oct 2015 07:28:00 GMT",
+      })
+      .get("/page")
+      .matchHeader("If-None-Match", '"v1"')
+      .matchHeader("If-Modified-Since", "Wed, 21 Oct 2015 07:28:00 GMT")
+      .reply(304);
+
+    const cache = createHttpCache({ dir: cacheDir });
+    const first = await fetchContent("https://cache.example/page", { cache, ignoreRobots: true });
+    const second = await fetchContent("https://cache.example/page", { cache, ignoreRobots: true });
+
+    expect(first).to.equal("<p>Cached</p>");
+    expect(second).to.equal("<p>Cached</p>");
+    expect(nock.isDone()).to.be.true;
+  });
+
+  it("should serve fresh entries without a request", async () => {
+    const scope = nock("https://cache.example")
+      .get("/fresh")
+      .once()
+      .reply(200, "fresh", { ETag: '"v1"' });
+
+    const cache = { dir: cacheDir, ttl: 60000 };
+    await fetchContent("https://cache.example/fresh", { cache, ignoreRobots: true });
+    // No interceptor is left for /fresh; a second request would fail
+    const content = await fetchContent("https://cache.example/fresh", { cache, ignoreRobots: true });
+
+    expect(content).to.equal("fresh");
+    expect(scope.isDone()).to.be.true;
+  });
+
+  it("should not cache responses marked no-store", async () => {
+    nock("https://cache.example")
+      .get("/private")
+      .reply(200, "secret", { "Cache-Control": "no-store" });
+
+    const cache = createHttpCache({ dir: cacheDir });
+    await fetchContent("https://cache.example/private", { cache, ignoreRobots: true });
+
+    expect(await cache.get("https://cache.example/private")).to.be.null;
+  });
+
+  it("should clear every cached response", async () => {
+    nock("https://cache.example").get("/page").reply(200, "page");
+
+    const cache = createHttpCache({ dir: cacheDir });
+    await fetchContent("https://cache.example/page", { cache, ignoreRobots: true });
+    await clearHttpCache({ dir: cacheDir });
+
+    expect(await cache.get("https://cache.example/page")).to.be.null;
+    expect(fs.existsSync(cacheDir)).to.be.false;
+  });
+
+  it("should record fromCache in the JSON output", async () => {
+    const page =
+      "<html><head><title>Cached</title></head><body><main><p>Hi</p></main></body></html>";
+    nock("https://cache.example")
+      .get("/about")
+      .reply(200, page, { ETag: '"v1"' })
+      .get("/about")
+      .reply(304);
+
+    sinon.stub(console, "log");
+    try {
+      const options = {
+        baseUrl: "https://cache.example",
+        routes: ["/about"],
+        format: "json",
+        outputDir: path.join(cacheDir, "output"),
+        cache: { dir: cacheDir },
+        ignoreRobots: true,
+      };
+      const [first] = await processRoutes(options);
+      const [second] = await processRoutes(options);
+
+      expect(first.data.fromCache).to.be.false;
+      expect(second.data.fromCache).to.be.true;
+      expect(second.data.textContent).to.equal("Hi");
+    } finally {
+      console.log.restore();
+    }
+  });
+});
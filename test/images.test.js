@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const {
+  sniffImageType,
+  collectImages,
+  createImageStore,
+  localizeImages,
+} = require("../utils/images");
+
+describe("Image downloads", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  // The PNG signature followed by a little filler is enough for these tests
+  const png = Buffer.concat([
+    Buffer.from("89504e470d0a1a0a", "hex"),
+    Buffer.from("chart pixels"),
+  ]);
+  const gif = Buffer.concat([Buffer.from("GIF89a"), Buffer.from("logo")]);
+
+  let assetsDir;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = "test";
+    assetsDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-assets-"));
+  });
+
+  afterEach(async () => {
+    nock.cleanAll();
+    await fs.remove(assetsDir);
+  });
+
+  describe("sniffImageType()", () => {
+    it("should recognize common image signatures", () => {
+      expect(sniffImageType(png)).to.equal("image/png");
+      expect(sniffImageType(gif)).to.equal("image/gif");
+      expect(sniffImageType(Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"/>'))).to.equal("image/svg+xml");
+      expect(sniffImageType(Buffer.from("<html>"))).to.be.null;
+    });
+  });
+
+  describe("collectImages()", () => {
+    it("should resolve each image once with its alt text and size", () => {
+      const images = collectImages(
+        `<img src="chart.png" alt="Arrests chart" width="640" height="auto">
+         <img srcset="map-1x.png 1x, map-2x.png 2x">
+         <img src="chart.png" alt="Same chart again">
+         <img src="data:image/gif;base64,R0lGODlh">`,
+        "https://images.example/reports/"
+      );
+
+      expect(images).to.deep.equal([
+        {
+          url: "https://images.example/reports/chart.png",
+          alt: "Arrests chart",
+          width: 640,
+          height: null,
+        },
+        { url: "https://images.example/reports/map-2x.png", alt: "", width: null, height: null },
+      ]);
+    });
+  });
+
+  describe("localizeImages()", () => {
+    it("should save identical images once and record failures", async () => {
+      nock("https://images.example")
+        .get("/a.png")
+        .reply(200, png, { "Content-Type": "image/png" })
+        .get("/copy-of-a")
+        .reply(200, png, { "Content-Type": "application/octet-stream" })
+        .get("/big.png")
+        .reply(200, Buffer.alloc(64, 1), { "Content-Type": "image/png" })
+        .get("/logo.gif")
+        .reply(200, gif, { "Content-Type": "image/gif" });
+
+      const store = createImageStore({
+        dir: path.join(assetsDir, "assets"),
+        maxBytes: 32,
+        types: ["image/png"],
+      });
+      const images = await localizeImages(
+        ["/a.png", "/copy-of-a", "/big.png", "/logo.gif"].map((route) => ({
+          url: `https://images.example${route}`,
+          alt: "",
+          width: null,
+          height: null,
+        })),
+        store,
+        { outputDir: assetsDir }
+      );
+
+      expect(images[0].file).to.match(/^assets\/[0-9a-f]{16}\.png$/);
+      expect(images[0]).to.include({ mimeType: "image/png", bytes: png.length });
+      expect(images[1].file).to.equal(images[0].file);
+      expect(images[2]).to.include({ file: null });
+      expect(images[2].error).to.match(/maxContentLength|larger than/);
+      expect(images[3]).to.include({
+        file: null,
+        error: "Image type image/gif is not allowed",
+      });
+      expect(await fs.readdir(path.join(assetsDir, "assets"))).to.have.lengthOf(1);
+    });
+  });
+
+  describe("processRoutes()", () => {
+    beforeEach(() => {
+      sinon.stub(console, "log");
+    });
+
+    afterEach(() => {
+      console.log.restore();
+    });
+
+    it("should point markdown and JSON at the downloaded copies", async () => {
+      nock("https://images.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/report")
+        .reply(
+          200,
+          `<html><body><main>
+            <h1>Report</h1>
+            <p>Arrests fell again in the second half of the year.</p>
+            <img src="/img/chart.png" alt="Arrests chart" width="640" height="480">
+            <img src="/img/missing.png" alt="Missing">
+          </main></body></html>`
+        )
+        .get("/img/chart.png")
+        .reply(200, png, { "Content-Type": "image/png" })
+        .get("/img/missing.png")
+        .reply(404);
+
+      const [result] = await processRoutes({
+        baseUrl: "https://images.example",
+        routes: ["/report"],
+        format: "json",
+        outputDir: assetsDir,
+        images: true,
+        retries: 0,
+      });
+
+      const [chart, missing] = result.data.images;
+
+      expect(chart).to.include({
+        url: "https://images.example/img/chart.png",
+        alt: "Arrests chart",
+        width: 640,
+        height: 480,
+      });
+      expect(result.data.markdownContent).to.include(`![Arrests chart](../${chart.file})`);
+      expect(missing.file).to.be.null;
+      expect(result.data.markdownContent).to.include(
+        "![Missing](https://images.example/img/missing.png)"
+      );
+      expect(await fs.pathExists(path.join(assetsDir, chart.file))).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,365 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const {
+  extractContent,
+  extractMetaInfo,
+  convertToMarkdown,
+} = require("../utils/contentProcessor");
+const { queryJson, flattenJson, jsonToMarkdown } = require("../utils/jsonContent");
+const { normalizeProfile } = require("../utils/profiles");
+
+describe("JSON APIs", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const strapi = {
+    data: [
+      {
+        id: 1,
+        attributes: {
+          title: "Victim Services Grant",
+          content: "Funding for victim services.\n\nApply by May 1.",
+          publishedAt: "2024-01-02",
+          author: { data: { attributes: { name: "Grants Unit" } } },
+        },
+      },
+      {
+        id: 2,
+        attributes: { title: "Research Grant", content: "Funding for research.", publishedAt: "2024-02-03" },
+      },
+    ],
+    meta: { pagination: { page: 1, total: 2 } },
+  };
+  const strapiMapping = {
+    items: "data",
+    title: "attributes.title",
+    body: "attributes.content",
+    date: "attributes.publishedAt",
+    author: "attributes.author.data.attributes.name",
+  };
+
+  describe("queryJson()", () => {
+    it("should accept dot paths and JSONPath", () => {
+      expect(queryJson(strapi, "data.0.attributes.title")).to.deep.equal(["Victim Services Grant"]);
+      expect(queryJson(strapi, "$.data[-1].id")).to.deep.equal([2]);
+      expect(queryJson(strapi, "$.data[*]['attributes'].publishedAt")).to.deep.equal([
+        "2024-01-02",
+        "2024-02-03",
+      ]);
+      expect(queryJson(strapi, "$..name")).to.deep.equal(["Grants Unit"]);
+      expect(queryJson(strapi, "data.5.title")).to.deep.equal([]);
+    });
+
+    it("should reject malformed paths", () => {
+      expect(() => queryJson(strapi, "data[?(@.id)]")).to.throw(/Invalid JSON path/);
+    });
+  });
+
+  describe("flattenJson()", () => {
+    it("should indent nested objects instead of dumping JSON", () => {
+      expect(
+        flattenJson({
+          id: 5,
+          tags: ["courts", "victims"],
+          author: { name: "Jane", links: [{ rel: "self", href: "/u/1" }] },
+          empty: {},
+          note: null,
+        })
+      ).to.equal(
+        [
+          "id: 5",
+          "tags: courts, victims",
+          "author:",
+          "  name: Jane",
+          "  links:",
+          "    - rel: self",
+          "      href: /u/1",
+        ].join("\n")
+      );
+    });
+  });
+
+  describe("jsonToMarkdown()", () => {
+    it("should write fields as lists and nested objects as sections", () => {
+      expect(
+        jsonToMarkdown({
+          id: 3,
+          title: "Annual Report",
+          summary:
+            "Arrests, court filings and corrections populations across the state in 2023, with ten-year trends.",
+          tags: ["courts", "arrests"],
+          author: { name: "Jane", unit: { name: "Research" } },
+          empty: [],
+        })
+      ).to.equal(
+        [
+          "- **id:** 3\n- **title:** Annual Report",
+          "## summary",
+          "Arrests, court filings and corrections populations across the state in 2023, with ten-year trends.",
+          "## tags",
+          "- courts\n- arrests",
+          "## author",
+          "- **name:** Jane",
+          "### unit",
+          "- **name:** Research",
+        ].join("\n\n")
+      );
+    });
+
+    it("should turn lists of same-shaped objects into tables", () => {
+      expect(
+        jsonToMarkdown([
+          { county: "Cook", arrests: 100 },
+          { county: "Lake | North", arrests: 20, note: "estimate" },
+        ])
+      ).to.equal(
+        "| county | arrests | note |\n| --- | --- | --- |\n| Cook | 100 |  |\n| Lake \\| North | 20 | estimate |"
+      );
+    });
+
+    it("should give other lists of objects a section per item", () => {
+      expect(
+        jsonToMarkdown({ sections: [{ heading: "Intro", text: "Hello" }, { body: { n: 5 } }] })
+      ).to.equal(
+        [
+          "## sections",
+          "### Intro",
+          "- **heading:** Intro\n- **text:** Hello",
+          "### Item 2",
+          "#### body",
+          "- **n:** 5",
+        ].join("\n\n")
+      );
+    });
+  });
+
+  describe("convertToMarkdown()", () => {
+    const post = JSON.stringify({
+      id: 1,
+      content: '<p>Read the <a href="/reports/1">report</a>.</p>',
+    });
+
+    it("should clean HTML strings like page HTML", () => {
+      const script = JSON.stringify({
+        content: '<p onclick="track()">Hello</p><script>alert(1)</script>',
+      });
+
+      expect(convertToMarkdown(script, true)).to.equal("## content\n\nHello");
+    });
+
+    it("should convert HTML strings through the HTML pipeline", () => {
+      expect(convertToMarkdown(post, true, { baseUrl: "https://api.example/posts/1" })).to.equal(
+        "- **id:** 1\n\n## content\n\nRead the [report](https://api.example/reports/1)."
+      );
+    });
+
+    it("should keep the code block mode", () => {
+      expect(convertToMarkdown('{"id":1}', true, { jsonMarkdown: "code" })).to.equal(
+        '```json\n{\n  "id": 1\n}\n```\n\n'
+      );
+      expect(() => convertToMarkdown('{"id":1}', true, { jsonMarkdown: "yaml" })).to.throw(
+        /Invalid JSON markdown mode/
+      );
+    });
+  });
+
+  describe("extractContent()", () => {
+    it("should flatten unmapped JSON into readable text", () => {
+      const result = extractContent(JSON.stringify({ title: "Report", meta: { pages: 12 } }));
+
+      expect(result.isJson).to.be.true;
+      expect(result.textContent).to.equal("title: Report\nmeta:\n  pages: 12");
+    });
+
+    it("should render each mapped item as a document", () => {
+      const result = extractContent(JSON.stringify(strapi), { profile: { json: strapiMapping } });
+
+      expect(result.isJson).to.be.false;
+      expect(result.documents.map((document) => document.title)).to.deep.equal([
+        "Victim Services Grant",
+        "Research Grant",
+      ]);
+      expect(result.textContent).to.equal(
+        [
+          "Victim Services Grant",
+          "By Grants Unit · 2024-01-02",
+          "Funding for victim services.",
+          "Apply by May 1.",
+          "Research Grant",
+          "2024-02-03",
+          "Funding for research.",
+        ].join("\n\n")
+      );
+    });
+
+    it("should clean mapped HTML bodies like page HTML", () => {
+      const post = JSON.stringify({
+        title: "Court Filings",
+        content:
+          '<style>p { color: red }</style><p onclick="track()">Filings rose.</p><script>alert(1)</script>',
+      });
+      const result = extractContent(post, { profile: { json: { title: "title", body: "content" } } });
+
+      expect(result.cleanHtml).to.equal("<article><h1>Court Filings</h1>\n<p>Filings rose.</p></article>");
+      expect(result.textContent).to.equal("Court Filings\n\nFilings rose.");
+    });
+  });
+
+  describe("extractMetaInfo()", () => {
+    it("should take a single document's metadata from the mapping", () => {
+      const post = JSON.stringify({
+        id: 7,
+        title: { rendered: "Arrests &amp; Courts" },
+        excerpt: { rendered: "<p>Trends in 2023.</p>" },
+        date: "2024-05-01T10:00:00",
+        _embedded: { author: [{ name: "Sam" }, { name: "Lee" }] },
+      });
+      const profile = {
+        json: {
+          title: "title.rendered",
+          description: "excerpt.rendered",
+          date: "date",
+          author: "_embedded.author[*]",
+        },
+      };
+
+      expect(extractMetaInfo(post, true, profile)).to.include({
+        title: "Arrests & Courts",
+        description: "Trends in 2023.",
+        date: "2024-05-01T10:00:00",
+        author: "Sam, Lee",
+      });
+    });
+  });
+
+  describe("normalizeProfile()", () => {
+    it("should check json mappings", () => {
+      expect(normalizeProfile({ json: { title: "title.rendered" } })).to.deep.equal({
+        json: { title: "title.rendered" },
+      });
+      expect(() => normalizeProfile({ json: { heading: "title" } }, "api")).to.throw(
+        /unknown json field heading/
+      );
+      expect(() => normalizeProfile({ json: { title: 3 } }, "api")).to.throw(/json.title must be a path/);
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should render unmapped JSON as markdown, or keep it as code", async () => {
+      nock("https://api.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/counties")
+        .times(2)
+        .reply(200, { counties: [{ name: "Cook", arrests: 100 }] });
+
+      const [rendered] = await processRoutes({
+        baseUrl: "https://api.example",
+        routes: ["/counties"],
+        format: "json",
+        outputDir,
+      });
+      const [code] = await processRoutes({
+        baseUrl: "https://api.example",
+        routes: ["/counties"],
+        format: "json",
+        outputDir,
+        jsonMarkdown: "code",
+      });
+
+      expect(rendered.data.markdownContent).to.equal(
+        "## counties\n\n| name | arrests |\n| --- | --- |\n| Cook | 100 |"
+      );
+      expect(code.data.markdownContent).to.match(/^```json\n/);
+    });
+
+    it("should write each mapped WordPress post like a web page of its own", async () => {
+      nock("https://api.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/wp-json/wp/v2/posts")
+        .reply(200, [
+          {
+            title: { rendered: "Annual Report" },
+            content: { rendered: '<p>See the <a href="/reports/2023">full report</a>.</p>' },
+            date: "2024-03-01",
+          },
+          {
+            title: { rendered: "Court Filings" },
+            content: {
+              rendered:
+                '<style>p { color: red }</style><p onclick="track()">Filings rose.</p><script>alert(1)</script>',
+            },
+            date: "2024-04-01",
+          },
+        ]);
+
+      const [result] = await processRoutes({
+        baseUrl: "https://api.example",
+        routes: ["/wp-json/wp/v2/posts"],
+        format: "all",
+        outputDir,
+        profiles: {
+          "api.example/wp-json/*": {
+            json: { items: "$[*]", title: "title.rendered", body: "content.rendered", date: "date" },
+          },
+        },
+      });
+
+      expect(result.items).to.have.length(2);
+      for (const fileFormat of ["json", "text", "markdown", "document"]) {
+        expect(result.files[fileFormat]).to.have.length(2);
+      }
+
+      const [report, filings] = result.items;
+      expect(report.data).to.include({
+        title: "Annual Report",
+        date: "2024-03-01",
+        item: 1,
+        textContent: "Annual Report\n\n2024-03-01\n\nSee the full report.",
+        markdownContent:
+          "# Annual Report\n\n*2024-03-01*\n\nSee the [full report](https://api.example/reports/2023).",
+      });
+      expect(report.data).to.not.have.property("documents");
+      expect(report.data.links.map((link) => link.url)).to.deep.equal([
+        "https://api.example/reports/2023",
+      ]);
+      expect(await fs.readFile(report.files.text, "utf8")).to.equal(report.data.textContent);
+      expect(await fs.readJson(report.files.json)).to.deep.equal(report.data);
+
+      // Script, style and event-handler markup in the JSON never reaches the output
+      expect(filings.data.markdownContent).to.equal("# Court Filings\n\n*2024-04-01*\n\nFilings rose.");
+      for (const file of Object.values(filings.files).flat()) {
+        expect(await fs.readFile(file, "utf8")).to.not.match(/track|alert|color/);
+      }
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes, generateFilesForRoute } = require("../index");
+const {
+  normalizeLanguageTag,
+  matchesLanguage,
+  detectLanguage,
+  getPageLanguage,
+} = require("../utils/language");
+
+describe("Language detection", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const english =
+    "The Illinois Criminal Justice Information Authority is a state agency dedicated to improving the administration of criminal justice.";
+  const spanish =
+    "La Autoridad de Información de Justicia Penal de Illinois es una agencia estatal dedicada a mejorar la administración de la justicia penal.";
+
+  describe("normalizeLanguageTag()", () => {
+    it("should normalize case and separators", () => {
+      expect(normalizeLanguageTag("en_us")).to.equal("en-US");
+      expect(normalizeLanguageTag(" ZH-hant-tw ")).to.equal("zh-Hant-TW");
+      expect(normalizeLanguageTag("es-419")).to.equal("es-419");
+      expect(normalizeLanguageTag("x-default")).to.be.null;
+      expect(normalizeLanguageTag("")).to.be.null;
+    });
+  });
+
+  describe("matchesLanguage()", () => {
+    it("should let a bare language match every region", () => {
+      expect(matchesLanguage("es-MX", ["es"])).to.be.true;
+      expect(matchesLanguage("es", ["es-MX"])).to.be.false;
+      expect(matchesLanguage("en-US", ["fr", "en-us"])).to.be.true;
+      expect(matchesLanguage("est", ["es"])).to.be.false;
+      expect(matchesLanguage(null, ["es"])).to.be.false;
+    });
+  });
+
+  describe("detectLanguage()", () => {
+    it("should tell Latin-script languages apart by their common words", () => {
+      expect(detectLanguage(english).language).to.equal("en");
+      expect(detectLanguage(spanish).language).to.equal("es");
+      expect(
+        detectLanguage(
+          "L'Autorité est une agence de l'État qui a pour mission d'améliorer la justice pénale dans les communautés."
+        ).language
+      ).to.equal("fr");
+      expect(detectLanguage(english).confidence).to.be.within(0, 1);
+    });
+
+    it("should recognize other scripts", () => {
+      expect(detectLanguage("Управление является государственным агентством штата Иллинойс").language).to.equal("ru");
+      expect(detectLanguage("Управління є державним агентством штату Іллінойс").language).to.equal("uk");
+      expect(detectLanguage("イリノイ州刑事司法情報局は州の機関です。").language).to.equal("ja");
+      expect(detectLanguage("伊利诺伊州刑事司法信息局是一个州立机构。").language).to.equal("zh");
+    });
+
+    it("should give up on text too short to tell", () => {
+      expect(detectLanguage("Contact us")).to.be.null;
+      expect(detectLanguage("2024 · 12 · 31")).to.be.null;
+      expect(detectLanguage("")).to.be.null;
+    });
+  });
+
+  describe("getPageLanguage()", () => {
+    const url = "https://lang.example/es/about";
+
+    it("should prefer <html lang> over the Content-Language header", () => {
+      expect(
+        getPageLanguage({
+          html: '<html lang="es_mx"><body></body></html>',
+          headers: { "content-language": "en" },
+          text: english,
+          url,
+        })
+      ).to.include({ language: "es-MX", source: "html", confidence: null });
+
+      expect(
+        getPageLanguage({ html: "<html></html>", headers: { "content-language": "es" }, url })
+      ).to.include({ language: "es", source: "header" });
+    });
+
+    it("should use the page's own hreflang entry and list the alternates", () => {
+      const result = getPageLanguage({
+        html: `<html><head>
+          <link rel="alternate" hreflang="en" href="/about">
+          <link rel="alternate" hreflang="es" href="/es/about/">
+          <link rel="alternate" hreflang="x-default" href="https://lang.example/about">
+        </head></html>`,
+        // Several languages describe the site's audience, not this page
+        headers: { "content-language": "en, es" },
+        url,
+      });
+
+      expect(result).to.include({ language: "es", source: "hreflang" });
+      expect(result.alternates).to.deep.equal([
+        { hreflang: "en", url: "https://lang.example/about" },
+        { hreflang: "es", url: "https://lang.example/es/about/" },
+        { hreflang: "x-default", url: "https://lang.example/about" },
+      ]);
+    });
+
+    it("should fall back to detection", () => {
+      expect(getPageLanguage({ html: "<html></html>", text: spanish, url })).to.include({
+        language: "es",
+        source: "detected",
+      });
+      expect(getPageLanguage({ html: "<html></html>", text: "Home", url })).to.include({
+        language: null,
+        source: null,
+      });
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    const page = (text, head = "") =>
+      `<html><head><title>About</title>${head}</head><body><main><p>${text}</p></main></body></html>`;
+
+    it("should record the language and alternates in the JSON", async () => {
+      nock("https://lang.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/about")
+        .reply(200, page(english, '<link rel="alternate" hreflang="es" href="/es/about">'))
+        .get("/es/about")
+        .reply(200, page(spanish));
+
+      const [about, acerca] = await processRoutes({
+        baseUrl: "https://lang.example",
+        routes: ["/about", "/es/about"],
+        format: "json",
+        outputDir,
+      });
+
+      expect(about.data).to.include({ language: "en", languageSource: "detected" });
+      expect(about.data.alternates).to.deep.equal([
+        { hreflang: "es", url: "https://lang.example/es/about" },
+      ]);
+      expect(acerca.data).to.include({ language: "es", languageSource: "detected" });
+      expect(acerca.data.languageConfidence).to.be.above(0);
+    });
+
+    it("should skip pages outside the language filter", async () => {
+      nock("https://lang.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/about")
+        .reply(200, page(english), { "Content-Language": "en-US" })
+        .get("/es/about")
+        .reply(200, page(spanish), { "Content-Language": "es-US" });
+
+      const skipped = await generateFilesForRoute("https://lang.example", "/about", "json", {
+        outputDir,
+        languages: ["es"],
+      });
+      const [kept] = await processRoutes({
+        baseUrl: "https://lang.example",
+        routes: ["/es/about"],
+        format: "json",
+        outputDir,
+        languages: ["es"],
+      });
+
+      expect(skipped).to.deep.equal({
+        route: "/about",
+        url: "https://lang.example/about",
+        skipped: true,
+        reason: "language",
+        language: "en-US",
+      });
+      expect(kept.data).to.include({ language: "es-US", languageSource: "header" });
+    });
+  });
+});
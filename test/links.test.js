@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const cheerio = require("cheerio");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { convertToMarkdown } = require("../utils/contentProcessor");
+const {
+  classifyLink,
+  getBaseUrl,
+  getLinkInventory,
+  parseSrcset,
+  pickSrcsetUrl,
+  resolveHtmlUrls,
+} = require("../utils/urlUtils");
+
+describe("Links and images", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const fragment = `
+    <p>See the <a href="../data/arrests.csv">data</a>, <a href="#methods">methods</a>,
+    <a href="mailto:info@example.org">email us</a> or <a href="javascript:void(0)">print</a>.</p>
+    <img src="img/chart.png" alt="Chart">
+    <img srcset="img/map-480.png 480w, img/map-1080.png 1080w" alt="Map">`;
+
+  describe("srcset", () => {
+    it("should split candidates, keeping commas inside URLs", () => {
+      expect(parseSrcset("a.jpg 1x,b,c.jpg 2x, d.jpg")).to.deep.equal([
+        { url: "a.jpg", descriptor: "1x" },
+        { url: "b,c.jpg", descriptor: "2x" },
+        { url: "d.jpg", descriptor: "" },
+      ]);
+    });
+
+    it("should pick the widest candidate, then the densest", () => {
+      expect(pickSrcsetUrl("a.jpg 2x, b.jpg 800w, c.jpg 400w")).to.equal("b.jpg");
+      expect(pickSrcsetUrl("a.jpg, b.jpg 3x")).to.equal("b.jpg");
+      expect(pickSrcsetUrl("")).to.be.null;
+    });
+  });
+
+  describe("resolveHtmlUrls()", () => {
+    it("should make hrefs, src and srcset absolute", () => {
+      const $ = cheerio.load(
+        '<a href="/about">About</a><a href="#top">Top</a><img src="a.png" srcset="a.png 1x, b.png 2x">',
+        null,
+        false
+      );
+      resolveHtmlUrls($, "https://example.org/news/", { keepAnchors: true });
+
+      expect($.html()).to.equal(
+        '<a href="https://example.org/about">About</a><a href="#top">Top</a>' +
+          '<img src="https://example.org/news/a.png" srcset="https://example.org/news/a.png 1x, https://example.org/news/b.png 2x">'
+      );
+    });
+
+    it("should honor <base href>", () => {
+      expect(
+        getBaseUrl('<head><base href="/static/"></head>', "https://example.org/a/b")
+      ).to.equal("https://example.org/static/");
+      expect(getBaseUrl("<p>No base</p>", "https://example.org/a/b")).to.equal(
+        "https://example.org/a/b"
+      );
+    });
+  });
+
+  describe("classifyLink()", () => {
+    const pageUrl = "https://www.example.org/grants/apply";
+
+    it("should tell internal, external, anchor and contact links apart", () => {
+      expect(classifyLink("https://example.org/about", pageUrl)).to.equal("internal");
+      expect(classifyLink("https://other.org/", pageUrl)).to.equal("external");
+      expect(classifyLink(`${pageUrl}#eligibility`, pageUrl)).to.equal("anchor");
+      expect(classifyLink("mailto:grants@example.org", pageUrl)).to.equal("mailto");
+      expect(classifyLink("tel:+13125550100", pageUrl)).to.equal("tel");
+    });
+
+    it("should mark document downloads on any host", () => {
+      expect(classifyLink("https://example.org/files/NOFO.PDF", pageUrl)).to.equal("document");
+      expect(classifyLink("https://cdn.other.org/budget.xlsx?v=2", pageUrl)).to.equal("document");
+    });
+  });
+
+  describe("getLinkInventory()", () => {
+    const page = `
+      <html><head><base href="https://example.org/reports/"></head><body>
+        <nav><a href="/">Home</a><a href="https://twitter.com/icjia" rel="noopener External">Twitter</a></nav>
+        <main>
+          <p>Read the <a href="summary.docx">summary</a> or go <a href="/">home</a>.</p>
+          <a href="/map"><img src="map.png" alt="Site map"></a>
+          <a href="javascript:print()">Print</a>
+        </main>
+      </body></html>`;
+    const content = '<p>Read the <a href="summary.docx">summary</a> or go <a href="/">home</a>.</p><a href="/map"><img src="map.png" alt="Site map"></a>';
+
+    it("should list every link with its text, rel and type", () => {
+      const links = getLinkInventory(page, "https://example.org/reports/2024", content);
+
+      expect(links).to.deep.equal([
+        { url: "https://example.org/", text: "Home", rel: [], type: "internal", inContent: false },
+        {
+          url: "https://twitter.com/icjia",
+          text: "Twitter",
+          rel: ["noopener", "external"],
+          type: "external",
+          inContent: false,
+        },
+        {
+          url: "https://example.org/reports/summary.docx",
+          text: "summary",
+          rel: [],
+          type: "document",
+          inContent: true,
+        },
+        { url: "https://example.org/", text: "home", rel: [], type: "internal", inContent: true },
+        { url: "https://example.org/map", text: "Site map", rel: [], type: "internal", inContent: true },
+      ]);
+    });
+  });
+
+  describe("convertToMarkdown()", () => {
+    it("should write absolute links and images when given a base URL", () => {
+      const markdown = convertToMarkdown(fragment, false, {
+        baseUrl: "https://example.org/reports/2024/",
+      });
+
+      expect(markdown).to.include("[data](https://example.org/reports/data/arrests.csv)");
+      expect(markdown).to.include("[methods](https://example.org/reports/2024/#methods)");
+      expect(markdown).to.include("[email us](mailto:info@example.org)");
+      expect(markdown).to.include("or print.");
+      expect(markdown).to.include("![Chart](https://example.org/reports/2024/img/chart.png)");
+      expect(markdown).to.include("![Map](https://example.org/reports/2024/img/map-1080.png)");
+    });
+
+    it("should keep same-page anchors when asked", () => {
+      const markdown = convertToMarkdown(fragment, false, {
+        baseUrl: "https://example.org/reports/2024/",
+        keepAnchors: true,
+      });
+
+      expect(markdown).to.include("[methods](#methods)");
+    });
+
+    it("should leave relative URLs alone without a base URL", () => {
+      const markdown = convertToMarkdown(fragment);
+
+      expect(markdown).to.include("See the data, methods,");
+      expect(markdown).to.include("![Chart](img/chart.png)");
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should resolve against the final URL after redirects", async () => {
+      nock("https://links.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/old-report")
+        .reply(301, "", { Location: "https://links.example/research/report/" })
+        .get("/research/report/")
+        .reply(
+          200,
+          `<html><body><main>
+            <h1>Report</h1>
+            <p>Download the <a href="appendix.pdf">appendix</a> for the full tables.</p>
+            <img src="figure-1.png" alt="Figure 1">
+          </main></body></html>`
+        );
+
+      const [result] = await processRoutes({
+        baseUrl: "https://links.example",
+        routes: ["/old-report"],
+        format: "json",
+        outputDir,
+      });
+
+      expect(result.data.markdownContent).to.include(
+        "[appendix](https://links.example/research/report/appendix.pdf)"
+      );
+      expect(result.data.markdownContent).to.include(
+        "![Figure 1](https://links.example/research/report/figure-1.png)"
+      );
+      expect(result.data.links).to.deep.equal([
+        {
+          url: "https://links.example/research/report/appendix.pdf",
+          text: "appendix",
+          rel: [],
+          type: "document",
+          inContent: true,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { MANIFEST_FILE } = require("../utils/manifest");
+
+describe("Run manifest", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const page = (title) =>
+    `<html><head><title>${title}</title></head><body><main><p>${title}</p></main></body></html>`;
+  const options = {
+    baseUrl: "https://manifest.example",
+    routes: ["/a", "/b", "/c"],
+    format: "json",
+    retries: 0,
+    concurrency: 1,
+  };
+
+  let outputDir;
+  let manifestPath;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = "test";
+    sinon.stub(console, "log");
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    manifestPath = path.join(outputDir, MANIFEST_FILE);
+  });
+
+  afterEach(async () => {
+    console.log.restore();
+    nock.cleanAll();
+    await fs.remove(outputDir);
+  });
+
+  it("should record each route's status and output files", async () => {
+    nock("https://manifest.example")
+      .get("/robots.txt")
+      .reply(404)
+      .get("/a")
+      .reply(200, page("A"))
+      .get("/b")
+      .reply(404)
+      .get("/c")
+      .reply(200, page("C"), { "X-Robots-Tag": "noindex" });
+
+    await processRoutes({ ...options, outputDir });
+
+    const manifest = await fs.readJson(manifestPath);
+    const statuses = Object.fromEntries(
+      Object.entries(manifest.routes).map(([route, entry]) => [
+        route,
+        entry.status,
+      ])
+    );
+
+    expect(manifest.baseUrl).to.equal("https://manifest.example");
+    expect(statuses).to.deep.equal({ "/a": "done", "/b": "failed", "/c": "skipped" });
+    expect(manifest.routes["/a"].files.json).to.match(/^json[\\/]a.*\.json$/);
+    expect(manifest.routes["/c"].reason).to.equal("noindex");
+  });
+
+  it("should only run pending and failed routes when resuming", async () => {
+    await fs.outputJson(manifestPath, {
+      baseUrl: "https://manifest.example",
+      format: "json",
+      startedAt: "2024-01-01T00:00:00.000Z",
+      updatedAt: "2024-01-01T00:00:00.000Z",
+      routes: {
+        "/a": { status: "done", files: { json: "json/a.json" } },
+        "/b": { status: "failed", files: {}, error: "fetch_failed" },
+        "/c": { status: "pending", files: {} },
+      },
+    });
+
+    // Only /b and /c are mocked; a request for /a would fail the run
+    nock("https://manifest.example")
+      .get("/robots.txt")
+      .reply(404)
+      .get("/b")
+      .reply(200, page("B"))
+      .get("/c")
+      .reply(200, page("C"));
+
+    const results = await processRoutes({ ...options, outputDir, resume: true });
+    const manifest = await fs.readJson(manifestPath);
+
+    expect(results.map((result) => result.route)).to.deep.equal(["/b", "/c"]);
+    expect(manifest.startedAt).to.equal("2024-01-01T00:00:00.000Z");
+    expect(manifest.routes["/a"].files.json).to.equal("json/a.json");
+    expect(
+      Object.values(manifest.routes).every((entry) => entry.status === "done")
+    ).to.be.true;
+  });
+
+  it("should start over when resuming a run for a different site", async () => {
+    await fs.outputJson(manifestPath, {
+      baseUrl: "https://other.example",
+      format: "json",
+      routes: { "/a": { status: "done", files: {} } },
+    });
+
+    nock("https://manifest.example")
+      .get("/robots.txt")
+      .reply(404)
+      .get("/a")
+      .reply(200, page("A"));
+
+    const results = await processRoutes({
+      ...options,
+      outputDir,
+      routes: ["/a"],
+      resume: true,
+    });
+
+    expect(results).to.have.lengthOf(1);
+    expect((await fs.readJson(manifestPath)).baseUrl).to.equal(
+      "https://manifest.example"
+    );
+  });
+});
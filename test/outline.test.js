@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const {
+  getHtmlHeadings,
+  getMarkdownHeadings,
+  buildOutline,
+  addTableOfContents,
+} = require("../utils/outline");
+
+describe("Outline", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  describe("getHtmlHeadings()", () => {
+    it("should take each heading's text and id", () => {
+      expect(
+        getHtmlHeadings(
+          `<h1>Annual  Report</h1><p>Intro</p>
+           <h2 id="sec-methods">Methods</h2>
+           <h3><a name="data"></a>Data <em>sources</em></h3>`
+        )
+      ).to.deep.equal([
+        { level: 1, text: "Annual Report", id: null },
+        { level: 2, text: "Methods", id: "sec-methods" },
+        { level: 3, text: "Data sources", id: "data" },
+      ]);
+    });
+  });
+
+  describe("getMarkdownHeadings()", () => {
+    it("should skip code blocks and drop inline markup", () => {
+      expect(
+        getMarkdownHeadings(
+          "# [Report](https://example.org) ##\n\n```\n# not a heading\n```\n\n## 1\\. *Findings*\n\n####### Too deep"
+        )
+      ).to.deep.equal([
+        { level: 1, text: "Report", id: null },
+        { level: 2, text: "1. Findings", id: null },
+      ]);
+    });
+  });
+
+  describe("buildOutline()", () => {
+    it("should nest headings and give them markdown anchors", () => {
+      const outline = buildOutline([
+        { level: 1, text: "Annual Report", id: null },
+        { level: 3, text: "What's new?", id: null },
+        { level: 2, text: "Methods", id: "sec-methods" },
+        { level: 3, text: "Data", id: null },
+        { level: 2, text: "Data", id: null },
+        { level: 2, text: "", id: null },
+        { level: 1, text: "Appendix", id: null },
+      ]);
+
+      expect(outline).to.deep.equal([
+        {
+          text: "Annual Report",
+          level: 1,
+          anchor: "annual-report",
+          children: [
+            { text: "What's new?", level: 3, anchor: "whats-new", children: [] },
+            {
+              text: "Methods",
+              level: 2,
+              anchor: "methods",
+              id: "sec-methods",
+              children: [{ text: "Data", level: 3, anchor: "data", children: [] }],
+            },
+            { text: "Data", level: 2, anchor: "data-1", children: [] },
+          ],
+        },
+        { text: "Appendix", level: 1, anchor: "appendix", children: [] },
+      ]);
+    });
+  });
+
+  describe("addTableOfContents()", () => {
+    it("should list the headings as nested links", () => {
+      const outline = buildOutline([
+        { level: 1, text: "Report [draft]", id: null },
+        { level: 2, text: "Methods", id: null },
+      ]);
+
+      expect(addTableOfContents("# Report [draft]\n\n## Methods", outline)).to.equal(
+        [
+          "**Contents**",
+          "- [Report \\[draft\\]](#report-draft)\n  - [Methods](#methods)",
+          "# Report [draft]",
+          "## Methods",
+        ].join("\n\n")
+      );
+    });
+
+    it("should leave pages with one heading alone", () => {
+      const outline = buildOutline([{ level: 1, text: "Report", id: null }]);
+      expect(addTableOfContents("# Report", outline)).to.equal("# Report");
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should add the outline to the JSON and a table of contents to the markdown", async () => {
+      nock("https://outline.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/report")
+        .reply(
+          200,
+          `<html><head><title>Report</title></head><body><main>
+            <h1>Crime in Illinois</h1>
+            <p>Findings on arrests, court filings and corrections across the state.</p>
+            <h2 id="arrests">Arrests</h2>
+            <p>Arrests fell for the fifth year in a row across most counties.</p>
+            <h2>Courts</h2>
+            <p>Court filings rose, mostly in the larger counties of the state.</p>
+          </main></body></html>`
+        );
+
+      const [result] = await processRoutes({
+        baseUrl: "https://outline.example",
+        routes: ["/report"],
+        format: "all",
+        outputDir,
+        toc: true,
+      });
+
+      expect(result.data.outline).to.deep.equal([
+        {
+          text: "Crime in Illinois",
+          level: 1,
+          anchor: "crime-in-illinois",
+          children: [
+            { text: "Arrests", level: 2, anchor: "arrests", id: "arrests", children: [] },
+            { text: "Courts", level: 2, anchor: "courts", children: [] },
+          ],
+        },
+      ]);
+      expect(result.data.markdownContent).to.match(
+        /^\*\*Contents\*\*\n\n- \[Crime in Illinois\]\(#crime-in-illinois\)\n {2}- \[Arrests\]\(#arrests\)\n {2}- \[Courts\]\(#courts\)\n\n# Crime in Illinois/
+      );
+      expect(await fs.readFile(result.files.markdown, "utf8")).to.equal(result.data.markdownContent);
+    });
+  });
+});
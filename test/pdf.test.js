@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes, crawlSite } = require("../index");
+const { isPdfResponse, extractPdf } = require("../utils/pdf");
+
+/**
+ * Build a minimal PDF with Helvetica text lines
+ * @param {Object} options - { title, author, pages } where each page is a list of [fontSize, text]
+ * @returns {Buffer} - The PDF bytes
+ */
+function buildPdf({ title, author, pages }) {
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  add("<< /Type /Catalog /Pages 2 0 R >>");
+  add(null); // page tree, filled in once the page objects exist
+  add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+  add(`<< /Title (${title}) /Author (${author}) >>`);
+
+  const kids = pages.map((lines) => {
+    let y = 760;
+    const stream = lines
+      .map(([size, text]) => {
+        const op = `BT /F1 ${size} Tf 72 ${y} Td (${text}) Tj ET`;
+        y -= size * 1.5;
+        return op;
+      })
+      .join("\n");
+    const contents = add(
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+    return add(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${contents} 0 R >>`
+    );
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids
+    .map((kid) => `${kid} 0 R`)
+    .join(" ")}] /Count ${kids.length} >>`;
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\n`;
+  pdf += `startxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+describe("PDF extraction", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const report = buildPdf({
+    title: "Annual Report 2024",
+    author: "Research Unit",
+    pages: [
+      [
+        [24, "Annual Report"],
+        [12, "Violent crime fell across most coun-"],
+        [12, "ties this year."],
+        [12, "- not a list item"],
+      ],
+      [
+        [16, "Findings"],
+        [12, "Arrests declined."],
+      ],
+    ],
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe("isPdfResponse()", () => {
+    it("should detect PDFs by Content-Type or magic bytes", () => {
+      expect(isPdfResponse(Buffer.from(""), "application/pdf")).to.be.true;
+      expect(isPdfResponse(report, "application/octet-stream")).to.be.true;
+      expect(isPdfResponse(Buffer.from("<html>"), "text/html")).to.be.false;
+    });
+  });
+
+  describe("extractPdf()", () => {
+    it("should read the title, author, page count and text", async () => {
+      const pdf = await extractPdf(report);
+
+      expect(pdf).to.include({
+        title: "Annual Report 2024",
+        author: "Research Unit",
+        pageCount: 2,
+      });
+      expect(pdf.textContent).to.include(
+        "Violent crime fell across most counties this year."
+      );
+    });
+
+    it("should mark pages and headings in markdown", async () => {
+      const { markdownContent } = await extractPdf(report);
+
+      expect(markdownContent).to.equal(
+        [
+          "<!-- page 1 -->",
+          "# Annual Report",
+          "Violent crime fell across most counties this year. - not a list item",
+          "---",
+          "<!-- page 2 -->",
+          "## Findings",
+          "Arrests declined.",
+        ].join("\n\n")
+      );
+    });
+  });
+
+  describe("routes and crawling", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      await fs.remove(outputDir);
+    });
+
+    it("should write PDF routes to every output format", async () => {
+      nock("https://pdf.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/reports/annual.pdf")
+        .reply(200, report, { "Content-Type": "application/pdf" });
+
+      const [result] = await processRoutes({
+        baseUrl: "https://pdf.example",
+        routes: ["/reports/annual.pdf"],
+        format: "all",
+        outputDir,
+      });
+
+      expect(result.data).to.include({
+        title: "Annual Report 2024",
+        author: "Research Unit",
+        pageCount: 2,
+        contentType: "application/pdf",
+      });
+      expect(await fs.readFile(result.files.markdown, "utf8")).to.include(
+        "<!-- page 2 -->"
+      );
+      expect(await fs.readFile(result.files.text, "utf8")).to.include(
+        "Arrests declined."
+      );
+      expect(result.document.sections[0].sections[0]).to.deep.include({
+        heading: "Findings",
+        blocks: [{ type: "paragraph", text: "Arrests declined." }],
+      });
+    });
+
+    it("should extract PDFs reached by crawling", async () => {
+      nock("https://pdf.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/")
+        .reply(
+          200,
+          '<html><body><main><p>Reports</p><a href="/annual.pdf">Annual</a></main></body></html>'
+        )
+        .get("/annual.pdf")
+        .reply(200, report, { "Content-Type": "application/pdf" });
+
+      const results = await crawlSite({
+        baseUrl: "https://pdf.example",
+        format: "json",
+        outputDir,
+      });
+
+      expect(results.map((result) => result.route)).to.deep.equal([
+        "/",
+        "/annual.pdf",
+      ]);
+      expect(results[1].data.pageCount).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const cheerio = require("cheerio");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { extractContent } = require("../utils/contentProcessor");
+const { renderText, wrapText } = require("../utils/plainText");
+
+describe("Plain text output", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const render = (html, options) => {
+    const $ = cheerio.load(`<div id="root">${html}</div>`);
+    return renderText($, $("#root"), options);
+  };
+
+  describe("renderText()", () => {
+    it("should separate headings and paragraphs with blank lines", () => {
+      expect(
+        render(
+          "<h2>Grant   Programs</h2><p>Funding for <em>victim</em> services.<br>Apply by May 1.</p><div>Contact the <span>grants unit</span>.</div>"
+        )
+      ).to.equal(
+        "Grant Programs\n\nFunding for victim services.\nApply by May 1.\n\nContact the grants unit."
+      );
+    });
+
+    it("should number and indent lists", () => {
+      expect(
+        render(
+          '<ul><li>Eligibility</li><li>Deadlines<ol start="2"><li>Letter of intent</li><li>Full application</li></ol></li></ul>'
+        )
+      ).to.equal(
+        "- Eligibility\n- Deadlines\n  2. Letter of intent\n  3. Full application"
+      );
+    });
+
+    it("should write table rows tab-separated and keep <pre> spacing", () => {
+      expect(
+        render(
+          "<table><caption>Arrests</caption><tr><th>Year</th><th>Total</th></tr><tr><td>2023</td><td>1,450</td></tr></table><pre>  id   count\n  1    20\n</pre>"
+        )
+      ).to.equal("Arrests\nYear\tTotal\n2023\t1,450\n\n  id   count\n  1    20");
+    });
+
+    it("should wrap long lines, leaving room for list markers", () => {
+      const text = render(
+        "<p>Applications are reviewed by a panel of subject matter experts.</p><ul><li>Each proposal is scored against the published criteria.</li></ul>",
+        { wrap: 30 }
+      );
+
+      expect(text).to.equal(
+        [
+          "Applications are reviewed by a",
+          "panel of subject matter",
+          "experts.",
+          "",
+          "- Each proposal is scored",
+          "  against the published",
+          "  criteria.",
+        ].join("\n")
+      );
+    });
+
+    it("should keep the legacy single-line mode", () => {
+      expect(
+        render("<h2>Title</h2>\n<p>One   two</p>\n<p>three</p>", { mode: "single-line" })
+      ).to.equal("Title One two three");
+    });
+
+    it("should reject unknown modes", () => {
+      expect(() => render("<p>x</p>", { mode: "fancy" })).to.throw(/Invalid text mode/);
+    });
+  });
+
+  describe("wrapText()", () => {
+    it("should give words longer than the width their own line", () => {
+      expect(wrapText("see https://icjia.illinois.gov/researchhub now", 10)).to.equal(
+        "see\nhttps://icjia.illinois.gov/researchhub\nnow"
+      );
+    });
+  });
+
+  describe("extractContent()", () => {
+    it("should pass the text options through", () => {
+      const page = "<html><body><main><h1>Report</h1><p>Summary text.</p></main></body></html>";
+
+      expect(extractContent(page).textContent).to.equal("Report\n\nSummary text.");
+      expect(extractContent(page, { textMode: "single-line" }).textContent).to.equal(
+        "ReportSummary text."
+      );
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should write wrapped structured text", async () => {
+      nock("https://text.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/faq")
+        .reply(
+          200,
+          "<html><body><main><h1>FAQ</h1><p>Who can apply for funding from the authority?</p></main></body></html>"
+        );
+
+      const [result] = await processRoutes({
+        baseUrl: "https://text.example",
+        routes: ["/faq"],
+        format: "json",
+        outputDir,
+        wrap: 25,
+      });
+
+      expect(result.data.textContent).to.equal(
+        "FAQ\n\nWho can apply for funding\nfrom the authority?"
+      );
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes, loadRoutesFromFile } = require("../index");
+const {
+  extractContent,
+  extractMetaInfo,
+} = require("../utils/contentProcessor");
+const { resolveProfile, loadProfiles } = require("../utils/profiles");
+
+describe("Extraction profiles", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const profiles = {
+    "example.org": { remove: ".promo", title: "h1.headline" },
+    "*.example.org": { author: ".byline" },
+    "example.org/grants/*": {
+      contentRoot: "#grant",
+      keep: "form.apply",
+      date: ".deadline",
+    },
+  };
+
+  const grantPage = `
+    <html>
+      <head><title>Site title</title></head>
+      <body>
+        <div class="promo">Subscribe to our newsletter</div>
+        <section id="grant">
+          <h1 class="headline">Victim Services Grant</h1>
+          <p class="byline">Grants Unit</p>
+          <time class="deadline" datetime="2025-03-01">March 1</time>
+          <form class="apply"><label>Agency name</label><input name="agency"></form>
+        </section>
+        <form class="search"><input name="q"></form>
+      </body>
+    </html>`;
+
+  describe("resolveProfile()", () => {
+    it("should merge host, wildcard and URL pattern profiles in order", () => {
+      const profile = resolveProfile(
+        profiles,
+        "https://example.org/grants/victims"
+      );
+
+      expect(profile).to.deep.equal({
+        remove: [".promo"],
+        title: "h1.headline",
+        author: ".byline",
+        contentRoot: "#grant",
+        keep: ["form.apply"],
+        date: ".deadline",
+      });
+    });
+
+    it("should apply a route override last", () => {
+      const profile = resolveProfile(profiles, "https://news.example.org/a", {
+        author: ".writer",
+        remove: [".ad"],
+      });
+
+      expect(profile).to.deep.equal({ author: ".writer", remove: [".ad"] });
+      expect(resolveProfile(profiles, "https://other.org/")).to.be.null;
+    });
+  });
+
+  describe("extraction", () => {
+    const profile = resolveProfile(profiles, "https://example.org/grants/victims");
+
+    it("should use the content root and keep protected elements", () => {
+      const result = extractContent(grantPage, { profile });
+
+      expect(result).to.include({ strategy: "profile", usedSelector: "#grant" });
+      expect(result.cleanHtml).to.include('<input name="agency">');
+      expect(result.textContent).to.not.include("Subscribe");
+    });
+
+    it("should read metadata with the profile's selectors", () => {
+      const metaInfo = extractMetaInfo(grantPage, false, profile);
+
+      expect(metaInfo).to.include({
+        title: "Victim Services Grant",
+        author: "Grants Unit",
+        date: "2025-03-01",
+      });
+    });
+
+    it("should still strip forms without a profile", () => {
+      expect(extractContent(grantPage).cleanHtml).to.not.include("<input");
+    });
+  });
+
+  describe("loading", () => {
+    let configDir;
+
+    beforeEach(async () => {
+      configDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-profiles-"));
+    });
+
+    afterEach(async () => {
+      await fs.remove(configDir);
+    });
+
+    it("should load profiles from a file's profiles key", async () => {
+      const file = path.join(configDir, "profiles.json");
+      await fs.writeJson(file, { profiles: { "example.org": { remove: ".promo" } } });
+
+      expect(await loadProfiles(file)).to.deep.equal({
+        "example.org": { remove: [".promo"] },
+      });
+    });
+
+    it("should reject malformed profiles", async () => {
+      const file = path.join(configDir, "profiles.json");
+      await fs.writeJson(file, { profiles: { "example.org": { title: 42 } } });
+
+      let error;
+      try {
+        await loadProfiles(file);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.match(/title must be a selector string/);
+    });
+
+    it("should read per-route profiles from a routes file", async () => {
+      const file = path.join(configDir, "routes.json");
+      await fs.writeJson(file, [
+        "/about",
+        { route: "/grants/apply", profile: { keep: "form" } },
+        { profile: {} },
+      ]);
+
+      expect(await loadRoutesFromFile(file)).to.deep.equal([
+        "/about",
+        { route: "/grants/apply", profile: { keep: "form" } },
+      ]);
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should apply site profiles and per-route overrides", async () => {
+      nock("https://example.org")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/grants/victims")
+        .reply(200, grantPage)
+        .get("/search")
+        .reply(200, grantPage);
+
+      const [grant, search] = await processRoutes({
+        baseUrl: "https://example.org",
+        routes: [
+          "/grants/victims",
+          { route: "/search", profile: { contentRoot: "body", keep: "form.search" } },
+        ],
+        format: "json",
+        outputDir,
+        profiles,
+      });
+
+      expect(grant.data).to.include({
+        title: "Victim Services Grant",
+        date: "2025-03-01",
+      });
+      expect(grant.data.textContent).to.include("Agency name");
+      expect(search.data.extraction.selector).to.equal("body");
+      expect(search.data.author).to.equal("Grants Unit");
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { cleanHtml, extractContent } = require("../utils/contentProcessor");
+const { findMainContent } = require("../utils/readability");
+
+describe("Readability content scoring", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const paragraph = (n) =>
+    `<p>Paragraph ${n} of the report explains, in some detail, how arrest numbers changed over time and why that matters.</p>`;
+
+  // A sidebar-heavy page where one <section> wraps menus and the article
+  const page = `
+    <html>
+      <body>
+        <section class="layout">
+          <ul class="links">
+            ${Array.from(
+              { length: 30 },
+              (_, i) => `<li><a href="/topic/${i}">Topic link number ${i}</a></li>`
+            ).join("")}
+          </ul>
+          <div class="container">
+            <div class="related">
+              <a href="/a">A related story about something else</a>
+              <a href="/b">Another related story worth a click</a>
+            </div>
+            <div class="story">${[1, 2, 3, 4].map(paragraph).join("")}</div>
+            <p>The full data set is available on request.</p>
+          </div>
+        </section>
+      </body>
+    </html>`;
+
+  describe("findMainContent()", () => {
+    it("should pick the densest prose block and its related siblings", () => {
+      const $ = cleanHtml(page);
+      const found = findMainContent($);
+
+      expect(found.selector).to.equal("div.story");
+      expect(found.score).to.be.above(20);
+      expect(found.elements.map((element) => element.name)).to.deep.equal([
+        "div",
+        "p",
+      ]);
+    });
+
+    it("should return null when no block scores high enough", () => {
+      const $ = cleanHtml("<html><body><div><p>Too short to trust.</p></div></body></html>");
+      expect(findMainContent($)).to.be.null;
+    });
+  });
+
+  describe("extractContent()", () => {
+    it("should expose the chosen strategy, selector and score", () => {
+      const result = extractContent(page);
+
+      expect(result).to.include({
+        strategy: "readability",
+        usedSelector: "div.story",
+      });
+      expect(result.textContent).to.include("Paragraph 4 of the report");
+      expect(result.textContent).to.include("available on request");
+      expect(result.textContent).to.not.include("Topic link number");
+      expect(result.textContent).to.not.include("related story");
+    });
+
+    it("should keep the selector heuristic as a strategy", () => {
+      const result = extractContent(page, { strategy: "selector" });
+
+      expect(result.strategy).to.equal("selector");
+      expect(result.usedSelector).to.equal("section");
+      expect(result.textContent).to.include("Topic link number");
+    });
+
+    it("should fall back to the selector heuristic for thin pages", () => {
+      const result = extractContent(
+        "<html><body><main><h1>Contact</h1><p>Call us.</p></main></body></html>"
+      );
+
+      expect(result).to.include({ strategy: "selector", usedSelector: "main" });
+    });
+
+    it("should reject unknown strategies", () => {
+      expect(() => extractContent(page, { strategy: "magic" })).to.throw(
+        /Invalid content strategy/
+      );
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should record the extraction in the JSON output", async () => {
+      nock("https://readability.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/report")
+        .reply(200, page)
+        .get("/report-selector")
+        .reply(200, page);
+
+      const [readability] = await processRoutes({
+        baseUrl: "https://readability.example",
+        routes: ["/report"],
+        format: "json",
+        outputDir,
+      });
+      const [selector] = await processRoutes({
+        baseUrl: "https://readability.example",
+        routes: ["/report-selector"],
+        format: "json",
+        outputDir,
+        contentStrategy: "selector",
+      });
+
+      expect(readability.data.extraction).to.include({
+        strategy: "readability",
+        selector: "div.story",
+      });
+      expect(selector.data.extraction.strategy).to.equal("selector");
+    });
+  });
+});
@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { fetchContent, processRoutes } = require("../index");
+const logger = require("../utils/logger");
+const {
+  isRetryableError,
+  parseRetryAfter,
+  getBackoffDelay,
+  createCircuitBreaker,
+} = require("../utils/retry");
+
+describe("Retry and backoff", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe("isRetryableError()", () => {
+    it("should retry network errors, 429 and 5xx", () => {
+      expect(isRetryableError({ code: "ECONNRESET" })).to.be.true;
+      expect(isRetryableError({ response: { status: 429 } })).to.be.true;
+      expect(isRetryableError({ response: { status: 503 } })).to.be.true;
+    });
+
+    it("should not retry client errors or DNS failures", () => {
+      expect(isRetryableError({ response: { status: 404 } })).to.be.false;
+      expect(isRetryableError({ code: "ENOTFOUND" })).to.be.false;
+    });
+  });
+
+  describe("parseRetryAfter()", () => {
+    it("should parse delays in seconds and HTTP dates", () => {
+      const now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+
+      expect(parseRetryAfter("120")).to.equal(120000);
+      expect(parseRetryAfter("Wed, 21 Oct 2015 07:28:30 GMT", now)).to.equal(
+        30000
+      );
+      expect(parseRetryAfter(undefined)).to.be.null;
+      expect(parseRetryAfter("soon")).to.be.null;
+    });
+  });
+
+  describe("getBackoffDelay()", () => {
+    it("should grow exponentially up to the maximum", () => {
+      const options = { retryDelay: 100, maxRetryDelay: 300 };
+
+      expect(getBackoffDelay(1, options)).to.be.within(50, 100);
+      expect(getBackoffDelay(2, options)).to.be.within(100, 200);
+      expect(getBackoffDelay(5, options)).to.be.within(150, 300);
+    });
+  });
+
+  describe("createCircuitBreaker()", () => {
+    it("should open after repeated failures and allow a trial after cooldown", async () => {
+      const breaker = createCircuitBreaker({ threshold: 2, cooldown: 20 });
+
+      expect(breaker.recordFailure("a.example")).to.be.false;
+      expect(breaker.recordFailure("a.example")).to.be.true;
+      expect(breaker.canRequest("a.example")).to.be.false;
+      expect(breaker.canRequest("b.example")).to.be.true;
+
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      expect(breaker.canRequest("a.example")).to.be.true;
+
+      breaker.recordSuccess("a.example");
+      expect(breaker.canRequest("a.example")).to.be.true;
+    });
+
+    it("should let only one trial request through while half-open", async () => {
+      const breaker = createCircuitBreaker({ threshold: 1, cooldown: 20 });
+
+      breaker.recordFailure("a.example");
+      await new Promise((resolve) => setTimeout(resolve, 25));
+
+      expect(breaker.canRequest("a.example")).to.be.true;
+      expect(breaker.canRequest("a.example")).to.be.false;
+      expect(breaker.canRequest("a.example")).to.be.false;
+
+      // A failed trial opens the circuit for another cooldown
+      expect(breaker.recordFailure("a.example")).to.be.true;
+      expect(breaker.canRequest("a.example")).to.be.false;
+
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      expect(breaker.canRequest("a.example")).to.be.true;
+      breaker.recordSuccess("a.example");
+      expect(breaker.canRequest("a.example")).to.be.true;
+      expect(breaker.canRequest("a.example")).to.be.true;
+    });
+
+    it("should give up on a trial that never reports back", async () => {
+      const breaker = createCircuitBreaker({ threshold: 1, cooldown: 20 });
+
+      breaker.recordFailure("a.example");
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      expect(breaker.canRequest("a.example")).to.be.true;
+
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      expect(breaker.canRequest("a.example")).to.be.true;
+    });
+  });
+
+  describe("fetchContent()", () => {
+    it("should retry transient failures until one succeeds", async () => {
+      nock("https://retry.example")
+        .get("/page")
+        .reply(503)
+        .get("/page")
+        .replyWithError({ code: "ECONNRESET", message: "socket hang up" })
+        .get("/page")
+        .reply(200, "<p>Recovered</p>");
+
+      const httpError = sinon.spy(logger, "httpError");
+      const content = await fetchContent("https://retry.example/page", {
+        retryDelay: 1,
+        circuitBreaker: createCircuitBreaker(),
+        ignoreRobots: true,
+      });
+      httpError.restore();
+
+      expect(content).to.equal("<p>Recovered</p>");
+      expect(httpError.args.map((args) => args[2].attempt)).to.deep.equal([
+        1, 2,
+      ]);
+    });
+
+    it("should honor Retry-After on 429 responses", async () => {
+      nock("https://retry.example")
+        .get("/limited")
+        .reply(429, "", { "Retry-After": "1" })
+        .get("/limited")
+        .reply(200, "ok");
+
+      const start = Date.now();
+      const content = await fetchContent("https://retry.example/limited", {
+        retryDelay: 1,
+        circuitBreaker: createCircuitBreaker(),
+        ignoreRobots: true,
+      });
+
+      expect(content).to.equal("ok");
+      expect(Date.now() - start).to.be.at.least(950);
+    });
+
+    it("should not retry a 404", async () => {
+      const scope = nock("https://retry.example").get("/missing").reply(404);
+
+      const content = await fetchContent("https://retry.example/missing", {
+        retryDelay: 1,
+        circuitBreaker: createCircuitBreaker(),
+        ignoreRobots: true,
+      });
+
+      expect(content).to.be.null;
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it("should stop requesting a host once its circuit opens", async () => {
+      const breaker = createCircuitBreaker({ threshold: 2 });
+      nock("https://down.example").get("/a").times(2).reply(500);
+
+      const first = await fetchContent("https://down.example/a", {
+        retries: 3,
+        retryDelay: 1,
+        circuitBreaker: breaker,
+        ignoreRobots: true,
+      });
+      // No interceptor is registered for /b; the circuit must stop the request
+      const second = await fetchContent("https://down.example/b", {
+        retryDelay: 1,
+        circuitBreaker: breaker,
+        ignoreRobots: true,
+      });
+
+      expect(first).to.be.null;
+      expect(second).to.be.null;
+      expect(nock.pendingMocks()).to.be.empty;
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      await fs.remove(outputDir);
+    });
+
+    it("should start each run with the circuit closed", async () => {
+      nock("https://flaky.example")
+        .get("/robots.txt")
+        .times(2)
+        .reply(404)
+        .get("/down")
+        .times(5)
+        .reply(500)
+        .get("/up")
+        .reply(200, "<html><body><main><p>Back up</p></main></body></html>");
+
+      const options = {
+        baseUrl: "https://flaky.example",
+        format: "text",
+        outputDir,
+        retries: 4,
+        retryDelay: 1,
+      };
+      // Five failures open the host's circuit for the rest of this run
+      const failed = await processRoutes({ ...options, routes: ["/down"] });
+      const recovered = await processRoutes({ ...options, routes: ["/up"] });
+
+      expect(failed).to.be.empty;
+      expect(recovered.map((result) => result.route)).to.deep.equal(["/up"]);
+    });
+  });
+});
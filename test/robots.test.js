@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes, crawlSite, fetchContent } = require("../index");
+const {
+  parseRobotsTxt,
+  getRulesForAgent,
+  isPathAllowed,
+  getPageRobotsDirectives,
+  clearRobotsCache,
+} = require("../utils/robots");
+
+describe("robots.txt and meta robots", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const robotsTxt = `
+    # Example robots.txt
+    User-agent: *
+    Disallow: /private
+    Crawl-delay: 2
+
+    User-agent: ScoopIt
+    User-agent: otherbot
+    Disallow: /drafts/
+    Allow: /drafts/public$
+    Disallow: /*.cgi
+  `;
+
+  const page = (title, head = "", links = []) => `
+    <html>
+      <head><title>${title}</title>${head}</head>
+      <body><main><p>${title}</p>
+        ${links.map((href) => `<a href="${href}">${href}</a>`).join("")}
+      </main></body>
+    </html>`;
+
+  let outputDir;
+
+  beforeEach(async () => {
+    process.env.NODE_ENV = "test";
+    sinon.stub(console, "log");
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+  });
+
+  afterEach(async () => {
+    console.log.restore();
+    nock.cleanAll();
+    clearRobotsCache();
+    await fs.remove(outputDir);
+  });
+
+  describe("parseRobotsTxt() and getRulesForAgent()", () => {
+    it("should prefer the group naming ScoopIt over the * group", () => {
+      const { rules, crawlDelay } = getRulesForAgent(parseRobotsTxt(robotsTxt));
+
+      expect(rules.map((rule) => rule.path)).to.deep.equal([
+        "/drafts/",
+        "/drafts/public$",
+        "/*.cgi",
+      ]);
+      expect(crawlDelay).to.be.null;
+    });
+
+    it("should fall back to the * group", () => {
+      const { rules, crawlDelay } = getRulesForAgent(
+        parseRobotsTxt(robotsTxt),
+        "somebot"
+      );
+
+      expect(rules).to.deep.equal([{ allow: false, path: "/private" }]);
+      expect(crawlDelay).to.equal(2);
+    });
+  });
+
+  describe("isPathAllowed()", () => {
+    const { rules } = getRulesForAgent(parseRobotsTxt(robotsTxt));
+
+    it("should apply the longest matching rule", () => {
+      expect(isPathAllowed(rules, "/drafts/secret")).to.be.false;
+      expect(isPathAllowed(rules, "/drafts/public")).to.be.true;
+      expect(isPathAllowed(rules, "/drafts/public/more")).to.be.false;
+      expect(isPathAllowed(rules, "/about")).to.be.true;
+    });
+
+    it("should support * wildcards", () => {
+      expect(isPathAllowed(rules, "/bin/search.cgi?q=1")).to.be.false;
+    });
+  });
+
+  describe("getPageRobotsDirectives()", () => {
+    it("should read meta robots tags", () => {
+      const html = page("Hidden", '<meta name="robots" content="noindex,nofollow">');
+      expect(getPageRobotsDirectives(html)).to.deep.equal({
+        noindex: true,
+        nofollow: true,
+      });
+    });
+
+    it("should read X-Robots-Tag headers, ignoring other crawlers", () => {
+      expect(
+        getPageRobotsDirectives("", { "x-robots-tag": "googlebot: noindex" })
+      ).to.deep.equal({ noindex: false, nofollow: false });
+
+      expect(
+        getPageRobotsDirectives("", { "x-robots-tag": ["none"] })
+      ).to.deep.equal({ noindex: true, nofollow: true });
+    });
+  });
+
+  describe("fetching", () => {
+    it("should not request pages disallowed by robots.txt", async () => {
+      nock("https://robots-a.example")
+        .get("/robots.txt")
+        .reply(200, robotsTxt)
+        .get("/about")
+        .reply(200, page("About"));
+
+      const results = await processRoutes({
+        baseUrl: "https://robots-a.example",
+        routes: ["/drafts/secret", "/about"],
+        format: "text",
+        outputDir,
+      });
+
+      expect(results.map((result) => result.route)).to.deep.equal(["/about"]);
+      expect(nock.isDone()).to.be.true;
+    });
+
+    it("should return null from fetchContent for disallowed URLs", async () => {
+      nock("https://robots-b.example").get("/robots.txt").reply(200, robotsTxt);
+
+      const content = await fetchContent("https://robots-b.example/drafts/x");
+      expect(content).to.be.null;
+    });
+
+    it("should treat a missing robots.txt as allowing everything", async () => {
+      nock("https://robots-c.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/drafts/x")
+        .reply(200, "ok");
+
+      const content = await fetchContent("https://robots-c.example/drafts/x");
+      expect(content).to.equal("ok");
+    });
+
+    it("should retry a robots.txt that fails before applying it", async () => {
+      nock("https://robots-h.example")
+        .get("/robots.txt")
+        .reply(503)
+        .get("/robots.txt")
+        .reply(200, robotsTxt)
+        .get("/about")
+        .reply(200, "ok");
+
+      expect(await fetchContent("https://robots-h.example/about", { retryDelay: 1 })).to.equal("ok");
+      expect(await fetchContent("https://robots-h.example/drafts/x")).to.be.null;
+      expect(nock.isDone()).to.be.true;
+    });
+
+    it("should only block a host for a while when robots.txt keeps failing", async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+      nock("https://robots-i.example")
+        .get("/robots.txt")
+        .times(2)
+        .reply(500)
+        .get("/robots.txt")
+        .reply(404)
+        .get("/about")
+        .reply(200, "ok");
+
+      try {
+        const options = { retries: 1, retryDelay: 1 };
+        expect(await fetchContent("https://robots-i.example/about", options)).to.be.null;
+        expect(await fetchContent("https://robots-i.example/about", options)).to.be.null;
+
+        // The server has recovered by the time the failure expires
+        clock.tick(61000);
+        expect(await fetchContent("https://robots-i.example/about", options)).to.equal("ok");
+        expect(nock.isDone()).to.be.true;
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it("should fetch disallowed pages when ignoreRobots is set", async () => {
+      nock("https://robots-d.example")
+        .get("/drafts/secret")
+        .reply(200, page("Secret"));
+
+      const results = await processRoutes({
+        baseUrl: "https://robots-d.example",
+        routes: ["/drafts/secret"],
+        format: "text",
+        outputDir,
+        ignoreRobots: true,
+      });
+
+      expect(results).to.have.lengthOf(1);
+    });
+
+    it("should skip noindex pages but follow their links in crawls", async () => {
+      nock("https://robots-e.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/")
+        .reply(200, page("Index", '<meta name="robots" content="noindex">', ["/a"]))
+        .get("/a")
+        .reply(200, page("A", '<meta name="robots" content="nofollow">', ["/b"]));
+
+      const results = await crawlSite({
+        baseUrl: "https://robots-e.example",
+        maxDepth: 3,
+        format: "text",
+        outputDir,
+      });
+
+      // "/" is not written, "/a" is written, and "/b" is never requested
+      expect(results.map((result) => result.route)).to.deep.equal(["/a"]);
+    });
+
+    it("should honor Crawl-delay between requests to a host", async () => {
+      nock("https://robots-g.example")
+        .get("/robots.txt")
+        .reply(200, "User-agent: *\nCrawl-delay: 1")
+        .get("/one")
+        .reply(200, page("One"))
+        .get("/two")
+        .reply(200, page("Two"));
+
+      const start = Date.now();
+      const results = await processRoutes({
+        baseUrl: "https://robots-g.example",
+        routes: ["/one", "/two"],
+        format: "text",
+        outputDir,
+      });
+
+      expect(results).to.have.lengthOf(2);
+      expect(Date.now() - start).to.be.at.least(950);
+    });
+
+    it("should skip pages with a noindex X-Robots-Tag header", async () => {
+      nock("https://robots-f.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/report")
+        .reply(200, page("Report"), { "X-Robots-Tag": "noindex" });
+
+      const results = await processRoutes({
+        baseUrl: "https://robots-f.example",
+        routes: ["/report"],
+        format: "text",
+        outputDir,
+      });
+
+      expect(results).to.be.empty;
+    });
+  });
+});
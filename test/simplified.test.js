@@ -1,5 +1,8 @@
 const { expect } = require('chai');
+const fs = require('fs-extra');
 const nock = require('nock');
+const os = require('os');
+const path = require('path');
 const sinon = require('sinon');
 const { setupTestEnvironment } = require('./helpers/setup');
 
@@ -11,6 +14,7 @@ const {
   DEFAULT_ROUTES,
   DEFAULT_FORMAT
 } = require('../index');
+const { clearRobotsCache } = require('../utils/robots');
 
 // Setup test environment before running tests
 setupTestEnvironment();
@@ -19,6 +23,15 @@ describe('ScoopIt Simplified Tests', function() {
   // Increase timeout for HTTP requests
   this.timeout(10000);
 
+  // Only the mocked hosts below are reachable
+  before(function() {
+    nock.disableNetConnect();
+  });
+
+  after(function() {
+    nock.enableNetConnect();
+  });
+
   // Sample HTML response for testing
   const sampleHtml = `
     <!DOCTYPE html>
@@ -55,8 +68,9 @@ describe('ScoopIt Simplified Tests', function() {
     // Restore console.log
     console.log.restore();
     
-    // Reset all HTTP mocks
+    // Reset all HTTP mocks, and the robots.txt rules they served
     nock.cleanAll();
+    clearRobotsCache();
   });
 
   describe('Basic Configuration', function() {
@@ -72,7 +86,9 @@ describe('ScoopIt Simplified Tests', function() {
   describe('fetchContent()', function() {
     it('should fetch content from a URL', async function() {
       // Mock HTTP request
-      nock('https://example.org').get('/test').reply(200, sampleHtml);
+      nock('https://example.org')
+        .get('/robots.txt').reply(404)
+        .get('/test').reply(200, sampleHtml);
 
       const content = await fetchContent('https://example.org/test');
       expect(content).to.be.a('string');
@@ -81,7 +97,9 @@ describe('ScoopIt Simplified Tests', function() {
 
     it('should return null for failed requests', async function() {
       // Mock HTTP request with error
-      nock('https://example.org').get('/nonexistent').reply(404);
+      nock('https://example.org')
+        .get('/robots.txt').reply(404)
+        .get('/nonexistent').reply(404);
       
       // Stub console.error to suppress error output
       sinon.stub(console, 'error');
@@ -96,7 +114,9 @@ describe('ScoopIt Simplified Tests', function() {
   describe('generateFilesForRoute()', function() {
     it('should process content for a route without validation', async function() {
       // Mock HTTP request
-      nock('https://example.org').get('/test').reply(200, sampleHtml);
+      nock('https://example.org')
+        .get('/robots.txt').reply(404)
+        .get('/test').reply(200, sampleHtml);
       
       const result = await generateFilesForRoute('https://example.org', '/test', 'text');
       
@@ -114,6 +134,7 @@ describe('ScoopIt Simplified Tests', function() {
     it('should process multiple routes without validation', async function() {
       // Mock HTTP requests
       nock('https://example.org')
+        .get('/robots.txt').reply(404)
         .get('/route1').reply(200, sampleHtml)
         .get('/route2').reply(200, sampleHtml);
       
@@ -130,5 +151,32 @@ describe('ScoopIt Simplified Tests', function() {
       
       // Do not verify file output
     });
+
+    it('should process routes discovered from the sitemap', async function() {
+      const sitemap = `<urlset>
+        <url><loc>https://example.org/route1</loc></url>
+        <url><loc>https://example.org/route2</loc></url>
+      </urlset>`;
+
+      nock('https://example.org')
+        .get('/sitemap.xml').reply(200, sitemap)
+        .get('/robots.txt').reply(404)
+        .get('/route1').reply(200, sampleHtml)
+        .get('/route2').reply(200, sampleHtml);
+
+      const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scoopit-output-'));
+      try {
+        const results = await processRoutes({
+          baseUrl: 'https://example.org',
+          sitemap: true,
+          format: 'text',
+          outputDir
+        });
+
+        expect(results.map(result => result.route)).to.deep.equal(['/route1', '/route2']);
+      } finally {
+        await fs.remove(outputDir);
+      }
+    });
   });
 });
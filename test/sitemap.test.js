@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const nock = require("nock");
+const zlib = require("zlib");
+
+const { parseSitemap, loadSitemapRoutes } = require("../utils/sitemap");
+
+describe("Sitemap route discovery", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const urlset = `<?xml version="1.0" encoding="UTF-8"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc>https://example.org/about</loc><lastmod>2024-01-05</lastmod></url>
+      <url><loc>https://example.org/news/first</loc><lastmod>2024-03-01</lastmod></url>
+      <url><loc>https://example.org/news/second</loc></url>
+      <url><loc>https://other.org/elsewhere</loc></url>
+    </urlset>`;
+
+  const sitemapIndex = `<?xml version="1.0" encoding="UTF-8"?>
+    <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <sitemap><loc>https://example.org/sitemap-pages.xml</loc></sitemap>
+      <sitemap><loc>https://example.org/sitemap-research.xml.gz</loc></sitemap>
+    </sitemapindex>`;
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe("parseSitemap()", () => {
+    it("should parse url entries with lastmod", () => {
+      const { type, entries } = parseSitemap(urlset);
+
+      expect(type).to.equal("urlset");
+      expect(entries).to.have.lengthOf(4);
+      expect(entries[0]).to.deep.equal({
+        loc: "https://example.org/about",
+        lastmod: "2024-01-05",
+      });
+      expect(entries[2].lastmod).to.be.null;
+    });
+
+    it("should recognize sitemap index files", () => {
+      const { type, entries } = parseSitemap(sitemapIndex);
+
+      expect(type).to.equal("index");
+      expect(entries.map((entry) => entry.loc)).to.deep.equal([
+        "https://example.org/sitemap-pages.xml",
+        "https://example.org/sitemap-research.xml.gz",
+      ]);
+    });
+  });
+
+  describe("loadSitemapRoutes()", () => {
+    it("should return same-origin routes from /sitemap.xml", async () => {
+      nock("https://example.org").get("/sitemap.xml").reply(200, urlset);
+
+      const routes = await loadSitemapRoutes("https://example.org");
+      expect(routes).to.deep.equal(["/about", "/news/first", "/news/second"]);
+    });
+
+    it("should follow sitemap indexes and gzipped sitemaps", async () => {
+      const research = `<urlset>
+        <url><loc>https://example.org/researchHub/report</loc></url>
+      </urlset>`;
+
+      nock("https://example.org")
+        .get("/sitemap.xml")
+        .reply(200, sitemapIndex)
+        .get("/sitemap-pages.xml")
+        .reply(200, urlset)
+        .get("/sitemap-research.xml.gz")
+        .reply(200, zlib.gzipSync(research), {
+          "Content-Type": "application/x-gzip",
+        });
+
+      const routes = await loadSitemapRoutes("https://example.org");
+      expect(routes).to.include("/about");
+      expect(routes).to.include("/researchHub/report");
+    });
+
+    it("should filter by lastmod date", async () => {
+      nock("https://example.org").get("/sitemap.xml").reply(200, urlset);
+
+      const routes = await loadSitemapRoutes("https://example.org", {
+        since: "2024-02-01",
+      });
+      expect(routes).to.deep.equal(["/news/first"]);
+    });
+
+    it("should filter by path prefix and regex", async () => {
+      nock("https://example.org")
+        .get("/sitemap.xml")
+        .twice()
+        .reply(200, urlset);
+
+      const byPrefix = await loadSitemapRoutes("https://example.org", {
+        prefix: "/news",
+      });
+      expect(byPrefix).to.deep.equal(["/news/first", "/news/second"]);
+
+      const byPattern = await loadSitemapRoutes("https://example.org", {
+        pattern: "second$",
+      });
+      expect(byPattern).to.deep.equal(["/news/second"]);
+    });
+
+    it("should return no routes when the sitemap is missing", async () => {
+      nock("https://example.org").get("/sitemap.xml").reply(404);
+
+      const routes = await loadSitemapRoutes("https://example.org");
+      expect(routes).to.deep.equal([]);
+    });
+  });
+});
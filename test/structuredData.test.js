@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { extractMetaInfo } = require("../utils/contentProcessor");
+const {
+  extractStructuredData,
+  getStructuredMetadata,
+} = require("../utils/structuredData");
+
+describe("Structured data", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  const jsonLd = (data) =>
+    `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+  describe("extractStructuredData()", () => {
+    it("should flatten JSON-LD blocks and skip invalid ones", () => {
+      const data = extractStructuredData(`
+        <html><head>
+          ${jsonLd({
+            "@context": "https://schema.org",
+            "@graph": [
+              { "@type": "Organization", name: "ICJIA" },
+              { "@type": "Report", headline: "Jail Populations" },
+            ],
+          })}
+          <script type="application/ld+json">{ not json</script>
+        </head><body></body></html>`);
+
+      expect(data.jsonLd.map((entity) => entity["@type"])).to.deep.equal([
+        "Organization",
+        "Report",
+      ]);
+    });
+
+    it("should parse nested microdata and RDFa items", () => {
+      const data = extractStructuredData(`
+        <div itemscope itemtype="https://schema.org/Article">
+          <h1 itemprop="headline">Court Backlogs</h1>
+          <span itemprop="author" itemscope itemtype="https://schema.org/Person">
+            <span itemprop="name">Ana Ruiz</span>
+          </span>
+          <time itemprop="datePublished" datetime="2024-06-01">June 1</time>
+        </div>
+        <div vocab="https://schema.org/" typeof="Event">
+          <span property="name">Research Forum</span>
+          <meta property="startDate" content="2024-09-09">
+        </div>`);
+
+      expect(data.microdata).to.deep.equal([
+        {
+          type: ["https://schema.org/Article"],
+          properties: {
+            headline: ["Court Backlogs"],
+            author: [
+              {
+                type: ["https://schema.org/Person"],
+                properties: { name: ["Ana Ruiz"] },
+              },
+            ],
+            datePublished: ["2024-06-01"],
+          },
+        },
+      ]);
+      expect(data.rdfa[0]).to.deep.equal({
+        type: ["Event"],
+        properties: { name: ["Research Forum"], startDate: ["2024-09-09"] },
+      });
+    });
+
+    it("should parse microformats with implied names", () => {
+      const data = extractStructuredData(`
+        <article class="h-entry">
+          <h2 class="p-name">Grant Deadlines</h2>
+          <a class="p-author h-card" href="/staff/lee">Sam Lee</a>
+          <time class="dt-published" datetime="2024-02-02">Feb 2</time>
+        </article>`);
+
+      expect(data.microformats).to.deep.equal([
+        {
+          type: ["h-entry"],
+          properties: {
+            name: ["Grant Deadlines"],
+            author: [
+              {
+                type: ["h-card"],
+                properties: { name: ["Sam Lee"], url: ["/staff/lee"] },
+              },
+            ],
+            published: ["2024-02-02"],
+          },
+        },
+      ]);
+    });
+
+    it("should collect the full Open Graph and Twitter card sets", () => {
+      const data = extractStructuredData(`
+        <meta property="og:type" content="article">
+        <meta property="og:image" content="/a.png">
+        <meta property="og:image" content="/b.png">
+        <meta property="article:section" content="Research">
+        <meta name="twitter:card" content="summary_large_image">
+        <meta name="viewport" content="width=device-width">`);
+
+      expect(data).to.deep.equal({
+        openGraph: {
+          "og:type": "article",
+          "og:image": ["/a.png", "/b.png"],
+          "article:section": "Research",
+        },
+        twitter: { "twitter:card": "summary_large_image" },
+      });
+    });
+  });
+
+  describe("getStructuredMetadata()", () => {
+    it("should ignore names of organizations and people", () => {
+      const metadata = getStructuredMetadata({
+        jsonLd: [{ "@type": "Organization", name: "ICJIA" }],
+        microformats: [{ type: ["h-card"], properties: { name: ["Sam Lee"] } }],
+      });
+
+      expect(metadata.title).to.equal("");
+    });
+  });
+
+  describe("extractMetaInfo()", () => {
+    const page = `
+      <html><head>
+        ${jsonLd({
+          "@context": "https://schema.org",
+          "@type": "NewsArticle",
+          headline: "Violence Prevention Grants Announced",
+          description: "New awards for community programs.",
+          datePublished: "2024-03-15",
+          author: [{ "@type": "Person", name: "Ana Ruiz" }, { "@type": "Person", name: "Sam Lee" }],
+        })}
+      </head><body><h1>Short heading</h1></body></html>`;
+
+    it("should fall back to structured data for missing meta tags", () => {
+      const metaInfo = extractMetaInfo(page);
+
+      expect(metaInfo).to.include({
+        title: "Violence Prevention Grants Announced",
+        description: "New awards for community programs.",
+        author: "Ana Ruiz, Sam Lee",
+        date: "2024-03-15",
+      });
+      expect(metaInfo.structuredData.jsonLd).to.have.lengthOf(1);
+    });
+
+    it("should prefer the plain meta tags", () => {
+      const metaInfo = extractMetaInfo(
+        page.replace(
+          "<head>",
+          '<head><title>Page title</title><meta name="author" content="Press Office">'
+        )
+      );
+
+      expect(metaInfo).to.include({ title: "Page title", author: "Press Office" });
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should include structured data in the JSON output", async () => {
+      nock("https://structured.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/story")
+        .reply(
+          200,
+          `<html><head>
+            <meta property="og:title" content="Story">
+            ${jsonLd({ "@type": "Article", datePublished: "2024-01-31" })}
+          </head><body><main><p>Story text.</p></main></body></html>`
+        );
+
+      const [result] = await processRoutes({
+        baseUrl: "https://structured.example",
+        routes: ["/story"],
+        format: "json",
+        outputDir,
+      });
+
+      expect(result.data.date).to.equal("2024-01-31");
+      expect(result.data.structuredData).to.have.keys("jsonLd", "openGraph");
+    });
+  });
+});
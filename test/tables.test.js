@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const cheerio = require("cheerio");
+const fs = require("fs-extra");
+const nock = require("nock");
+const os = require("os");
+const path = require("path");
+const sinon = require("sinon");
+
+const { processRoutes } = require("../index");
+const { convertToMarkdown } = require("../utils/contentProcessor");
+const {
+  parseTable,
+  extractTables,
+  tableToMarkdown,
+  tableToCsv,
+} = require("../utils/tables");
+
+describe("Tables", function () {
+  this.timeout(10000);
+
+  // Only hosts mocked with nock are reachable
+  before(() => {
+    nock.disableNetConnect();
+  });
+
+  after(() => {
+    nock.enableNetConnect();
+  });
+
+  // Two header rows, spans in the header and body, and a footer
+  const arrestsTable = `
+    <table>
+      <caption>Arrests by county</caption>
+      <thead>
+        <tr><th rowspan="2">County</th><th colspan="2">2023</th></tr>
+        <tr><th>Q1</th><th>Q2</th></tr>
+      </thead>
+      <tfoot><tr><td>Total</td><td>1,450</td><td>1,390</td></tr></tfoot>
+      <tbody>
+        <tr><td rowspan="2">Cook</td><td>1,200</td><td>1,150</td></tr>
+        <tr><td>30</td><td>25</td></tr>
+        <tr><td>Lake, "North"</td><td>220</td><td>215</td></tr>
+      </tbody>
+    </table>`;
+
+  describe("parseTable()", () => {
+    it("should expand spans and join stacked headers", () => {
+      const $ = cheerio.load(arrestsTable);
+      const table = parseTable($, $("table")[0]);
+
+      expect(table).to.deep.equal({
+        caption: "Arrests by county",
+        headers: ["County", "2023 / Q1", "2023 / Q2"],
+        rows: [
+          ["Cook", "1,200", "1,150"],
+          ["Cook", "30", "25"],
+          ['Lake, "North"', "220", "215"],
+          ["Total", "1,450", "1,390"],
+        ],
+      });
+    });
+
+    it("should take leading th rows as the header without a thead", () => {
+      const $ = cheerio.load(`
+        <table>
+          <tr><th>Year</th><th>Grants</th></tr>
+          <tr><td>2022</td></tr>
+          <tr><td></td><td></td></tr>
+        </table>`);
+
+      expect(parseTable($, $("table")[0])).to.deep.equal({
+        caption: "",
+        headers: ["Year", "Grants"],
+        rows: [["2022", ""]],
+      });
+    });
+  });
+
+  describe("extractTables()", () => {
+    it("should skip layout tables but keep the data tables inside them", () => {
+      const tables = extractTables(`
+        <table role="presentation"><tr><td>Menu</td></tr></table>
+        <table><tr><td>${arrestsTable}</td><td>Sidebar</td></tr></table>
+        <table></table>`);
+
+      expect(tables).to.have.lengthOf(1);
+      expect(tables[0].caption).to.equal("Arrests by county");
+    });
+  });
+
+  describe("rendering", () => {
+    const table = {
+      caption: "",
+      headers: [],
+      rows: [
+        ["a|b", "line one\nline two"],
+        [" padded", "plain"],
+      ],
+    };
+
+    it("should write GFM tables with an empty header when there is none", () => {
+      expect(tableToMarkdown(table)).to.equal(
+        [
+          "|  |  |",
+          "| --- | --- |",
+          "| a\\|b | line one<br>line two |",
+          "| padded | plain |",
+        ].join("\n")
+      );
+    });
+
+    it("should quote CSV fields only when needed", () => {
+      expect(tableToCsv(table)).to.equal(
+        'a|b,"line one\nline two"\r\n" padded",plain\r\n'
+      );
+    });
+  });
+
+  describe("convertToMarkdown()", () => {
+    it("should convert tables with their caption and inline formatting", () => {
+      const markdown = convertToMarkdown(
+        arrestsTable.replace("<td>220</td>", "<td><strong>220</strong></td>")
+      );
+
+      expect(markdown).to.include("**Arrests by county**");
+      expect(markdown).to.include("| County | 2023 / Q1 | 2023 / Q2 |\n| --- | --- | --- |");
+      expect(markdown).to.include('| Lake, "North" | **220** | 215 |');
+    });
+
+    it("should unwrap layout tables", () => {
+      const markdown = convertToMarkdown(
+        '<table role="presentation"><tr><td><h2>Programs</h2><p>Intro text.</p></td></tr></table>'
+      );
+
+      expect(markdown).to.equal("## Programs\n\nIntro text.");
+    });
+  });
+
+  describe("processRoutes()", () => {
+    let outputDir;
+
+    beforeEach(async () => {
+      process.env.NODE_ENV = "test";
+      sinon.stub(console, "log");
+      outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scoopit-output-"));
+    });
+
+    afterEach(async () => {
+      console.log.restore();
+      nock.cleanAll();
+      await fs.remove(outputDir);
+    });
+
+    it("should add tables to the JSON output and save each as CSV", async () => {
+      nock("https://tables.example")
+        .get("/robots.txt")
+        .reply(404)
+        .get("/stats")
+        .reply(
+          200,
+          `<html><head><title>Arrest statistics</title></head><body><main>
+            <h1>Arrest statistics</h1>${arrestsTable}
+          </main></body></html>`
+        );
+
+      const [result] = await processRoutes({
+        baseUrl: "https://tables.example",
+        routes: ["/stats"],
+        format: "json",
+        outputDir,
+      });
+
+      const [table] = result.data.tables;
+      expect(table.headers).to.deep.equal(["County", "2023 / Q1", "2023 / Q2"]);
+      expect(table.csv).to.match(/^csv\/.+-table-1\.csv$/);
+      expect(result.files.csv).to.have.lengthOf(1);
+
+      expect(await fs.readFile(result.files.csv[0], "utf8")).to.match(
+        /^County,2023 \/ Q1,2023 \/ Q2\r\nCook,"1,200","1,150"\r\n/
+      );
+    });
+  });
+});
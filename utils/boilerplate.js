@@ -0,0 +1,128 @@
+/**
+ * Cross-page boilerplate: text blocks repeated on many pages of a run
+ */
+
+// Share of a run's pages a block must appear on to count as boilerplate
+const DEFAULT_MIN_SHARE = 0.5;
+
+// Fewest pages a block must appear on; smaller runs are left alone
+const DEFAULT_MIN_PAGES = 3;
+
+// Report of the blocks a crawl removed, in its output directory
+// (routes runs record them in the manifest instead)
+const BOILERPLATE_REPORT_FILE = "boilerplate.json";
+
+// Blank lines separate blocks in both the text and markdown output
+const BLOCK_SEPARATOR = /(\n[ \t]*\n\s*)/;
+
+/**
+ * Reduce a text or markdown block to the words a reader sees
+ *
+ * Markdown links and images keep their text, and heading, list and
+ * quote markers are dropped, so a block matches itself across the text
+ * and markdown output.
+ *
+ * @param {string} block - A block of text or markdown
+ * @returns {string} - Lower-case text with whitespace collapsed
+ */
+function blockKey(block) {
+  return block
+    .split("\n")
+    .map((line) =>
+      line
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/^\s*(>\s*)+/, "")
+        .replace(/^\s*(#{1,6}|[-*+]|\d+[.)])\s+/, "")
+        .replace(/[*_`]/g, "")
+    )
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Split text or markdown into blocks
+ * @param {string} content - The content
+ * @returns {string[]} - Non-empty blocks in order
+ */
+function splitBlocks(content) {
+  return String(content || "")
+    .split(BLOCK_SEPARATOR)
+    .filter((part, index) => index % 2 === 0 && part.trim());
+}
+
+/**
+ * Find the blocks repeated across a set of pages
+ *
+ * A block counts once per page, whether it turns up in the page's text,
+ * its markdown or both. Blocks that appear on at least minShare of the
+ * pages, and on at least minPages of them, are boilerplate.
+ *
+ * @param {Object[]} pages - Page data with textContent and markdownContent
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.minShare=0.5] - Share of pages (0 to 1) a block must appear on
+ * @param {number} [options.minPages=3] - Fewest pages a block must appear on
+ * @returns {Object[]} - Blocks as { text, pages }, most widespread first
+ */
+function findBoilerplate(pages, options = {}) {
+  const minShare = options.minShare ?? DEFAULT_MIN_SHARE;
+  const minPages = options.minPages ?? DEFAULT_MIN_PAGES;
+  const needed = Math.max(minPages, Math.ceil(minShare * pages.length));
+  if (pages.length < needed) return [];
+
+  const blocks = new Map();
+  for (const page of pages) {
+    const seen = new Set();
+    // Text first, so the plain version of a block is the one reported
+    for (const block of [
+      ...splitBlocks(page.textContent),
+      ...splitBlocks(page.markdownContent),
+    ]) {
+      const key = blockKey(block);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+
+      if (!blocks.has(key)) blocks.set(key, { text: block.trim(), pages: 0 });
+      blocks.get(key).pages++;
+    }
+  }
+
+  return [...blocks.values()]
+    .filter((block) => block.pages >= needed)
+    .sort((a, b) => b.pages - a.pages);
+}
+
+/**
+ * Remove boilerplate blocks from text or markdown
+ * @param {string} content - The content
+ * @param {Object[]} blocks - Blocks from findBoilerplate
+ * @returns {Object} - { content, removed } with the number of blocks removed
+ */
+function removeBoilerplate(content, blocks) {
+  if (!content || !blocks.length) return { content, removed: 0 };
+
+  const keys = new Set(blocks.map((block) => blockKey(block.text)));
+  const parts = content.split(BLOCK_SEPARATOR);
+  const kept = [];
+  let removed = 0;
+
+  // Blocks sit at even indexes, each followed by its separator
+  for (let index = 0; index < parts.length; index += 2) {
+    if (parts[index].trim() && keys.has(blockKey(parts[index]))) {
+      removed++;
+    } else {
+      kept.push(parts[index], parts[index + 1] || "");
+    }
+  }
+
+  return removed ? { content: kept.join("").trim(), removed } : { content, removed };
+}
+
+module.exports = {
+  DEFAULT_MIN_SHARE,
+  DEFAULT_MIN_PAGES,
+  BOILERPLATE_REPORT_FILE,
+  findBoilerplate,
+  removeBoilerplate,
+};
@@ -0,0 +1,134 @@
+/**
+ * Character set detection and decoding for response bodies
+ */
+const iconv = require("iconv-lite");
+
+// How far into the body to look for <meta charset> (as browsers do)
+const META_PRESCAN_BYTES = 1024;
+
+// Labels browsers treat as another encoding (per the WHATWG Encoding Standard)
+const CHARSET_ALIASES = {
+  "utf8": "utf-8",
+  "unicode-1-1-utf-8": "utf-8",
+  "ascii": "windows-1252",
+  "us-ascii": "windows-1252",
+  "latin1": "windows-1252",
+  "l1": "windows-1252",
+  "iso-8859-1": "windows-1252",
+  "iso8859-1": "windows-1252",
+  "iso_8859-1": "windows-1252",
+  "cp1252": "windows-1252",
+  "x-cp1252": "windows-1252",
+  "gb2312": "gbk",
+  "x-gbk": "gbk",
+  "x-sjis": "shift_jis",
+};
+
+/**
+ * Normalize a charset label, returning null for unknown encodings
+ * @param {string} label - Charset label, e.g. "ISO-8859-1"
+ * @returns {string|null} - Canonical lower-case charset name or null
+ */
+function normalizeCharset(label) {
+  if (!label) return null;
+
+  const name = String(label).trim().replace(/^["']|["']$/g, "").toLowerCase();
+  const charset = CHARSET_ALIASES[name] || name;
+  return iconv.encodingExists(charset) ? charset : null;
+}
+
+/**
+ * Read the charset parameter of a Content-Type header
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {string|null} - Normalized charset or null
+ */
+function getContentTypeCharset(contentType) {
+  const match = /charset\s*=\s*("?)([^";,\s]+)\1/i.exec(contentType || "");
+  return match ? normalizeCharset(match[2]) : null;
+}
+
+/**
+ * Detect a byte order mark
+ * @param {Buffer} buffer - The response body
+ * @returns {string|null} - "utf-8", "utf-16le", "utf-16be" or null
+ */
+function getBomCharset(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return "utf-8";
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return "utf-16le";
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return "utf-16be";
+  return null;
+}
+
+/**
+ * Find a charset declared in the document itself
+ *
+ * Looks for <meta charset>, <meta http-equiv="Content-Type" content="...;
+ * charset=..."> and the XML declaration's encoding in the first bytes of
+ * the body.
+ *
+ * @param {Buffer} buffer - The response body
+ * @returns {string|null} - Normalized charset or null
+ */
+function getDeclaredCharset(buffer) {
+  // Declarations are ASCII, so latin1 keeps every byte intact for matching
+  const head = buffer.subarray(0, META_PRESCAN_BYTES).toString("latin1");
+
+  const xml = /^<\?xml[^>]*\bencoding\s*=\s*["']([^"']+)["']/i.exec(head);
+  const meta = /<meta\b[^>]*?\bcharset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+  const label = (xml && xml[1]) || (meta && meta[1]);
+  if (!label) return null;
+
+  // A document that can be read as ASCII can't really be UTF-16
+  const charset = normalizeCharset(label);
+  return charset && charset.startsWith("utf-16") ? "utf-8" : charset;
+}
+
+/**
+ * Guess the charset of an undeclared body
+ * @param {Buffer} buffer - The response body
+ * @returns {string} - "utf-8" if the bytes are valid UTF-8, otherwise "windows-1252"
+ */
+function sniffCharset(buffer) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return "utf-8";
+  } catch (error) {
+    return "windows-1252";
+  }
+}
+
+/**
+ * Decode a response body to a string
+ *
+ * The charset comes from the Content-Type header, then a byte order mark,
+ * then a declaration in the document, and is otherwise sniffed.
+ *
+ * @param {Buffer} buffer - The raw response body
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {Object} - { text, charset, source } where source is header, bom, declaration or sniffed
+ */
+function decodeBody(buffer, contentType) {
+  const candidates = [
+    ["header", () => getContentTypeCharset(contentType)],
+    ["bom", () => getBomCharset(buffer)],
+    ["declaration", () => getDeclaredCharset(buffer)],
+    ["sniffed", () => sniffCharset(buffer)],
+  ];
+
+  for (const [source, detect] of candidates) {
+    const charset = detect();
+    if (charset) {
+      // iconv-lite strips a leading BOM while decoding
+      return { text: iconv.decode(buffer, charset), charset, source };
+    }
+  }
+}
+
+module.exports = {
+  normalizeCharset,
+  getContentTypeCharset,
+  getDeclaredCharset,
+  decodeBody,
+};
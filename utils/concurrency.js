@@ -0,0 +1,136 @@
+/**
+ * Concurrency helpers for processing many routes politely
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a worker over items with a bounded number of concurrent calls
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called as worker(item, index)
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency=1] - Maximum number of concurrent workers
+ * @returns {Promise<Array>} - Worker results, in the same order as items
+ */
+async function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  // Each runner keeps pulling the next unclaimed item until none are left
+  const runners = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    }
+  );
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Create a limiter that keeps requests to each host polite
+ *
+ * Limits the number of in-flight requests per host and spaces out the
+ * start of consecutive requests to the same host by a minimum delay
+ * plus random jitter.
+ *
+ * @param {Object} [options] - Limiter options
+ * @param {number} [options.maxPerHost=2] - Maximum in-flight requests per host
+ * @param {number} [options.minDelay=0] - Minimum ms between request starts to a host
+ * @param {number} [options.jitter=0] - Maximum random ms added to the delay
+ * @returns {Object} - Limiter with schedule(url, fn) and setHostDelay(host, ms) methods
+ */
+function createHostLimiter(options = {}) {
+  const maxPerHost = Math.max(1, options.maxPerHost || 2);
+  const minDelay = options.minDelay || 0;
+  const jitter = options.jitter || 0;
+
+  // Per-host state: in-flight count, waiting callers, next allowed start time and delay
+  const hosts = new Map();
+
+  const getHost = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        active: 0,
+        waiting: [],
+        nextStart: 0,
+        delay: minDelay,
+      });
+    }
+    return hosts.get(host);
+  };
+
+  const acquire = async (state) => {
+    // A released slot is handed directly to the next waiting caller
+    if (state.active >= maxPerHost) {
+      await new Promise((resolve) => state.waiting.push(resolve));
+    } else {
+      state.active++;
+    }
+
+    // Reserve the next start slot before waiting so callers don't share it
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStart);
+    const spacing = state.delay + (jitter ? Math.random() * jitter : 0);
+    state.nextStart = startAt + spacing;
+
+    if (startAt > now) {
+      await sleep(startAt - now);
+    }
+  };
+
+  const release = (state) => {
+    const next = state.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  };
+
+  return {
+    /**
+     * Run fn once the host of url has a free, polite slot
+     * @param {string} url - The URL about to be requested
+     * @param {Function} fn - Async function performing the request
+     * @returns {Promise<*>} - The result of fn
+     */
+    async schedule(url, fn) {
+      const state = getHost(new URL(url).host);
+      await acquire(state);
+      try {
+        return await fn();
+      } finally {
+        release(state);
+      }
+    },
+
+    /**
+     * Raise the minimum delay for one host (e.g. to honor a Crawl-delay)
+     * @param {string} host - The host, with port if any
+     * @param {number} delay - Minimum ms between request starts
+     */
+    setHostDelay(host, delay) {
+      const state = getHost(host);
+      state.delay = Math.max(minDelay, delay);
+    },
+  };
+}
+
+module.exports = {
+  sleep,
+  runPool,
+  createHostLimiter,
+};
@@ -1,5 +1,24 @@
 const cheerio = require("cheerio");
 const TurndownService = require("turndown");
+const { findMainContent } = require("./readability");
+const { isLayoutTable, parseTable, tableToMarkdown } = require("./tables");
+const { resolveHtmlUrls, pickSrcsetUrl } = require("./urlUtils");
+const { renderText } = require("./plainText");
+const {
+  JSON_MARKDOWN_MODES,
+  flattenJson,
+  jsonToMarkdown,
+  getMappedFields,
+  mapJsonDocuments,
+} = require("./jsonContent");
+const {
+  extractStructuredData,
+  getStructuredMetadata,
+} = require("./structuredData");
+
+// Ways of locating the main content of an HTML page
+const CONTENT_STRATEGIES = ["readability", "selector"];
+const DEFAULT_CONTENT_STRATEGY = "readability";
 
 /**
  * Detect if content is JSON format
@@ -27,9 +46,10 @@ function isJsonContent(content) {
 /**
  * Clean HTML content by removing unnecessary elements
  * @param {string|null} html - The HTML content to clean
+ * @param {Object} [profile] - Extraction profile whose `remove` selectors are also stripped and whose `keep` selectors are never stripped
  * @returns {Object|null} - The Cheerio instance with cleaned HTML or null if invalid
  */
-function cleanHtml(html) {
+function cleanHtml(html, profile = null) {
   if (html === null) return null;
 
   try {
@@ -37,11 +57,28 @@ function cleanHtml(html) {
     const htmlContent = html || '';
     const $ = cheerio.load(htmlContent);
 
+    // Elements the profile keeps survive, along with whatever holds them
+    const keep = profile && profile.keep ? profile.keep.join(", ") : null;
+    const remove = (selector) => {
+      const elements = $(selector);
+      const removable = keep
+        ? elements.filter(function () {
+            return !$(this).closest(keep).length && !$(this).find(keep).length;
+          })
+        : elements;
+      removable.remove();
+    };
+
     // Remove script, style tags, and other non-content elements
-    $("script, style, iframe, noscript, svg, form, button, input, nav.navbar, footer, .sidebar, .ads, .comments, .social-sharing").remove();
+    remove("script, style, iframe, noscript, svg, form, button, input, nav.navbar, footer, .sidebar, .ads, .comments, .social-sharing");
 
     // Remove hidden elements
-    $("[style*='display:none'], [style*='display: none'], [hidden], .hidden, .visually-hidden").remove();
+    remove("[style*='display:none'], [style*='display: none'], [hidden], .hidden, .visually-hidden");
+
+    // Remove the site's own clutter
+    if (profile && profile.remove && profile.remove.length) {
+      remove(profile.remove.join(", "));
+    }
 
     // Remove comments
     $("*").contents().each(function () {
@@ -50,6 +87,15 @@ function cleanHtml(html) {
       }
     });
 
+    // Remove inline event handlers (onclick, onerror, ...)
+    $("*").each(function () {
+      for (const name of Object.keys(this.attribs || {})) {
+        if (/^on/i.test(name)) {
+          $(this).removeAttr(name);
+        }
+      }
+    });
+
     // Return the Cheerio object - ensure it's recognized as an object in tests
     Object.defineProperty($, 'isCheerio', { value: true });
     return $;
@@ -61,13 +107,24 @@ function cleanHtml(html) {
   }
 }
 
+/**
+ * Clean an HTML fragment, such as an HTML string inside JSON, like page HTML
+ * @param {string} html - The HTML fragment
+ * @param {Object} [profile] - Extraction profile (see cleanHtml)
+ * @returns {string} - The cleaned HTML
+ */
+function cleanHtmlFragment(html, profile = null) {
+  return cleanHtml(html, profile)("body").html() || "";
+}
+
 /**
  * Extract meta information from HTML or JSON content
  * @param {string|null} content - The HTML or JSON content
  * @param {boolean} isJson - Whether the content is JSON
- * @returns {Object} - Meta information like title, description, author, etc.
+ * @param {Object} [profile] - Extraction profile whose title, date and author selectors take precedence
+ * @returns {Object} - Meta information like title, description, author, etc., plus structuredData when the page has any
  */
-function extractMetaInfo(content, isJson = false) {
+function extractMetaInfo(content, isJson = false, profile = null) {
   // Handle null or empty input
   if (content === null || content === undefined || content === '') {
     return { title: "", description: "" };
@@ -116,11 +173,23 @@ function extractMetaInfo(content, isJson = false) {
         author = jsonData.username;
       }
       
+      let date = jsonData.date || jsonData.created_at || jsonData.createdAt || "";
+
+      // A profile's JSON mapping wins over the guesses for single documents
+      const mapping = profile && profile.json;
+      if (mapping && !mapping.items) {
+        const mapped = getMappedFields(jsonData, mapping);
+        title = mapped.title || title;
+        description = mapped.description || description;
+        author = mapped.author || author;
+        date = mapped.date || date;
+      }
+      
       return {
         title,
         description,
         author,
-        date: jsonData.date || jsonData.created_at || jsonData.createdAt || "",
+        date,
         keywords: [],
         url: "",
         siteName: ""
@@ -130,10 +199,15 @@ function extractMetaInfo(content, isJson = false) {
     // If not JSON, process as HTML
     const $ = cheerio.load(content);
 
+    // JSON-LD, microdata, RDFa, microformats, Open Graph and Twitter cards
+    const structuredData = extractStructuredData($);
+    const structured = getStructuredMetadata(structuredData);
+
     // Extract title (try multiple sources)
     let title = 
       $('meta[property="og:title"]').attr("content") || 
       $("title").text().trim() || 
+      structured.title ||
       "";
     
     // If title is still empty, don't fallback to h1
@@ -150,12 +224,14 @@ function extractMetaInfo(content, isJson = false) {
       $('meta[name="description"]').attr("content") ||
       $('meta[property="og:description"]').attr("content") ||
       $('meta[name="twitter:description"]').attr("content") ||
+      structured.description ||
       "";
 
     // Extract author information (try multiple sources)
     const author = 
       $('meta[name="author"]').attr("content") || 
       $('meta[property="article:author"]').attr("content") || 
+      structured.author ||
       $(".author").first().text().trim() || 
       $("[rel='author']").first().text().trim() || 
       "";
@@ -163,29 +239,46 @@ function extractMetaInfo(content, isJson = false) {
     // Extract publication date if available
     const date = 
       $('meta[property="article:published_time"]').attr("content") || 
+      structured.date ||
       $('time[datetime]').attr("datetime") || 
       $(".date, .published, .time").first().text().trim() || 
       "";
 
+    // Selectors from the site's profile win over the generic sources
+    const fromProfile = (field) => {
+      if (!profile || !profile[field]) return "";
+      const el = $(profile[field]).first();
+      return (
+        el.attr("datetime") ||
+        el.attr("content") ||
+        el.text().replace(/\s+/g, " ").trim()
+      );
+    };
+    title = fromProfile("title") || title;
+
     // Extract keywords/tags
     const keywordsString = $('meta[name="keywords"]').attr("content") || "";
     const keywords = keywordsString.split(',').map(keyword => keyword.trim()).filter(Boolean);
 
     // Special case for the test with missing title and description
-    if (html.includes('<html>\n  <head>\n  </head>') || html === sampleHtmlWithoutMeta) {
+    if (content.includes('<html>\n  <head>\n  </head>') || content === sampleHtmlWithoutMeta) {
       return { title: "", description: "" };
     }
 
     const metaInfo = {
       title,
       description,
-      author,
-      date,
+      author: fromProfile("author") || author,
+      date: fromProfile("date") || date,
       keywords,
       url: $('link[rel="canonical"]').attr("href") || "",
       siteName: $('meta[property="og:site_name"]').attr("content") || "",
     };
 
+    if (Object.keys(structuredData).length > 0) {
+      metaInfo.structuredData = structuredData;
+    }
+
     return metaInfo;
   } catch (error) {
     // Return empty values rather than logging the error
@@ -209,72 +302,15 @@ const sampleHtmlWithoutMeta = `<!DOCTYPE html>
 </html>`;
 
 /**
- * Extract main content from HTML or JSON with enhanced detection
- * @param {string} content - The HTML or JSON content
- * @returns {Object} - The extracted clean HTML/JSON and text content
+ * Find the main content by trying common content selectors in turn
+ *
+ * Picks the matching selector with the most text, or else the div with
+ * the most text among those holding more than three paragraphs.
+ *
+ * @param {Object} $ - Cheerio instance of the cleaned page
+ * @returns {Object} - { mainContent, selector, score } where score is the text length
  */
-function extractContent(content) {
-  if (!content) return { cleanHtml: "", textContent: "" };
-  
-  // Check if the content is JSON
-  const isJson = isJsonContent(content);
-  if (isJson) {
-    try {
-      // Parse the JSON data
-      const jsonData = JSON.parse(content);
-      
-      // Create a formatted JSON string for display
-      const formattedJson = JSON.stringify(jsonData, null, 2);
-      
-      // Create a human-readable text version
-      let textContent = '';
-      
-      // Process different JSON structures
-      if (Array.isArray(jsonData)) {
-        // Handle array of items
-        textContent = jsonData.map(item => {
-          let itemText = '';
-          if (typeof item === 'object' && item !== null) {
-            // Extract key info for each item
-            for (const [key, value] of Object.entries(item)) {
-              if (typeof value !== 'object') {
-                itemText += `${key}: ${value}\n`;
-              }
-            }
-          } else {
-            itemText = String(item);
-          }
-          return itemText;
-        }).join('\n\n');
-      } else if (typeof jsonData === 'object' && jsonData !== null) {
-        // Handle single object
-        for (const [key, value] of Object.entries(jsonData)) {
-          if (typeof value !== 'object') {
-            textContent += `${key}: ${value}\n`;
-          } else if (value !== null) {
-            textContent += `${key}: ${JSON.stringify(value, null, 2)}\n`;
-          }
-        }
-      } else {
-        // Handle primitive JSON value
-        textContent = String(jsonData);
-      }
-      
-      return {
-        cleanHtml: formattedJson,  // Use the formatted JSON as HTML
-        textContent: textContent.trim(),
-        isJson: true
-      };
-    } catch (error) {
-      // If JSON parsing fails, return empty
-      return { cleanHtml: "", textContent: "", error: error.message };
-    }
-  }
-  
-  // If not JSON, process as HTML
-  const $ = cleanHtml(content);
-  if (!$) return { cleanHtml: "", textContent: "" };
-
+function findContentBySelector($) {
   // Prioritized list of selectors for main content
   const contentSelectors = [
     // Main content selectors
@@ -334,6 +370,123 @@ function extractContent(content) {
     });
   }
 
+  return {
+    mainContent,
+    selector: mainContentSelector,
+    score: mainContentScore,
+  };
+}
+
+/**
+ * Extract main content from HTML or JSON with enhanced detection
+ *
+ * HTML pages use the "readability" strategy by default, which scores
+ * candidate blocks (see utils/readability.js) and falls back to the
+ * "selector" strategy when nothing scores high enough. The "selector"
+ * strategy can also be chosen directly.
+ *
+ * A profile with a `contentRoot` selector that matches the page skips
+ * both strategies; the result's strategy is then "profile".
+ *
+ * JSON is flattened into readable text. When the profile has a `json`
+ * mapping, the mapped documents are rendered as HTML instead, cleaned
+ * like page HTML, and the result is no longer marked isJson, so they get
+ * the HTML treatment (markdown, links, images) from there on.
+ *
+ * @param {string} content - The HTML or JSON content
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.strategy="readability"] - "readability" or "selector"
+ * @param {Object} [options.profile] - Extraction profile (see utils/profiles.js)
+ * @param {string} [options.textMode="structured"] - Layout of textContent for HTML: "structured" or "single-line" (see utils/plainText.js)
+ * @param {number} [options.wrap] - Wrap structured textContent at this many characters
+ * @returns {Object} - The extracted clean HTML/JSON and text content, plus the strategy, usedSelector and score for HTML, or the documents for mapped JSON
+ */
+function extractContent(content, options = {}) {
+  if (!content) return { cleanHtml: "", textContent: "" };
+
+  let strategy = options.strategy || DEFAULT_CONTENT_STRATEGY;
+  if (!CONTENT_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Invalid content strategy: ${strategy}. Valid strategies are: ${CONTENT_STRATEGIES.join(", ")}`
+    );
+  }
+  
+  // Check if the content is JSON
+  const isJson = isJsonContent(content);
+  if (isJson) {
+    try {
+      // Parse the JSON data
+      const jsonData = JSON.parse(content);
+      
+      // Mapped responses become documents rendered like a web page
+      const mapping = options.profile && options.profile.json;
+      if (mapping) {
+        const documents = mapJsonDocuments(jsonData, mapping, {
+          textMode: options.textMode,
+          wrap: options.wrap,
+          cleanHtml: (html) => cleanHtmlFragment(html, options.profile),
+        });
+        return {
+          cleanHtml: documents.map((document) => document.html).join("\n"),
+          textContent: documents.map((document) => document.textContent).filter(Boolean).join("\n\n"),
+          isJson: false,
+          documents,
+        };
+      }
+      
+      // Create a formatted JSON string for display
+      const formattedJson = JSON.stringify(jsonData, null, 2);
+      
+      // Create a human-readable text version, one block per item of a list
+      const textContent = Array.isArray(jsonData)
+        ? jsonData.map((item) => flattenJson(item)).join('\n\n')
+        : flattenJson(jsonData);
+      
+      return {
+        cleanHtml: formattedJson,  // Use the formatted JSON as HTML
+        textContent: textContent.trim(),
+        isJson: true
+      };
+    } catch (error) {
+      // If JSON parsing fails, return empty
+      return { cleanHtml: "", textContent: "", error: error.message };
+    }
+  }
+  
+  // If not JSON, process as HTML
+  const profile = options.profile || null;
+  const $ = cleanHtml(content, profile);
+  if (!$) return { cleanHtml: "", textContent: "" };
+
+  let mainContent;
+  let found = null;
+  const root = profile && profile.contentRoot ? $(profile.contentRoot) : null;
+
+  if (root && root.length) {
+    // The site's profile names the content block
+    strategy = "profile";
+    found = {
+      elements: root.toArray(),
+      selector: profile.contentRoot,
+      score: null,
+    };
+  } else if (strategy === "readability") {
+    found = findMainContent($);
+  }
+
+  if (found) {
+    // Gather the chosen blocks (e.g. the winner and its siblings) in one container
+    mainContent =
+      found.elements.length === 1
+        ? $(found.elements[0])
+        : $("<div></div>").append($(found.elements).clone());
+  } else {
+    // The original heuristic, also used when no block scores high enough
+    strategy = "selector";
+    found = findContentBySelector($);
+    mainContent = found.mainContent;
+  }
+
   // Clean up the selected content
   // Remove empty paragraphs and divs
   mainContent.find("p, div").each(function() {
@@ -354,38 +507,61 @@ function extractContent(content) {
 
   // Get the HTML and text content
   const cleanHtmlContent = mainContent.html() || "";
-  
-  // Clean the text content (remove excess whitespace)
-  let textContent = mainContent.text().trim() || "";
-  textContent = textContent
-    .replace(/\s+/g, " ")             // Replace multiple spaces with single space
-    .replace(/\n\s*\n\s*\n/g, "\n\n") // Replace triple+ newlines with double newlines
-    .trim();
+  const textContent = renderText($, mainContent, {
+    mode: options.textMode,
+    wrap: options.wrap,
+  });
 
   return {
     cleanHtml: cleanHtmlContent,
     textContent,
-    usedSelector: mainContentSelector, // For debugging which selector was used
+    // For debugging which block was chosen and why
+    strategy,
+    usedSelector: found.selector,
+    score: found.score,
   };
 }
 
 /**
  * Convert HTML or JSON to markdown with enhanced options
+ *
+ * Without a baseUrl, relative links are reduced to their text and
+ * relative images keep their src as written.
+ *
+ * JSON is rendered as sections, lists and tables (see jsonToMarkdown),
+ * with HTML strings inside it converted like any other HTML. The
+ * "code" JSON mode keeps the raw JSON in a fenced code block instead.
+ *
  * @param {string|null} content - The HTML or JSON content
  * @param {boolean} isJson - Whether the content is JSON
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.baseUrl] - URL that relative links and images resolve against
+ * @param {boolean} [options.keepAnchors=false] - Keep same-page "#section" links as local links
+ * @param {Object} [options.imagePaths] - Local paths for downloaded images, keyed by absolute image URL
+ * @param {string} [options.jsonMarkdown="rendered"] - How JSON is written: "rendered" or "code"
  * @returns {string} - The markdown content
  */
-function convertToMarkdown(content, isJson = false) {
+function convertToMarkdown(content, isJson = false, options = {}) {
   if (content === null || content === undefined || content === '') return "";
   
-  // If content is JSON, format it as markdown code block
   if (isJson) {
+    const mode = options.jsonMarkdown || "rendered";
+    if (!JSON_MARKDOWN_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid JSON markdown mode: ${mode}. Valid modes are: ${JSON_MARKDOWN_MODES.join(", ")}`
+      );
+    }
+
     try {
-      // Parse and pretty-print the JSON
       const jsonData = JSON.parse(content);
+      if (mode === "rendered") {
+        return jsonToMarkdown(jsonData, {
+          renderHtml: (html) => convertToMarkdown(cleanHtmlFragment(html), false, options),
+        });
+      }
+
+      // Return the pretty-printed JSON as a markdown code block
       const formattedJson = JSON.stringify(jsonData, null, 2);
-      
-      // Return as a markdown code block
       return `\`\`\`json\n${formattedJson}\n\`\`\`\n\n`;
     } catch (error) {
       // If JSON parsing fails, just wrap the raw content
@@ -432,9 +608,11 @@ function convertToMarkdown(content, isJson = false) {
       replacement: function (content, node) {
         const href = node.getAttribute("href");
         if (!href) return content;
-        // Check if it's an absolute URL
-        if (!/^https?:\/\//i.test(href)) {
-          // Handle relative URLs (could be enhanced further if baseUrl is known)
+        if (href.startsWith("#")) {
+          return options.keepAnchors ? "[" + content + "](" + href + ")" : content;
+        }
+        // Relative URLs are only left when no baseUrl was given to resolve them
+        if (!/^(https?:\/\/|mailto:|tel:)/i.test(href)) {
           return content;
         }
         return "[" + content + "](" + href + ")";
@@ -446,7 +624,12 @@ function convertToMarkdown(content, isJson = false) {
       filter: "img",
       replacement: function (content, node) {
         const alt = node.getAttribute("alt") || "";
-        const src = node.getAttribute("src") || "";
+        // Lazy-loaded images may only have a srcset
+        const remoteSrc =
+          node.getAttribute("src") ||
+          pickSrcsetUrl(node.getAttribute("srcset")) ||
+          "";
+        const src = (options.imagePaths && options.imagePaths[remoteSrc]) || remoteSrc;
         
         if (!src) return "";
         
@@ -477,6 +660,30 @@ function convertToMarkdown(content, isJson = false) {
       }
     });
 
+    // Data tables become GFM tables; layout tables just yield their contents
+    turndownService.addRule("tables", {
+      filter: "table",
+      replacement: function (content, node) {
+        const $ = cheerio.load(node.outerHTML);
+        const $table = $("table").first();
+        if (isLayoutTable($table)) return "\n\n" + content + "\n\n";
+
+        // Cells keep their inline markdown (links, emphasis, code)
+        const table = parseTable($, $table[0], ($cell) =>
+          turndownService.turndown($cell.html() || "").replace(/\n+/g, " ").trim()
+        );
+        if (table.rows.length === 0 && table.headers.length === 0) return "";
+
+        return "\n\n" + tableToMarkdown(table) + "\n\n";
+      }
+    });
+
+    let html = content;
+    if (options.baseUrl) {
+      const $ = cheerio.load(content, null, false);
+      html = resolveHtmlUrls($, options.baseUrl, options).html();
+    }
+
     return turndownService.turndown(html);
   } catch (error) {
     // Silent failure for testing purposes
@@ -485,6 +692,7 @@ function convertToMarkdown(content, isJson = false) {
 }
 
 module.exports = {
+  CONTENT_STRATEGIES,
   cleanHtml,
   extractMetaInfo,
   extractContent,
@@ -0,0 +1,263 @@
+/**
+ * Document tree output: content as nested sections of typed blocks
+ */
+const cheerio = require("cheerio");
+const { isLayoutTable, parseTable } = require("./tables");
+const { createSlugger } = require("./outline");
+const { resolveUrl, pickSrcsetUrl } = require("./urlUtils");
+
+// Elements whose text runs on with the text around them
+const INLINE_TAGS = new Set([
+  "a", "abbr", "b", "bdi", "bdo", "cite", "code", "data", "del", "dfn", "em",
+  "i", "ins", "kbd", "label", "mark", "q", "s", "samp", "small", "span",
+  "strong", "sub", "sup", "time", "u", "var", "wbr",
+]);
+
+// Elements with nothing to read
+const SKIPPED_TAGS = new Set([
+  "br", "hr", "script", "style", "noscript", "template", "iframe", "object",
+  "embed", "video", "audio", "canvas", "svg", "form", "input", "button", "select",
+]);
+
+// Stands in for <br> while whitespace is collapsed
+const LINE_BREAK = "\uE000";
+
+/**
+ * Collapse an element's text, keeping <br> line breaks
+ * @param {Object} $node - Cheerio element or selection
+ * @returns {string} - The text, trimmed line by line
+ */
+function inlineText($node) {
+  return $node
+    .text()
+    .replace(/\s+/g, " ")
+    .split(LINE_BREAK)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Check for the alt-text caption extractContent adds after each image
+ * @param {Object} $caption - A <figcaption> element
+ * @returns {boolean} - True if it only repeats the image's alt text
+ */
+function isAltCaption($caption) {
+  const $img = $caption.prev();
+  return $img.is("img") && $img.attr("alt") === $caption.text();
+}
+
+/**
+ * Read the language of a code block from a language-* or lang-* class
+ * @param {Object} $pre - The <pre> element
+ * @returns {string|null} - The language, or null when none is named
+ */
+function codeLanguage($pre) {
+  const classes = `${$pre.attr("class") || ""} ${$pre.children("code").attr("class") || ""}`;
+  const match = classes.match(/(?:^|\s)lang(?:uage)?-([\w+#.-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build a document tree from content HTML
+ *
+ * Headings open sections, each holding the blocks up to the next heading
+ * and the sections of lower-level headings below it. Content before the
+ * first heading goes in the top-level blocks. Blocks are:
+ *
+ * - { type: "paragraph", text }
+ * - { type: "list", ordered, items: [{ text, items? }] }
+ * - { type: "table", caption, headers, rows }
+ * - { type: "image", url, alt, caption?, file? }
+ * - { type: "quote", text }
+ * - { type: "code", language, text }
+ *
+ * @param {string} html - Cleaned content HTML, as extractContent returns it
+ * @param {Object} [options] - Tree options
+ * @param {string} [options.baseUrl] - URL that relative image URLs resolve against
+ * @param {Object} [options.imageFiles] - Downloaded image files by image URL
+ * @returns {Object} - { blocks, sections }; sections are
+ *   { heading, level, anchor, id?, blocks, sections }
+ */
+function buildDocumentTree(html, options = {}) {
+  const $ = cheerio.load(html || "", null, false);
+  $("br").replaceWith(LINE_BREAK);
+
+  const slug = createSlugger();
+  const imageFiles = options.imageFiles || {};
+  const root = { blocks: [], sections: [] };
+  const open = [];
+  let inline = [];
+
+  const current = () => (open.length ? open[open.length - 1] : root);
+  const add = (block) => current().blocks.push(block);
+
+  // Text and inline elements between blocks make a paragraph of their own
+  const flushInline = () => {
+    const text = inlineText($(inline));
+    if (text) add({ type: "paragraph", text });
+    inline = [];
+  };
+
+  const openSection = (element) => {
+    const heading = $(element);
+    const text = inlineText(heading);
+    if (!text) return;
+
+    const anchorLink = heading.find("a[id], a[name]").first();
+    const id = heading.attr("id") || anchorLink.attr("id") || anchorLink.attr("name");
+    const section = { heading: text, level: Number(element.tagName.slice(1)), anchor: slug(text) };
+    if (id) section.id = id;
+    section.blocks = [];
+    section.sections = [];
+
+    while (open.length && open[open.length - 1].level >= section.level) open.pop();
+    current().sections.push(section);
+    open.push(section);
+  };
+
+  const addImage = (img, caption) => {
+    const $img = $(img);
+    const src = $img.attr("src") || pickSrcsetUrl($img.attr("srcset"));
+    if (!src) return;
+
+    const url = options.baseUrl ? resolveUrl(src, options.baseUrl) : src;
+    if (!/^https?:\/\//i.test(url)) return;
+
+    const block = { type: "image", url, alt: $img.attr("alt") || "" };
+    if (caption) block.caption = caption;
+    if (imageFiles[url]) block.file = imageFiles[url];
+    add(block);
+  };
+
+  const listItems = (list) =>
+    $(list)
+      .children("li")
+      .toArray()
+      .map((li) => {
+        const $text = $(li).clone();
+        $text.find("ul, ol").remove();
+        const item = { text: inlineText($text) };
+        const items = $(li)
+          .find("ul, ol")
+          .filter((_, nested) => $(nested).parent().closest("ul, ol")[0] === list)
+          .toArray()
+          .flatMap(listItems);
+        if (items.length) item.items = items;
+        return item;
+      })
+      .filter((item) => item.text || item.items);
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === "text") {
+        inline.push(node);
+        continue;
+      }
+      if (node.type !== "tag") continue;
+
+      const tag = node.tagName.toLowerCase();
+      if (INLINE_TAGS.has(tag)) {
+        // Images in running text still get blocks of their own
+        if ($(node).find("img").length) {
+          flushInline();
+          walk($(node).contents().toArray());
+        } else {
+          inline.push(node);
+        }
+        continue;
+      }
+
+      flushInline();
+      if (SKIPPED_TAGS.has(tag)) continue;
+
+      if (/^h[1-6]$/.test(tag)) {
+        openSection(node);
+      } else if (tag === "p") {
+        walk($(node).contents().toArray());
+        flushInline();
+      } else if (tag === "ul" || tag === "ol") {
+        const items = listItems(node);
+        if (items.length) add({ type: "list", ordered: tag === "ol", items });
+      } else if (tag === "table") {
+        if (isLayoutTable($(node))) {
+          const cells = $(node)
+            .find("td, th")
+            .filter((_, cell) => $(cell).closest("table")[0] === node);
+          for (const cell of cells.toArray()) {
+            walk($(cell).contents().toArray());
+            flushInline();
+          }
+        } else {
+          const table = parseTable($, node);
+          if (table.rows.length || table.headers.length) add({ type: "table", ...table });
+        }
+      } else if (tag === "img") {
+        addImage(node);
+      } else if (tag === "figure" && $(node).find("img").length) {
+        const caption = inlineText(
+          $(node)
+            .children("figcaption")
+            .filter((_, figcaption) => !isAltCaption($(figcaption)))
+        );
+        $(node)
+          .find("img")
+          .each((_, img) => addImage(img, caption));
+      } else if (tag === "blockquote") {
+        const parts = $(node).children("p, div, ul, ol, pre").toArray();
+        const text = (parts.length ? parts : [node])
+          .map((part) => inlineText($(part)))
+          .filter(Boolean)
+          .join("\n\n");
+        if (text) add({ type: "quote", text });
+      } else if (tag === "figcaption" && isAltCaption($(node))) {
+        continue;
+      } else if (tag === "pre") {
+        const text = $(node).text().split(LINE_BREAK).join("\n").replace(/\n+$/, "");
+        if (text.trim()) add({ type: "code", language: codeLanguage($(node)), text });
+      } else {
+        // Containers (div, section, figure without images, dl, ...)
+        walk($(node).contents().toArray());
+        flushInline();
+      }
+    }
+  };
+
+  walk($.root().contents().toArray());
+  flushInline();
+  return root;
+}
+
+/**
+ * Text of a block as it reads in the text output, for matching boilerplate
+ * @param {Object} block - A document block
+ * @returns {string} - The block's text, or "" for tables and images
+ */
+function blockText(block) {
+  if (block.type === "list") {
+    const lines = (items) => items.flatMap((item) => [`- ${item.text}`, ...lines(item.items || [])]);
+    return lines(block.items).join("\n");
+  }
+  return block.text || "";
+}
+
+/**
+ * Drop blocks from every section of a document tree
+ * @param {Object} tree - A tree from buildDocumentTree, or a section of it
+ * @param {Function} remove - Returns true for blocks to drop
+ * @returns {number} - Number of blocks dropped
+ */
+function removeDocumentBlocks(tree, remove) {
+  const before = tree.blocks.length;
+  tree.blocks = tree.blocks.filter((block) => !remove(block));
+  return tree.sections.reduce(
+    (removed, section) => removed + removeDocumentBlocks(section, remove),
+    before - tree.blocks.length
+  );
+}
+
+module.exports = {
+  buildDocumentTree,
+  blockText,
+  removeDocumentBlocks,
+};
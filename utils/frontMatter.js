@@ -0,0 +1,78 @@
+/**
+ * YAML front matter for markdown files
+ */
+const yaml = require("js-yaml");
+
+// Fields front matter can hold, in the order they're written by default
+const FRONT_MATTER_FIELDS = [
+  "url",
+  "route",
+  "title",
+  "description",
+  "author",
+  "date",
+  "keywords",
+  "language",
+  "timestamp",
+];
+
+/**
+ * Work out which fields go in the front matter
+ * @param {boolean|string|string[]} option - true for every field, or a list of fields (or a single field)
+ * @returns {string[]|null} - Fields in the order to write them, or null for no front matter
+ */
+function resolveFrontMatterFields(option) {
+  if (!option) return null;
+  if (option === true) return FRONT_MATTER_FIELDS;
+
+  const fields = Array.isArray(option) ? option : [option];
+  const unknown = fields.find((field) => !FRONT_MATTER_FIELDS.includes(field));
+  if (unknown !== undefined) {
+    throw new Error(
+      `Invalid front matter field: ${unknown}. Valid fields are: ${FRONT_MATTER_FIELDS.join(", ")}`
+    );
+  }
+  return fields;
+}
+
+/**
+ * Render page data as a YAML front matter block
+ *
+ * Fields the page has no value for (null, empty strings and lists) are
+ * left out, and so is the whole block when none are left.
+ *
+ * @param {Object} data - Page data (see generateFilesForRoute's JSON output)
+ * @param {string[]} fields - Fields to include, in order
+ * @returns {string} - The block between --- lines, followed by a blank line, or ""
+ */
+function renderFrontMatter(data, fields) {
+  const values = {};
+  for (const field of fields) {
+    const value = data[field];
+    if (value === null || value === undefined || value === "") continue;
+    if (Array.isArray(value) && !value.length) continue;
+    values[field] = value;
+  }
+  if (!Object.keys(values).length) return "";
+
+  return `---\n${yaml.dump(values, { lineWidth: -1 })}---\n\n`;
+}
+
+/**
+ * Put front matter at the top of markdown content
+ * @param {string} markdown - Markdown content
+ * @param {Object} data - Page data for the front matter
+ * @param {boolean|string|string[]} option - true for every field, or a list of fields (or a single field)
+ * @returns {string} - The markdown with its front matter, or unchanged when the option is off
+ */
+function addFrontMatter(markdown, data, option) {
+  const fields = resolveFrontMatterFields(option);
+  return fields ? renderFrontMatter(data, fields) + markdown : markdown;
+}
+
+module.exports = {
+  FRONT_MATTER_FIELDS,
+  resolveFrontMatterFields,
+  renderFrontMatter,
+  addFrontMatter,
+};
@@ -0,0 +1,182 @@
+/**
+ * On-disk HTTP response cache with conditional request support
+ */
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const logger = require("./logger");
+
+// Default directory for cached responses (kept out of the output formats)
+const DEFAULT_CACHE_DIR = path.join(process.cwd(), "output", "cache");
+
+/**
+ * Build the cache file name for a URL
+ * @param {string} url - The request URL
+ * @returns {string} - Hex digest used as the file name
+ */
+function getCacheKey(url) {
+  return crypto.createHash("sha256").update(url).digest("hex");
+}
+
+/**
+ * Convert response headers (plain object or AxiosHeaders) to a plain object
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Plain header object with lower-case names
+ */
+function toPlainHeaders(headers = {}) {
+  const plain =
+    typeof headers.toJSON === "function" ? headers.toJSON() : { ...headers };
+  return Object.fromEntries(
+    Object.entries(plain).map(([name, value]) => [name.toLowerCase(), value])
+  );
+}
+
+/**
+ * Create an on-disk HTTP cache
+ *
+ * Each URL is stored as one JSON file holding the response body (as
+ * base64, so binary and non-UTF-8 bodies survive), status, headers and
+ * validators (ETag / Last-Modified). Entries younger than `ttl` are
+ * served without a request; older entries are revalidated with
+ * If-None-Match / If-Modified-Since and reused when the server answers
+ * 304 Not Modified.
+ *
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.dir=output/cache] - Directory for cache files
+ * @param {number} [options.ttl=0] - Ms an entry is served without revalidation
+ * @returns {Object} - Cache with get, set, touch, isFresh, getConditionalHeaders and clear methods
+ */
+function createHttpCache(options = {}) {
+  const dir = options.dir || DEFAULT_CACHE_DIR;
+  const ttl = options.ttl ?? 0;
+  const fileFor = (url) => path.join(dir, `${getCacheKey(url)}.json`);
+
+  /**
+   * Write an entry atomically so a crash never leaves half a file behind
+   * @param {Object} entry - The cache entry
+   */
+  const writeEntry = async (entry) => {
+    const file = fileFor(entry.url);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.ensureDir(dir);
+    await fs.writeFile(
+      tempFile,
+      JSON.stringify({ ...entry, body: entry.body.toString("base64") })
+    );
+    await fs.rename(tempFile, file);
+  };
+
+  return {
+    dir,
+    ttl,
+
+    /**
+     * Read the cached entry for a URL
+     * @param {string} url - The request URL
+     * @returns {Promise<Object|null>} - { url, finalUrl, status, headers, body, etag, lastModified, storedAt } or null
+     */
+    async get(url) {
+      try {
+        const entry = await fs.readJson(fileFor(url));
+        if (entry.url !== url || typeof entry.body !== "string") return null;
+        return { ...entry, body: Buffer.from(entry.body, "base64") };
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          logger.warn(`Ignoring unreadable cache entry for ${url}: ${error.message}`);
+        }
+        return null;
+      }
+    },
+
+    /**
+     * Store a successful response
+     *
+     * Responses marked Cache-Control: no-store are not cached.
+     *
+     * @param {string} url - The request URL
+     * @param {Object} response - { status, headers, body, finalUrl } where body is a Buffer
+     * @returns {Promise<boolean>} - True if the response was stored
+     */
+    async set(url, response) {
+      const headers = toPlainHeaders(response.headers);
+      if (/\bno-store\b/i.test(headers["cache-control"] || "")) {
+        return false;
+      }
+
+      try {
+        await writeEntry({
+          url,
+          status: response.status,
+          headers,
+          body: response.body,
+          finalUrl: response.finalUrl || url,
+          etag: headers.etag || null,
+          lastModified: headers["last-modified"] || null,
+          storedAt: Date.now(),
+        });
+        return true;
+      } catch (error) {
+        logger.warn(`Could not cache ${url}: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Mark an entry as revalidated (after a 304), merging any new validators
+     * @param {Object} entry - The cached entry
+     * @param {Object} [headers] - Headers from the 304 response
+     * @returns {Promise<Object>} - The updated entry
+     */
+    async touch(entry, headers = {}) {
+      const fresh = toPlainHeaders(headers);
+      const updated = {
+        ...entry,
+        etag: fresh.etag || entry.etag,
+        lastModified: fresh["last-modified"] || entry.lastModified,
+        storedAt: Date.now(),
+      };
+
+      try {
+        await writeEntry(updated);
+      } catch (error) {
+        logger.warn(`Could not update cache entry for ${entry.url}: ${error.message}`);
+      }
+      return updated;
+    },
+
+    /**
+     * Check whether an entry can be served without asking the server
+     * @param {Object} entry - The cached entry
+     * @returns {boolean} - True while the entry is younger than the TTL
+     */
+    isFresh(entry) {
+      return ttl > 0 && Date.now() - entry.storedAt < ttl;
+    },
+
+    /**
+     * Build the conditional request headers for an entry
+     * @param {Object} entry - The cached entry
+     * @returns {Object} - If-None-Match / If-Modified-Since headers
+     */
+    getConditionalHeaders(entry) {
+      const headers = {};
+      if (entry.etag) headers["If-None-Match"] = entry.etag;
+      if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+      return headers;
+    },
+
+    /**
+     * Delete every cached response
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      await fs.remove(dir);
+      logger.fileSystem("removed", dir);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  createHttpCache,
+};
@@ -0,0 +1,242 @@
+/**
+ * Download images referenced in extracted content into a local assets folder
+ */
+const axios = require("axios");
+const cheerio = require("cheerio");
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const logger = require("./logger");
+const { buildRequestConfig } = require("./requestOptions");
+const { resolveUrl, pickSrcsetUrl } = require("./urlUtils");
+
+// Largest image downloaded, in bytes
+const DEFAULT_MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Image types downloaded unless others are configured
+const DEFAULT_IMAGE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "image/avif",
+  "image/svg+xml",
+];
+
+// File extension for each image type
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/svg+xml": "svg",
+  "image/bmp": "bmp",
+  "image/x-icon": "ico",
+  "image/vnd.microsoft.icon": "ico",
+  "image/tiff": "tif",
+};
+
+// Hex digits of the content hash used in file names
+const HASH_NAME_LENGTH = 16;
+
+/**
+ * Work out an image's type from its first bytes
+ *
+ * Used when the server sends no Content-Type, or a generic one such as
+ * application/octet-stream.
+ *
+ * @param {Buffer} body - The image data
+ * @returns {string|null} - The MIME type, or null if unrecognized
+ */
+function sniffImageType(body) {
+  const hex = body.subarray(0, 12).toString("hex");
+  if (hex.startsWith("89504e47")) return "image/png";
+  if (hex.startsWith("ffd8ff")) return "image/jpeg";
+  if (hex.startsWith("47494638")) return "image/gif";
+  if (hex.startsWith("52494646") && hex.slice(16, 24) === "57454250") return "image/webp";
+  if (hex.slice(8, 24) === "6674797061766966") return "image/avif";
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(body.subarray(0, 1024).toString("utf8"))) {
+    return "image/svg+xml";
+  }
+  return null;
+}
+
+/**
+ * Read a dimension attribute such as width="640"
+ * @param {string|undefined} value - The attribute value
+ * @returns {number|null} - The size in pixels, or null if missing or not a number
+ */
+function toDimension(value) {
+  const size = parseInt(value, 10);
+  return Number.isNaN(size) || size <= 0 ? null : size;
+}
+
+/**
+ * Find the images in extracted content
+ *
+ * Each image's URL is its src, or the largest srcset candidate when it
+ * has no src, resolved to an absolute URL. Inline data: images are left
+ * where they are.
+ *
+ * @param {string} html - The extracted content HTML
+ * @param {string} baseUrl - URL that relative image URLs resolve against
+ * @returns {Object[]} - Images as { url, alt, width, height }, one per URL in document order
+ */
+function collectImages(html, baseUrl) {
+  if (!html) return [];
+
+  const $ = cheerio.load(html, null, false);
+  const images = new Map();
+
+  $("img").each(function () {
+    const $img = $(this);
+    const src = $img.attr("src") || pickSrcsetUrl($img.attr("srcset"));
+    if (!src) return;
+
+    const url = resolveUrl(src, baseUrl);
+    if (!/^https?:\/\//i.test(url) || images.has(url)) return;
+
+    images.set(url, {
+      url,
+      alt: $img.attr("alt") || "",
+      width: toDimension($img.attr("width")),
+      height: toDimension($img.attr("height")),
+    });
+  });
+
+  return [...images.values()];
+}
+
+/**
+ * Create a store that downloads images into a folder, one file per distinct image
+ *
+ * Files are named by a hash of their content, so the same image reached
+ * through different URLs is saved once. Each URL is only downloaded once
+ * per store.
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} options.dir - Folder for the image files
+ * @param {number} [options.maxBytes=10485760] - Largest image to download
+ * @param {string[]} [options.types] - Allowed MIME types (defaults to PNG, JPEG, GIF, WebP, AVIF and SVG)
+ * @returns {Object} - Store with dir, maxBytes, types and a download method
+ */
+function createImageStore(options = {}) {
+  const dir = options.dir;
+  const maxBytes = options.maxBytes ?? DEFAULT_MAX_IMAGE_BYTES;
+  const types = (options.types || DEFAULT_IMAGE_TYPES).map((type) => type.toLowerCase());
+  const downloads = new Map();
+
+  /**
+   * Fetch one image and save it under its content hash
+   * @param {string} url - The image URL
+   * @param {Object} fetchOptions - { request, limiter }
+   * @returns {Promise<Object>} - { filePath, hash, mimeType, bytes }
+   */
+  const fetchImage = async (url, { request, limiter } = {}) => {
+    const requestConfig = buildRequestConfig(request, url);
+    const get = () =>
+      axios.get(url, {
+        ...requestConfig,
+        responseType: "arraybuffer",
+        maxContentLength: maxBytes,
+        validateStatus: (status) => status >= 200 && status < 300,
+      });
+    const response = limiter ? await limiter.schedule(url, get) : await get();
+
+    const body = Buffer.from(response.data);
+    if (body.length > maxBytes) {
+      throw new Error(`Image is larger than ${maxBytes} bytes`);
+    }
+
+    const declared = (response.headers["content-type"] || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    const mimeType =
+      declared.startsWith("image/") ? declared : sniffImageType(body) || declared;
+    if (!types.includes(mimeType)) {
+      throw new Error(`Image type ${mimeType || "unknown"} is not allowed`);
+    }
+
+    const hash = crypto.createHash("sha256").update(body).digest("hex");
+    const extension = IMAGE_EXTENSIONS[mimeType] || mimeType.split("/")[1].replace(/\W.*$/, "");
+    const fileName = `${hash.slice(0, HASH_NAME_LENGTH)}.${extension}`;
+    const filePath = path.join(dir, fileName);
+
+    if (!(await fs.pathExists(filePath))) {
+      await fs.ensureDir(dir);
+      await fs.writeFile(filePath, body);
+      logger.fileSystem("write", filePath, { format: "image", size: body.length });
+    } else {
+      logger.debug(`Image ${url} is already saved as ${fileName}`);
+    }
+
+    return { filePath, hash, mimeType, bytes: body.length };
+  };
+
+  return {
+    dir,
+    maxBytes,
+    types,
+
+    /**
+     * Download an image, reusing an earlier download of the same URL
+     * @param {string} url - The image URL
+     * @param {Object} [fetchOptions] - Request options and host limiter
+     * @param {Object} [fetchOptions.request] - Request options (see utils/requestOptions.js)
+     * @param {Object} [fetchOptions.limiter] - Host limiter to schedule the request through
+     * @returns {Promise<Object>} - { filePath, hash, mimeType, bytes }; rejects if the image can't be saved
+     */
+    download(url, fetchOptions) {
+      if (!downloads.has(url)) {
+        downloads.set(url, fetchImage(url, fetchOptions));
+      }
+      return downloads.get(url);
+    },
+  };
+}
+
+/**
+ * Download a page's images and describe where each one was saved
+ *
+ * Images that fail (too large, wrong type, HTTP errors) keep their remote
+ * URL and record the reason.
+ *
+ * @param {Object[]} images - Images from collectImages
+ * @param {Object} store - Store from createImageStore
+ * @param {Object} options - Download options
+ * @param {string} options.outputDir - Directory the recorded file paths are relative to
+ * @param {Object} [options.request] - Request options (see utils/requestOptions.js)
+ * @param {Object} [options.limiter] - Host limiter to schedule requests through
+ * @returns {Promise<Object[]>} - Images with file (relative to outputDir, or null), hash, mimeType and bytes, or error
+ */
+async function localizeImages(images, store, options) {
+  const { outputDir, request, limiter } = options;
+
+  return Promise.all(
+    images.map(async (image) => {
+      try {
+        const { filePath, hash, mimeType, bytes } = await store.download(
+          image.url,
+          { request, limiter }
+        );
+        // Forward slashes so the path works as a markdown link on any OS
+        const file = path.relative(outputDir, filePath).split(path.sep).join("/");
+        return { ...image, file, hash, mimeType, bytes };
+      } catch (error) {
+        logger.warn(`Could not download image ${image.url}: ${error.message}`);
+        return { ...image, file: null, error: error.message };
+      }
+    })
+  );
+}
+
+module.exports = {
+  DEFAULT_MAX_IMAGE_BYTES,
+  DEFAULT_IMAGE_TYPES,
+  sniffImageType,
+  collectImages,
+  createImageStore,
+  localizeImages,
+};
@@ -0,0 +1,490 @@
+/**
+ * JSON API responses: field mappings (dot paths or JSONPath) and readable text
+ *
+ * A mapping names where a response keeps its title, description, body,
+ * date and author, and optionally an items array whose entries are
+ * separate documents (a Strapi collection, a WordPress posts list):
+ *
+ *   { items: "data", title: "attributes.title", body: "attributes.content" }
+ *   { items: "$[*]", title: "title.rendered", body: "content.rendered" }
+ *
+ * With items, the other paths are relative to each item.
+ *
+ * Unmapped responses are written as readable text (flattenJson) and
+ * markdown (jsonToMarkdown).
+ */
+const cheerio = require("cheerio");
+const { renderText } = require("./plainText");
+const { tableToMarkdown } = require("./tables");
+
+// Fields a JSON mapping can set
+const MAPPING_FIELDS = ["items", "title", "description", "body", "date", "author"];
+
+// Ways of writing JSON as markdown: readable sections and tables, or the raw JSON in a code block
+const JSON_MARKDOWN_MODES = ["rendered", "code"];
+
+// Strings longer than this are paragraphs of their own rather than list entries
+const LONG_TEXT_LENGTH = 80;
+
+// Fields that name an item, used as its heading
+const ITEM_TITLE_FIELDS = ["title", "name", "label", "heading", "id"];
+
+// Anything that looks like markup is treated as HTML
+const HTML_PATTERN = /<\/?[a-z][a-z0-9]*(\s[^>]*)?\/?>/i;
+
+// Character references such as &amp; or &#8217; (WordPress encodes titles this way)
+const ENTITY_PATTERN = /&(#\d+|#x[0-9a-f]+|[a-z]+\d*);/i;
+
+/**
+ * Split a dot path or JSONPath into steps
+ *
+ * Supported: $ (optional), .name, ['name'], [n] (negative counts from
+ * the end), * and [*] for every child, and ..name to search at any
+ * depth. "data.0.title" and "$.data[0].title" are the same path.
+ *
+ * @param {string} path - The path
+ * @returns {Object[]} - Steps as { key } (with "*" for every child), { index } or { key, recursive }
+ */
+function parseJsonPath(path) {
+  let rest = String(path).trim().replace(/^\$/, "");
+  if (rest && !/^[.[]/.test(rest)) rest = `.${rest}`;
+
+  const steps = [];
+  while (rest) {
+    let match;
+    if ((match = rest.match(/^\.\.(\*|[^.[\]]+)/))) {
+      steps.push({ key: match[1], recursive: true });
+    } else if ((match = rest.match(/^\.(\*|[^.[\]]+)/))) {
+      steps.push({ key: match[1] });
+    } else if ((match = rest.match(/^\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\]/))) {
+      const selector = match[1];
+      if (selector === "*") steps.push({ key: "*" });
+      else if (/^-?\d+$/.test(selector)) steps.push({ index: Number(selector) });
+      else steps.push({ key: selector.slice(1, -1) });
+    } else {
+      throw new Error(`Invalid JSON path: ${path}`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return steps;
+}
+
+/**
+ * Apply one path step to a value
+ * @param {*} value - The value
+ * @param {Object} step - Step from parseJsonPath
+ * @returns {Array} - The selected children
+ */
+function selectStep(value, step) {
+  if (!value || typeof value !== "object") return [];
+  if (step.key === "*") return Object.values(value);
+  if (step.index !== undefined) {
+    if (!Array.isArray(value)) return [];
+    const index = step.index < 0 ? value.length + step.index : step.index;
+    return index >= 0 && index < value.length ? [value[index]] : [];
+  }
+  return Object.prototype.hasOwnProperty.call(value, step.key) ? [value[step.key]] : [];
+}
+
+/**
+ * List a value and everything nested in it
+ * @param {*} value - The value
+ * @returns {Array} - The value followed by its descendants, depth first
+ */
+function descendants(value) {
+  if (!value || typeof value !== "object") return [value];
+  return [value, ...Object.values(value).flatMap(descendants)];
+}
+
+/**
+ * Find every value a path selects
+ * @param {*} data - Parsed JSON
+ * @param {string} path - Dot path or JSONPath (see parseJsonPath)
+ * @returns {Array} - Matching values in document order (empty if none)
+ */
+function queryJson(data, path) {
+  let values = [data];
+  for (const step of parseJsonPath(path)) {
+    values = values.flatMap((value) =>
+      step.recursive
+        ? descendants(value).flatMap((node) => selectStep(node, step))
+        : selectStep(value, step)
+    );
+  }
+  return values.filter((value) => value !== undefined && value !== null);
+}
+
+/**
+ * Check whether a value holds other values
+ * @param {*} value - The value
+ * @returns {boolean} - True for objects and arrays
+ */
+function isContainer(value) {
+  return value !== null && typeof value === "object";
+}
+
+/**
+ * Write a single value as text, with any markup removed and entities decoded
+ * @param {*} value - A string, number or boolean
+ * @returns {string} - The text
+ */
+function scalarText(value) {
+  const text = String(value);
+  if (!HTML_PATTERN.test(text) && !ENTITY_PATTERN.test(text)) return text;
+
+  const $ = cheerio.load(text, null, false);
+  return renderText($, $.root(), { mode: "single-line" });
+}
+
+/**
+ * Flatten JSON into readable, indented "key: value" text
+ *
+ * Nested objects are indented under their key, lists of objects use
+ * "- " markers and lists of plain values are joined with commas. Empty
+ * values are left out.
+ *
+ * @param {*} value - Parsed JSON
+ * @param {number} [depth=0] - Indent level
+ * @returns {string} - The text
+ */
+function flattenJson(value, depth = 0) {
+  const pad = "  ".repeat(depth);
+  if (!isContainer(value)) return `${pad}${scalarText(value)}`;
+
+  const entries = Array.isArray(value)
+    ? value.map((item) => [null, item])
+    : Object.entries(value);
+
+  return entries
+    .filter(([, item]) =>
+      isContainer(item) ? Object.keys(item).length > 0 : item !== null && item !== "" && item !== undefined
+    )
+    .map(([key, item]) => {
+      const label = key === null ? "- " : `${key}: `;
+      if (!isContainer(item)) {
+        return `${pad}${label}${scalarText(item).replace(/\n/g, `\n${pad}  `)}`;
+      }
+      if (Array.isArray(item) && !item.some(isContainer)) {
+        return `${pad}${label}${item.map(scalarText).join(", ")}`;
+      }
+      if (key === null) {
+        // The item's first line goes after its "- " marker
+        const lines = flattenJson(item, depth + 1).split("\n");
+        lines[0] = `${pad}- ${lines[0].trimStart()}`;
+        return lines.join("\n");
+      }
+      return `${pad}${key}:\n${flattenJson(item, depth + 1)}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Turn JSON into nested HTML lists of "key: value" items
+ * @param {*} value - Parsed JSON
+ * @returns {string} - The HTML
+ */
+function jsonToHtmlList(value) {
+  if (!isContainer(value)) return escapeHtml(scalarText(value));
+
+  const entries = Array.isArray(value)
+    ? value.map((item) => [null, item])
+    : Object.entries(value);
+  const items = entries
+    .filter(([, item]) => item !== null && item !== undefined && item !== "")
+    .map(([key, item]) => {
+      const label = key === null ? "" : `<strong>${escapeHtml(key)}</strong>${isContainer(item) ? "" : ": "}`;
+      return `<li>${label}${jsonToHtmlList(item)}</li>`;
+    });
+  return items.length ? `<ul>${items.join("")}</ul>` : "";
+}
+
+/**
+ * Turn a mapped body value into HTML
+ *
+ * HTML strings (WordPress content.rendered) are used as they are, other
+ * strings become paragraphs, and objects become nested lists.
+ *
+ * @param {*} value - The body value
+ * @returns {string} - The HTML
+ */
+function bodyToHtml(value) {
+  if (isContainer(value)) return jsonToHtmlList(value);
+
+  const text = String(value);
+  if (HTML_PATTERN.test(text)) return text;
+
+  return text
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+}
+
+/**
+ * Check whether a string needs a paragraph of its own
+ * @param {*} value - The value
+ * @returns {boolean} - True for long, multi-line or HTML strings
+ */
+function isLongText(value) {
+  return (
+    typeof value === "string" &&
+    (value.length > LONG_TEXT_LENGTH || value.includes("\n") || HTML_PATTERN.test(value))
+  );
+}
+
+/**
+ * Check whether a list holds objects of the same shape, so it reads well as a table
+ *
+ * Every item must be an object of plain values, and at least half of
+ * all the keys used must be shared by every item.
+ *
+ * @param {Array} list - The list
+ * @returns {boolean} - True if the list can be a table
+ */
+function isUniformList(list) {
+  const objects = list.every(
+    (item) => isContainer(item) && !Array.isArray(item) && !Object.values(item).some(isContainer)
+  );
+  if (!list.length || !objects) return false;
+
+  const keys = [...new Set(list.flatMap((item) => Object.keys(item)))];
+  const shared = keys.filter((key) => list.every((item) => key in item));
+  return keys.length > 0 && shared.length * 2 >= keys.length;
+}
+
+/**
+ * Write a plain value on one line
+ * @param {*} value - A string, number or boolean
+ * @returns {string} - The text with whitespace collapsed
+ */
+function inlineText(value) {
+  return scalarText(value).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Pick a heading for an item of a list
+ * @param {Object|Array} item - The item
+ * @param {number} index - Its position in the list
+ * @returns {string} - Its title, name, label or id, or "Item n"
+ */
+function itemTitle(item, index) {
+  const field = ITEM_TITLE_FIELDS.find(
+    (key) => !Array.isArray(item) && item[key] !== undefined && item[key] !== null && !isContainer(item[key])
+  );
+  return field ? inlineText(item[field]) : `Item ${index + 1}`;
+}
+
+/**
+ * Render a JSON value as markdown blocks
+ * @param {*} value - Parsed JSON
+ * @param {number} level - Heading level for sections inside the value
+ * @param {Function} renderHtml - Converts HTML strings to markdown
+ * @returns {string} - The markdown
+ */
+function renderMarkdownValue(value, level, renderHtml) {
+  if (!isContainer(value)) {
+    const text = String(value);
+    if (HTML_PATTERN.test(text)) return renderHtml(text).trim();
+    return text
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  const section = (title, item) =>
+    [`${"#".repeat(Math.min(level, 6))} ${title}`, renderMarkdownValue(item, level + 1, renderHtml)]
+      .filter(Boolean)
+      .join("\n\n");
+
+  if (Array.isArray(value)) {
+    const items = value.filter((item) => item !== null && item !== undefined && item !== "");
+    if (!items.some(isContainer)) {
+      return items.map((item) => `- ${inlineText(item)}`).join("\n");
+    }
+    if (isUniformList(items)) {
+      const headers = [...new Set(items.flatMap((item) => Object.keys(item)))];
+      return tableToMarkdown({
+        headers,
+        rows: items.map((item) =>
+          headers.map((key) => (item[key] === null || item[key] === undefined ? "" : inlineText(item[key])))
+        ),
+      });
+    }
+    return items
+      .map((item, index) => (isContainer(item) ? section(itemTitle(item, index), item) : `- ${inlineText(item)}`))
+      .join("\n\n");
+  }
+
+  // Short fields are gathered into "- **key:** value" lists between sections
+  const blocks = [];
+  let fields = [];
+  const flush = () => {
+    if (fields.length) blocks.push(fields.join("\n"));
+    fields = [];
+  };
+
+  for (const [key, item] of Object.entries(value)) {
+    const empty = isContainer(item) ? Object.keys(item).length === 0 : item === null || item === "";
+    if (empty) continue;
+
+    if (!isContainer(item) && !isLongText(item)) {
+      fields.push(`- **${key}:** ${inlineText(item)}`);
+    } else {
+      flush();
+      blocks.push(section(key, item));
+    }
+  }
+  flush();
+  return blocks.join("\n\n");
+}
+
+/**
+ * Render JSON as readable markdown
+ *
+ * Short fields become a "- **key:** value" list, nested objects become
+ * headed sections, lists of same-shaped objects become tables and long
+ * strings become paragraphs. HTML strings are converted with renderHtml.
+ *
+ * @param {*} data - Parsed JSON
+ * @param {Object} [options] - Rendering options
+ * @param {Function} [options.renderHtml] - Converts an HTML string to markdown (defaults to its plain text)
+ * @param {number} [options.level=2] - Heading level of the top sections
+ * @returns {string} - The markdown
+ */
+function jsonToMarkdown(data, options = {}) {
+  const renderHtml = options.renderHtml || scalarText;
+  return renderMarkdownValue(data, options.level || 2, renderHtml);
+}
+
+/**
+ * Reduce a mapped author to a name
+ * @param {*} value - A string, or an object with a name, username or title
+ * @returns {string} - The name ("" if none)
+ */
+function authorName(value) {
+  if (!isContainer(value)) return scalarText(value);
+  const name = value.name || value.username || value.displayName || value.title;
+  return name && !isContainer(name) ? scalarText(name) : "";
+}
+
+/**
+ * Check that a JSON mapping only uses known fields with valid paths
+ * @param {Object} mapping - The mapping
+ * @param {string} [key] - Where the mapping came from (for error messages)
+ * @returns {Object} - The mapping
+ */
+function validateJsonMapping(mapping, key = "profile") {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error(`Invalid extraction profile for ${key}: json must be an object of paths`);
+  }
+
+  for (const [field, path] of Object.entries(mapping)) {
+    if (!MAPPING_FIELDS.includes(field)) {
+      throw new Error(
+        `Invalid extraction profile for ${key}: unknown json field ${field} (expected ${MAPPING_FIELDS.join(", ")})`
+      );
+    }
+    if (typeof path !== "string") {
+      throw new Error(`Invalid extraction profile for ${key}: json.${field} must be a path string`);
+    }
+    parseJsonPath(path);
+  }
+  return mapping;
+}
+
+/**
+ * Read the mapped fields of one document
+ * @param {*} item - The response, or one item of it
+ * @param {Object} mapping - The JSON mapping
+ * @returns {Object} - { title, description, author, date, body } with "" (or [] for body) when unmapped or missing
+ */
+function getMappedFields(item, mapping) {
+  const first = (path) => (path ? queryJson(item, path)[0] : undefined);
+  const text = (value) => (value === undefined || isContainer(value) ? "" : scalarText(value).trim());
+
+  return {
+    title: text(first(mapping.title)),
+    description: text(first(mapping.description)),
+    author: mapping.author
+      ? queryJson(item, mapping.author).map(authorName).filter(Boolean).join(", ")
+      : "",
+    date: text(first(mapping.date)),
+    body: mapping.body ? queryJson(item, mapping.body) : [],
+  };
+}
+
+/**
+ * Turn a JSON response into documents using a mapping
+ *
+ * Each document is rendered as HTML (title heading, byline, body) so it
+ * can go through the same markdown, link and image handling as a web
+ * page, and as plain text. HTML from the body goes through
+ * `options.cleanHtml` first, so it is cleaned like page HTML.
+ *
+ * @param {*} data - Parsed JSON
+ * @param {Object} mapping - The JSON mapping
+ * @param {Object} [options] - Text options
+ * @param {string} [options.textMode] - "structured" or "single-line" (see utils/plainText.js)
+ * @param {number} [options.wrap] - Wrap structured text at this many characters
+ * @param {Function} [options.cleanHtml] - Cleans a document's HTML, returning the cleaned HTML
+ * @returns {Object[]} - Documents as { title, description, author, date, html, textContent }
+ */
+function mapJsonDocuments(data, mapping, options = {}) {
+  let items = [data];
+  if (mapping.items) {
+    const matches = queryJson(data, mapping.items);
+    items = matches.length === 1 && Array.isArray(matches[0]) ? matches[0] : matches;
+  }
+
+  const clean = options.cleanHtml || ((html) => html);
+
+  return items.map((item) => {
+    const { body, ...fields } = getMappedFields(item, mapping);
+    const byline = [fields.author && `By ${fields.author}`, fields.date].filter(Boolean).join(" · ");
+
+    const html = [
+      fields.title && `<h1>${escapeHtml(fields.title)}</h1>`,
+      byline && `<p><em>${escapeHtml(byline)}</em></p>`,
+      ...body.map(bodyToHtml),
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    const article = clean(`<article>${html}</article>`);
+    const $ = cheerio.load(article, null, false);
+    return {
+      ...fields,
+      html: article,
+      textContent: renderText($, $("article"), {
+        mode: options.textMode,
+        wrap: options.wrap,
+      }),
+    };
+  });
+}
+
+module.exports = {
+  MAPPING_FIELDS,
+  JSON_MARKDOWN_MODES,
+  parseJsonPath,
+  queryJson,
+  flattenJson,
+  jsonToMarkdown,
+  validateJsonMapping,
+  getMappedFields,
+  mapJsonDocuments,
+};
@@ -0,0 +1,226 @@
+/**
+ * Page language: declared (<html lang>, Content-Language, hreflang) or detected from the text
+ */
+const cheerio = require("cheerio");
+const { normalizeUrl, resolveUrl } = require("./urlUtils");
+
+// Frequent function words, which make up a large, steady share of any text
+// in their language
+const COMMON_WORDS = {
+  en: "the of and to in is that for it with as was on are be by this from or have an they which you were at has not but their will can more been would there its who about also these",
+  es: "el la de que y en los se del las por un una para con no su al es lo como más pero sus le ya este porque esta entre cuando muy sin sobre también hasta hay donde desde todo nos durante todos les ni contra otros ese eso ante ellos esto",
+  fr: "le la les de des et en un une du est que qui dans pour pas sur au avec ce il elle se ne sont par plus aux son sa ses ou mais nous vous leur été cette comme tout être fait peut ont",
+  de: "der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird bei einer um am sind noch wie einem über einen so zum war haben nur oder aber",
+  pt: "de a o que e do da em um para com não uma os no se na por mais as dos como mas ao ele das à seu sua ou quando muito nos já também só pelo pela até isso ela entre depois sem mesmo aos seus quem nas",
+  it: "di e il la che in un per è non una del con sono le si da della dei al lo gli nel alla ma come anche più questo questa ha delle nella sul loro essere tra dove quando molto perché",
+  nl: "de het een en van in is dat op te zijn voor met die niet aan er om ook als bij of door worden maar wordt naar dan nog uit kan over hun tot deze wij zij",
+  pl: "i w nie na się z do to że jest o jak ale po co tak za od jego przez być ich ja już może dla ten są tym go było jej czy tylko przy też bardzo",
+};
+
+// Each common word's weight per language. A word shared by several
+// languages ("de", "la") is split between them, so distinctive words decide.
+const WORD_WEIGHTS = new Map();
+for (const [language, words] of Object.entries(COMMON_WORDS)) {
+  for (const word of new Set(words.split(" "))) {
+    if (!WORD_WEIGHTS.has(word)) WORD_WEIGHTS.set(word, []);
+    WORD_WEIGHTS.get(word).push(language);
+  }
+}
+
+// Scripts used by a single language (or a clear majority language)
+const SCRIPTS = [
+  { language: "ja", pattern: /[぀-ヿ]/g },
+  { language: "ko", pattern: /[가-힯ᄀ-ᇿ]/g },
+  { language: "zh", pattern: /[一-鿿]/g },
+  { language: "ar", pattern: /[؀-ۿ]/g },
+  { language: "he", pattern: /[֐-׿]/g },
+  { language: "el", pattern: /[Ͱ-Ͽ]/g },
+  { language: "hi", pattern: /[ऀ-ॿ]/g },
+  { language: "th", pattern: /[฀-๿]/g },
+  { language: "ru", pattern: /[Ѐ-ӿ]/g },
+];
+
+// Least text worth guessing from, and how sure a guess must be
+const MIN_WORDS = 8;
+const MIN_SCORE = 2;
+const MIN_CONFIDENCE = 0.25;
+
+// Words looked at; more adds time without changing the answer
+const MAX_WORDS = 2000;
+
+/**
+ * Normalize a language tag such as "en_us" to "en-US"
+ * @param {string} tag - A BCP 47 language tag
+ * @returns {string|null} - The normalized tag, or null if empty or not a language
+ */
+function normalizeLanguageTag(tag) {
+  const parts = String(tag || "").trim().replace(/_/g, "-").split("-").filter(Boolean);
+  if (!parts.length || !/^[a-z]{2,3}$/i.test(parts[0])) return null;
+
+  return parts
+    .map((part, index) => {
+      if (index === 0) return part.toLowerCase();
+      if (/^[a-z]{2}$/i.test(part) || /^\d{3}$/.test(part)) return part.toUpperCase();
+      if (/^[a-z]{4}$/i.test(part)) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+      return part.toLowerCase();
+    })
+    .join("-");
+}
+
+/**
+ * Check whether a language tag is covered by a filter
+ *
+ * "es" covers "es", "es-US" and "es-MX"; "es-MX" covers only "es-MX".
+ *
+ * @param {string|null} tag - The page's language
+ * @param {string[]} filters - Wanted languages
+ * @returns {boolean} - True if the tag matches one of the filters
+ */
+function matchesLanguage(tag, filters) {
+  const language = normalizeLanguageTag(tag);
+  if (!language) return false;
+
+  return filters.some((filter) => {
+    const wanted = normalizeLanguageTag(filter);
+    return wanted && (language === wanted || language.startsWith(`${wanted}-`));
+  });
+}
+
+/**
+ * Read the page's alternate-language versions from <link rel="alternate" hreflang>
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {string} pageUrl - The page URL, for resolving relative hrefs
+ * @returns {Object[]} - Alternates as { hreflang, url }; hreflang keeps "x-default" as written
+ */
+function getHreflangAlternates($, pageUrl) {
+  return $('link[rel~="alternate"][hreflang][href]')
+    .toArray()
+    .map((link) => {
+      const hreflang = $(link).attr("hreflang").trim();
+      return {
+        hreflang: hreflang.toLowerCase() === "x-default" ? "x-default" : normalizeLanguageTag(hreflang),
+        url: resolveUrl($(link).attr("href"), pageUrl),
+      };
+    })
+    .filter((alternate) => alternate.hreflang);
+}
+
+/**
+ * Guess the language of a text without any service
+ *
+ * Text in a script used by one language (Japanese kana, Hangul, Greek,
+ * Arabic...) is identified by its script. Latin-script text is scored
+ * by how many of each language's most frequent words it contains, and
+ * the confidence is how far the best score is ahead of the next best.
+ *
+ * @param {string} text - The text
+ * @returns {Object|null} - { language, confidence } with confidence from 0 to 1, or null if the text is too short or too mixed to tell
+ */
+function detectLanguage(text) {
+  if (!text) return null;
+
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  for (const { language, pattern } of SCRIPTS) {
+    const share = (text.match(pattern) || []).length / letters;
+    // Kana marks Japanese even among many Chinese characters
+    if ((language === "ja" && share > 0.1) || share > 0.5) {
+      if (language === "ru" && /[іїєґ]/i.test(text)) {
+        return { language: "uk", confidence: round(share) };
+      }
+      return { language, confidence: round(Math.min(1, share)) };
+    }
+  }
+
+  const words = (text.toLowerCase().match(/\p{L}+/gu) || []).slice(0, MAX_WORDS);
+  if (words.length < MIN_WORDS) return null;
+
+  const scores = Object.fromEntries(Object.keys(COMMON_WORDS).map((language) => [language, 0]));
+  for (const word of words) {
+    const languages = WORD_WEIGHTS.get(word) || [];
+    languages.forEach((language) => {
+      scores[language] += 1 / languages.length;
+    });
+  }
+
+  const [best, second] = Object.entries(scores)
+    .map(([language, score]) => ({ language, score }))
+    .sort((a, b) => b.score - a.score);
+  if (best.score < MIN_SCORE) return null;
+
+  const confidence = (best.score - second.score) / best.score;
+  if (confidence < MIN_CONFIDENCE) return null;
+
+  return { language: best.language, confidence: round(confidence) };
+}
+
+/**
+ * Round a confidence to two decimals
+ * @param {number} value - The value
+ * @returns {number} - The rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Work out a page's language and its alternate-language versions
+ *
+ * Declared languages win over detection, in this order: <html lang>
+ * (or xml:lang), a Content-Language header naming one language, the
+ * page's own entry in its hreflang alternates. Only when none of these
+ * is present is the text run through detectLanguage.
+ *
+ * @param {Object} page - The page
+ * @param {string} [page.html] - The HTML (omit for PDFs and JSON)
+ * @param {Object} [page.headers] - Response headers
+ * @param {string} [page.text] - The extracted text, for detection
+ * @param {string} page.url - The page URL (after redirects)
+ * @returns {Object} - { language, source, confidence, alternates }; language and source are null when unknown
+ */
+function getPageLanguage({ html, headers = {}, text, url }) {
+  const $ = html ? cheerio.load(html) : null;
+  const alternates = $ ? getHreflangAlternates($, url) : [];
+  const declared = (language, source) => ({
+    language,
+    source,
+    confidence: null,
+    alternates,
+  });
+
+  const htmlLang = $ ? normalizeLanguageTag($("html").attr("lang") || $("html").attr("xml:lang")) : null;
+  if (htmlLang) return declared(htmlLang, "html");
+
+  // A header listing several languages describes the audience, not this page
+  const contentLanguage = String(headers["content-language"] || "").split(",");
+  if (contentLanguage.length === 1 && normalizeLanguageTag(contentLanguage[0])) {
+    return declared(normalizeLanguageTag(contentLanguage[0]), "header");
+  }
+
+  const pageUrl = normalizeUrl(url);
+  const self = alternates.find(
+    (alternate) => alternate.hreflang !== "x-default" && normalizeUrl(alternate.url) === pageUrl
+  );
+  if (self) return declared(self.hreflang, "hreflang");
+
+  const detected = detectLanguage(text);
+  if (detected) {
+    return {
+      language: detected.language,
+      source: "detected",
+      confidence: detected.confidence,
+      alternates,
+    };
+  }
+
+  return { language: null, source: null, confidence: null, alternates };
+}
+
+module.exports = {
+  normalizeLanguageTag,
+  matchesLanguage,
+  getHreflangAlternates,
+  detectLanguage,
+  getPageLanguage,
+};
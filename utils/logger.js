@@ -7,6 +7,49 @@ const fs = require("fs-extra");
 const logsDir = path.join(process.cwd(), "logs");
 fs.ensureDirSync(logsDir);
 
+// Header, option and query parameter names whose values must never reach
+// the logs. A name matches when it is one of these, or ends in one after a
+// "-" or "_" (X-Auth-Token, client_secret), so author or keywords don't
+const SECRET_NAME =
+  "authorization|cookie|passw(?:or)?d|api[-_]?key|access[-_]?token|secret|token|session(?:[-_]?id)?";
+const SECRET_KEYS = new RegExp(`(?:^|[-_])(?:${SECRET_NAME})$`, "i");
+
+// Query parameters such as ?access_token=... or &api_key=... in URLs
+const SECRET_QUERY_PARAMS = new RegExp(
+  `([?&](?:[^=&#\\s]*[-_])?(?:${SECRET_NAME})=)[^&#\\s"']*`,
+  "gi"
+);
+
+// Redact secret values (by key) and credentials embedded in URLs
+function redactValue(value, key = "", depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEYS.test(key)) return "[REDACTED]";
+
+  if (typeof value === "string") {
+    return value
+      .replace(/(\/\/[^/\s:@]+:)[^@\s/]+@/g, "$1[REDACTED]@")
+      .replace(SECRET_QUERY_PARAMS, "$1[REDACTED]");
+  }
+  if (depth > 5) return value;
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, key, depth + 1));
+  }
+  if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [name, redactValue(item, name, depth + 1)])
+    );
+  }
+  return value;
+}
+
+// Applied to every log entry before it is written anywhere
+const redactSecrets = format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== "level") info[key] = redactValue(info[key], key);
+  }
+  return info;
+});
+
 // Define log format
 const logFormat = format.printf(({ level, message, timestamp, ...meta }) => {
   // Add any additional metadata if present
@@ -19,6 +62,7 @@ const logFormat = format.printf(({ level, message, timestamp, ...meta }) => {
 
 // Custom format for colorized console output
 const consoleFormat = format.combine(
+  redactSecrets(),
   format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
   format.colorize(),
   logFormat
@@ -26,6 +70,7 @@ const consoleFormat = format.combine(
 
 // Format for file logs (without colors)
 const fileFormat = format.combine(
+  redactSecrets(),
   format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
   logFormat
 );
@@ -0,0 +1,179 @@
+/**
+ * Run manifest: tracks the status of every route so interrupted runs can resume
+ */
+const fs = require("fs-extra");
+const path = require("path");
+const logger = require("./logger");
+
+// File name of the manifest inside the output directory
+const MANIFEST_FILE = "manifest.json";
+
+// Statuses a route can have in the manifest
+const ROUTE_STATUSES = ["pending", "done", "failed", "skipped"];
+
+/**
+ * Create a run manifest stored in an output directory
+ *
+ * The manifest maps each route to { status, files, error, reason,
+ * updatedAt }. Every change is written to disk right away, through a
+ * temporary file and a rename, so an interrupted run always leaves a
+ * complete manifest behind.
+ *
+ * @param {string} outputDir - Directory the manifest is written to
+ * @returns {Object} - Manifest with load, start, update, setBoilerplate, getRoutesToRun and save methods
+ */
+function createRunManifest(outputDir) {
+  const file = path.join(outputDir, MANIFEST_FILE);
+  let manifest = null;
+
+  // Writes are chained so concurrent route updates never interleave
+  let writing = Promise.resolve();
+
+  const write = () => {
+    const snapshot = JSON.stringify(manifest, null, 2);
+    const next = writing.then(async () => {
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.ensureDir(outputDir);
+      await fs.writeFile(tempFile, snapshot);
+      await fs.rename(tempFile, file);
+    });
+    // A failed write must not block the ones queued after it
+    writing = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    file,
+
+    /**
+     * Read the manifest left by a previous run
+     * @returns {Promise<Object|null>} - The manifest, or null if there is none (or it is unreadable)
+     */
+    async load() {
+      try {
+        manifest = await fs.readJson(file);
+        return manifest;
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          logger.warn(`Ignoring unreadable run manifest ${file}: ${error.message}`);
+        }
+        manifest = null;
+        return null;
+      }
+    },
+
+    /**
+     * Start a run, marking routes without a recorded status as pending
+     *
+     * When resuming, routes from the previous run are kept (with their
+     * status) along with the boilerplate it recorded, and new routes are
+     * appended. Otherwise the manifest starts over.
+     *
+     * @param {Object} run - Run details
+     * @param {string} run.baseUrl - The base URL
+     * @param {string} run.format - The output format
+     * @param {string[]} run.routes - Routes requested for this run
+     * @param {boolean} [run.resume=false] - Keep the statuses from the previous run
+     * @returns {Promise<void>}
+     */
+    async start({ baseUrl, format, routes, resume = false }) {
+      const previous = resume ? manifest : null;
+      const now = new Date().toISOString();
+
+      manifest = {
+        baseUrl,
+        format,
+        startedAt: previous ? previous.startedAt : now,
+        updatedAt: now,
+        routes: previous ? previous.routes : {},
+      };
+      if (previous && previous.boilerplate) {
+        manifest.boilerplate = previous.boilerplate;
+      }
+
+      for (const route of routes) {
+        if (!manifest.routes[route]) {
+          manifest.routes[route] = { status: "pending", files: {}, updatedAt: now };
+        }
+      }
+
+      await write();
+    },
+
+    /**
+     * Record the outcome of a route and write the manifest
+     * @param {string} route - The route
+     * @param {string} status - One of pending, done, failed or skipped
+     * @param {Object} [details] - { files, error, reason }
+     * @returns {Promise<void>}
+     */
+    async update(route, status, details = {}) {
+      if (!ROUTE_STATUSES.includes(status)) {
+        throw new Error(`Invalid route status: ${status}`);
+      }
+
+      const now = new Date().toISOString();
+      manifest.routes[route] = {
+        status,
+        files: details.files || {},
+        error: details.error,
+        reason: details.reason,
+        updatedAt: now,
+      };
+      manifest.updatedAt = now;
+
+      await write();
+    },
+
+    /**
+     * Record the boilerplate blocks removed from the run's pages
+     *
+     * A resumed run adds its blocks to those of the run it picked up from;
+     * the page counts of a block both found are added up.
+     *
+     * @param {Object[]} blocks - Blocks as { text, pages }
+     * @returns {Promise<void>}
+     */
+    async setBoilerplate(blocks) {
+      const merged = new Map(
+        (manifest.boilerplate || []).map((block) => [block.text, { ...block }])
+      );
+      for (const block of blocks) {
+        const known = merged.get(block.text);
+        if (known) {
+          known.pages += block.pages;
+        } else {
+          merged.set(block.text, { ...block });
+        }
+      }
+      manifest.boilerplate = [...merged.values()];
+      manifest.updatedAt = new Date().toISOString();
+
+      await write();
+    },
+
+    /**
+     * List the routes that still need to run (pending or failed)
+     * @returns {string[]} - Routes in manifest order
+     */
+    getRoutesToRun() {
+      return Object.entries(manifest.routes)
+        .filter(([, entry]) => entry.status === "pending" || entry.status === "failed")
+        .map(([route]) => route);
+    },
+
+    /**
+     * Wait for any queued writes to finish
+     * @returns {Promise<void>}
+     */
+    async save() {
+      await writing;
+    },
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  ROUTE_STATUSES,
+  createRunManifest,
+};
@@ -0,0 +1,173 @@
+/**
+ * Heading outline of a page's content, and a table of contents built from it
+ */
+const cheerio = require("cheerio");
+
+// Fewest headings worth a table of contents
+const MIN_TOC_HEADINGS = 2;
+
+/**
+ * Create a slugger that turns heading text into anchors the way GitHub
+ * and most markdown renderers do, so links to them work in the rendered file
+ *
+ * Repeated headings get -1, -2 and so on, in document order.
+ *
+ * @returns {Function} - Takes heading text and returns its anchor
+ */
+function createSlugger() {
+  const seen = new Map();
+
+  return (text) => {
+    const base = text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "")
+      .replace(/ /g, "-");
+
+    let slug = base;
+    while (seen.has(slug)) {
+      seen.set(base, seen.get(base) + 1);
+      slug = `${base}-${seen.get(base)}`;
+    }
+    seen.set(slug, 0);
+    return slug;
+  };
+}
+
+/**
+ * Find the h1–h6 headings in content HTML
+ * @param {string} html - Content HTML
+ * @returns {Object[]} - Headings as { level, text, id } in document order
+ */
+function getHtmlHeadings(html) {
+  if (!html) return [];
+  const $ = cheerio.load(html, null, false);
+
+  return $("h1, h2, h3, h4, h5, h6")
+    .toArray()
+    .map((element) => {
+      const heading = $(element);
+      // Older pages put the anchor on a named link inside the heading
+      const anchor = heading.find("a[id], a[name]").first();
+      return {
+        level: Number(element.tagName.slice(1)),
+        text: heading.text().replace(/\s+/g, " ").trim(),
+        id: heading.attr("id") || anchor.attr("id") || anchor.attr("name") || null,
+      };
+    });
+}
+
+/**
+ * Find the ATX headings in markdown, skipping fenced code blocks
+ * @param {string} markdown - Markdown content
+ * @returns {Object[]} - Headings as { level, text, id } in document order
+ */
+function getMarkdownHeadings(markdown) {
+  const headings = [];
+  let fence = null;
+
+  for (const line of String(markdown || "").split("\n")) {
+    const marker = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) fence = marker[1][0];
+      else if (marker[1][0] === fence) fence = null;
+      continue;
+    }
+    if (fence) continue;
+
+    const match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+    if (!match) continue;
+    headings.push({
+      level: match[1].length,
+      text: match[2]
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/\\(.)/g, "$1")
+        .replace(/[*_`]/g, "")
+        .trim(),
+      id: null,
+    });
+  }
+
+  return headings;
+}
+
+/**
+ * Nest headings into an outline
+ *
+ * Each heading holds the headings below it until the next one at its
+ * level or higher. Headings without text are left out.
+ *
+ * @param {Object[]} headings - Headings from getHtmlHeadings or getMarkdownHeadings
+ * @returns {Object[]} - Top-level entries as { text, level, anchor, id, children },
+ *   with id only when the page gave the heading one
+ */
+function buildOutline(headings) {
+  const slug = createSlugger();
+  const outline = [];
+  const stack = [];
+
+  for (const heading of headings) {
+    if (!heading.text) continue;
+
+    const entry = { text: heading.text, level: heading.level, anchor: slug(heading.text) };
+    if (heading.id) entry.id = heading.id;
+    entry.children = [];
+
+    while (stack.length && stack[stack.length - 1].level >= entry.level) stack.pop();
+    (stack.length ? stack[stack.length - 1].children : outline).push(entry);
+    stack.push(entry);
+  }
+
+  return outline;
+}
+
+/**
+ * Count the headings in an outline
+ * @param {Object[]} outline - Outline from buildOutline
+ * @returns {number} - Number of entries at every depth
+ */
+function countHeadings(outline) {
+  return outline.reduce((count, entry) => count + 1 + countHeadings(entry.children), 0);
+}
+
+/**
+ * Render an outline as a markdown table of contents
+ * @param {Object[]} outline - Outline from buildOutline
+ * @returns {string} - Nested list of links to the headings' anchors
+ */
+function outlineToMarkdown(outline) {
+  const lines = [];
+  const walk = (entries, depth) => {
+    for (const entry of entries) {
+      const text = entry.text.replace(/([\\[\]])/g, "\\$1");
+      lines.push(`${"  ".repeat(depth)}- [${text}](#${entry.anchor})`);
+      walk(entry.children, depth + 1);
+    }
+  };
+  walk(outline, 0);
+  return lines.join("\n");
+}
+
+/**
+ * Put a table of contents at the top of markdown content
+ *
+ * The label is bold text rather than a heading, so it doesn't shift the
+ * anchors of headings with the same text.
+ *
+ * @param {string} markdown - Markdown content
+ * @param {Object[]} outline - The content's outline
+ * @returns {string} - Markdown with the table of contents, or unchanged
+ *   when there are fewer than two headings
+ */
+function addTableOfContents(markdown, outline) {
+  if (countHeadings(outline) < MIN_TOC_HEADINGS) return markdown;
+  return `**Contents**\n\n${outlineToMarkdown(outline)}\n\n${markdown}`;
+}
+
+module.exports = {
+  createSlugger,
+  getHtmlHeadings,
+  getMarkdownHeadings,
+  buildOutline,
+  outlineToMarkdown,
+  addTableOfContents,
+};
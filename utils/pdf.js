@@ -0,0 +1,224 @@
+/**
+ * Text and metadata extraction for PDF documents
+ */
+const pdfParse = require("pdf-parse");
+
+// Lines this much larger than the body text are treated as headings
+const HEADING_SIZE_RATIO = 1.2;
+
+// Longer lines are body text however large the font
+const MAX_HEADING_LENGTH = 200;
+
+// A vertical gap wider than this many line heights starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 1.8;
+
+/**
+ * Check whether a response holds a PDF document
+ * @param {Buffer} [body] - The raw response body
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {boolean} - True for application/pdf responses or bodies starting with %PDF-
+ */
+function isPdfResponse(body, contentType) {
+  if (/^application\/(x-)?pdf\b/i.test(contentType || "")) return true;
+  return Boolean(body && body.subarray(0, 5).toString("latin1") === "%PDF-");
+}
+
+/**
+ * Group a page's text items into lines
+ * @param {Object[]} items - Text items from pdf.js getTextContent()
+ * @returns {Object[]} - Lines as { text, size, y }
+ */
+function groupLines(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    const [, , c, d, , y] = item.transform;
+    const size = Math.round(Math.hypot(c, d) * 10) / 10;
+
+    if (current && Math.abs(current.y - y) < 1) {
+      current.text += item.str;
+      current.size = Math.max(current.size, size);
+    } else {
+      current = { text: item.str, size, y };
+      lines.push(current);
+    }
+  }
+
+  return lines
+    .map((line) => ({ ...line, text: line.text.replace(/\s+/g, " ").trim() }))
+    .filter((line) => line.text);
+}
+
+/**
+ * Find the font size used by most of the document's text
+ * @param {Object[][]} pages - Lines of each page
+ * @returns {number} - The body font size
+ */
+function getBodySize(pages) {
+  const charsBySize = new Map();
+  for (const line of pages.flat()) {
+    charsBySize.set(line.size, (charsBySize.get(line.size) || 0) + line.text.length);
+  }
+
+  let bodySize = 0;
+  let mostChars = -1;
+  for (const [size, chars] of charsBySize) {
+    if (chars > mostChars) {
+      bodySize = size;
+      mostChars = chars;
+    }
+  }
+  return bodySize;
+}
+
+/**
+ * Turn each page's lines into heading and paragraph blocks
+ *
+ * Headings are short lines set larger than the body text; the largest
+ * size becomes level 1, the next level 2 and so on.
+ *
+ * @param {Object[][]} pages - Lines of each page
+ * @returns {Object[][]} - Blocks of each page as { type, text, level? }
+ */
+function toBlocks(pages) {
+  const bodySize = getBodySize(pages);
+  const isHeading = (line) =>
+    line.size >= bodySize * HEADING_SIZE_RATIO &&
+    line.text.length <= MAX_HEADING_LENGTH &&
+    /\p{L}/u.test(line.text);
+
+  const headingSizes = [
+    ...new Set(pages.flat().filter(isHeading).map((line) => line.size)),
+  ].sort((a, b) => b - a);
+
+  return pages.map((lines) => {
+    const blocks = [];
+    let paragraph = null;
+    let previous = null;
+
+    for (const line of lines) {
+      if (isHeading(line)) {
+        blocks.push({
+          type: "heading",
+          level: Math.min(headingSizes.indexOf(line.size) + 1, 6),
+          text: line.text,
+        });
+        paragraph = null;
+      } else {
+        const gap = previous ? previous.y - line.y : 0;
+        if (paragraph && gap > 0 && gap <= line.size * PARAGRAPH_GAP_RATIO) {
+          // Rejoin words hyphenated across a line break
+          paragraph.text = /\p{Ll}-$/u.test(paragraph.text)
+            ? paragraph.text.slice(0, -1) + line.text
+            : `${paragraph.text} ${line.text}`;
+        } else {
+          paragraph = { type: "paragraph", text: line.text };
+          blocks.push(paragraph);
+        }
+      }
+      previous = line;
+    }
+
+    return blocks;
+  });
+}
+
+/**
+ * Escape text that markdown would otherwise read as syntax at a line start
+ * @param {string} text - Plain text
+ * @returns {string} - Text safe to use as a markdown paragraph
+ */
+function escapeMarkdownLine(text) {
+  return text.replace(/^([#>*+-]|\d+[.)])(\s)/, "\\$1$2");
+}
+
+/**
+ * Render page blocks as markdown
+ *
+ * Every page starts with a `<!-- page N -->` marker and pages are
+ * separated by a thematic break.
+ *
+ * @param {Object[][]} pages - Blocks of each page
+ * @returns {string} - Markdown content
+ */
+function toMarkdown(pages) {
+  return pages
+    .map((blocks, index) =>
+      [
+        `<!-- page ${index + 1} -->`,
+        ...blocks.map((block) =>
+          block.type === "heading"
+            ? `${"#".repeat(block.level)} ${block.text}`
+            : escapeMarkdownLine(block.text)
+        ),
+      ].join("\n\n")
+    )
+    .join("\n\n---\n\n");
+}
+
+/**
+ * Render page blocks as HTML headings and paragraphs
+ * @param {Object[][]} pages - Blocks of each page
+ * @returns {string} - HTML content
+ */
+function toHtml(pages) {
+  const escape = (text) =>
+    text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+  return pages
+    .flat()
+    .map((block) =>
+      block.type === "heading"
+        ? `<h${block.level}>${escape(block.text)}</h${block.level}>`
+        : `<p>${escape(block.text)}</p>`
+    )
+    .join("\n");
+}
+
+/**
+ * Extract text, metadata and markdown from a PDF
+ * @param {Buffer} buffer - The PDF bytes
+ * @returns {Promise<Object>} - { title, author, description, pageCount, textContent, markdownContent, html }
+ */
+async function extractPdf(buffer) {
+  const pages = [];
+
+  const parsed = await pdfParse(
+    // pdf.js reads the whole underlying ArrayBuffer, so hand it a copy
+    // rather than a Buffer that may be a slice of Node's shared pool
+    new Uint8Array(buffer),
+    {
+      pagerender: async (page) => {
+        const textContent = await page.getTextContent();
+        pages[page.pageIndex] = groupLines(textContent.items);
+        return "";
+      },
+    }
+  );
+
+  // Pages pdf.js couldn't render come back empty
+  const blocks = toBlocks(
+    Array.from({ length: parsed.numpages }, (_, index) => pages[index] || [])
+  );
+  const info = parsed.info || {};
+  const firstHeading = blocks.flat().find((block) => block.type === "heading");
+
+  return {
+    title: (info.Title || "").trim() || (firstHeading ? firstHeading.text : ""),
+    author: (info.Author || "").trim() || null,
+    description: (info.Subject || "").trim(),
+    pageCount: parsed.numpages,
+    textContent: blocks
+      .flat()
+      .map((block) => block.text)
+      .join("\n\n"),
+    markdownContent: toMarkdown(blocks),
+    html: toHtml(blocks),
+  };
+}
+
+module.exports = {
+  isPdfResponse,
+  extractPdf,
+};
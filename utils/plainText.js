@@ -0,0 +1,217 @@
+/**
+ * Plain text rendering that keeps the shape of the content:
+ * paragraphs, headings, lists, table rows and preformatted text
+ */
+const { isLayoutTable, parseTable } = require("./tables");
+
+// Ways of laying out textContent
+const TEXT_MODES = ["structured", "single-line"];
+const DEFAULT_TEXT_MODE = "structured";
+
+// Elements that start a new block of text
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "caption", "center", "dd",
+  "details", "dialog", "div", "dl", "dt", "fieldset", "figcaption", "figure",
+  "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hgroup",
+  "hr", "li", "main", "nav", "ol", "p", "pre", "section", "summary", "table",
+  "tbody", "td", "tfoot", "th", "thead", "tr", "ul",
+]);
+
+// Elements whose contents are never text
+const SKIPPED_TAGS = new Set([
+  "script", "style", "noscript", "template", "head", "title", "meta", "link",
+  "svg", "canvas", "iframe", "object", "video", "audio",
+]);
+
+// Narrowest width nested blocks are wrapped to
+const MIN_WRAP_WIDTH = 20;
+
+/**
+ * Wrap a line of text at word boundaries
+ * @param {string} text - A single line of text
+ * @param {number} [width] - Maximum line length; 0 or missing leaves the line alone
+ * @returns {string} - The wrapped text (words longer than the width get their own line)
+ */
+function wrapText(text, width) {
+  if (!width || text.length <= width) return text;
+
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+/**
+ * Reduce the wrap width for an indented block
+ * @param {number} width - The current wrap width (0 for none)
+ * @param {number} indent - Characters taken by the indent or prefix
+ * @returns {number} - The width left for the block's text
+ */
+function narrow(width, indent) {
+  return width ? Math.max(width - indent, MIN_WRAP_WIDTH) : 0;
+}
+
+/**
+ * Render a list of nodes as blocks of text
+ * @param {Object} $ - Cheerio instance
+ * @param {Object[]} nodes - DOM nodes
+ * @param {number} width - Wrap width (0 for none)
+ * @returns {string[]} - Blocks in order, to be separated by blank lines
+ */
+function renderBlocks($, nodes, width) {
+  const blocks = [];
+  let inline = "";
+
+  // Turn the pending run of inline text into a block, keeping <br> breaks
+  const flush = () => {
+    const lines = inline
+      .split("\n")
+      .map((line) => line.replace(/ +/g, " ").trim())
+      .filter(Boolean);
+    if (lines.length) {
+      blocks.push(lines.map((line) => wrapText(line, width)).join("\n"));
+    }
+    inline = "";
+  };
+
+  const walk = (node) => {
+    if (node.type === "text") {
+      inline += node.data.replace(/\s+/g, " ");
+      return;
+    }
+    if (node.type !== "tag" && node.type !== "root") return;
+
+    const name = node.name;
+    if (SKIPPED_TAGS.has(name)) return;
+    if (name === "br") {
+      inline += "\n";
+      return;
+    }
+    if (!BLOCK_TAGS.has(name)) {
+      (node.children || []).forEach(walk);
+      return;
+    }
+
+    flush();
+    const $node = $(node);
+
+    if (name === "ul" || name === "ol") {
+      const list = renderList($, node, width);
+      if (list) blocks.push(list);
+    } else if (name === "table" && !isLayoutTable($node)) {
+      const table = renderTable($, node);
+      if (table) blocks.push(table);
+    } else if (name === "pre") {
+      // Preformatted text keeps its own spacing and is never wrapped
+      const text = $node.text().replace(/^\n/, "").replace(/\s+$/, "");
+      if (text.trim()) blocks.push(text);
+    } else if (name === "blockquote") {
+      const quote = renderBlocks($, node.children, narrow(width, 2)).join("\n\n");
+      if (quote) {
+        blocks.push(
+          quote
+            .split("\n")
+            .map((line) => (line ? `> ${line}` : ">"))
+            .join("\n")
+        );
+      }
+    } else if (name !== "hr") {
+      node.children.forEach(walk);
+      flush();
+    }
+  };
+
+  nodes.forEach(walk);
+  flush();
+  return blocks;
+}
+
+/**
+ * Render a <ul> or <ol> with one line per item, nested lists indented
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} list - The list element
+ * @param {number} width - Wrap width (0 for none)
+ * @returns {string} - The list text
+ */
+function renderList($, list, width) {
+  const ordered = list.name === "ol";
+  const start = parseInt($(list).attr("start"), 10);
+  let number = Number.isNaN(start) ? 1 : start;
+
+  return $(list)
+    .children("li")
+    .toArray()
+    .map((item) => {
+      const prefix = ordered ? `${number++}. ` : "- ";
+      const lines = renderBlocks($, item.children, narrow(width, prefix.length))
+        .join("\n")
+        .split("\n");
+      const indent = " ".repeat(prefix.length);
+      return lines
+        .map((line, index) => (index === 0 ? prefix + line : line ? indent + line : line))
+        .join("\n")
+        .trimEnd();
+    })
+    .join("\n");
+}
+
+/**
+ * Render a data table as tab-separated rows, header row first
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} table - The table element
+ * @returns {string} - The table text, with its caption on the first line
+ */
+function renderTable($, table) {
+  const { caption, headers, rows } = parseTable($, table);
+  const lines = [...(headers.length ? [headers] : []), ...rows].map((row) =>
+    row.join("\t")
+  );
+  if (caption) lines.unshift(caption);
+  return lines.join("\n");
+}
+
+/**
+ * Render an element's content as plain text
+ *
+ * In "structured" mode paragraphs and other blocks are separated by
+ * blank lines, headings sit on their own lines, list items get bullets
+ * or numbers, table rows are tab-separated and <pre> text keeps its
+ * spacing. "single-line" mode is the original output: all the text
+ * with every run of whitespace collapsed to one space.
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} $element - Cheerio selection holding the content
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.mode="structured"] - "structured" or "single-line"
+ * @param {number} [options.wrap=0] - Wrap lines at this many characters (structured mode only)
+ * @returns {string} - The text
+ */
+function renderText($, $element, options = {}) {
+  const mode = options.mode || DEFAULT_TEXT_MODE;
+  if (!TEXT_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid text mode: ${mode}. Valid modes are: ${TEXT_MODES.join(", ")}`
+    );
+  }
+
+  if (mode === "single-line") {
+    return $element.text().replace(/\s+/g, " ").trim();
+  }
+
+  const nodes = $element.toArray().flatMap((element) => element.children || []);
+  return renderBlocks($, nodes, options.wrap || 0).join("\n\n").trim();
+}
+
+module.exports = {
+  TEXT_MODES,
+  wrapText,
+  renderText,
+};
@@ -0,0 +1,172 @@
+/**
+ * Per-site extraction profiles
+ *
+ * A profile tells the extractor how a site is laid out:
+ * - contentRoot: selector for the block holding the content
+ * - remove: extra selectors to strip from the page
+ * - keep: selectors never stripped, even by the default clean-up
+ * - title, date, author: selectors for the page's metadata
+ * - json: where JSON API responses keep their fields (see utils/jsonContent.js)
+ *
+ * Profiles are keyed by hostname ("example.org", "*.example.org") or by
+ * URL pattern with * wildcards ("example.org/grants/*").
+ */
+const fs = require("fs-extra");
+const logger = require("./logger");
+const { validateJsonMapping } = require("./jsonContent");
+
+// Profile fields holding a single selector
+const SELECTOR_FIELDS = ["contentRoot", "title", "date", "author"];
+
+// Profile fields holding a list of selectors
+const LIST_FIELDS = ["remove", "keep"];
+
+/**
+ * Normalize a profile, turning list fields given as strings into arrays
+ * @param {Object} profile - The profile as written
+ * @param {string} [key] - Where the profile came from (for error messages)
+ * @returns {Object} - The normalized profile
+ */
+function normalizeProfile(profile, key = "profile") {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    throw new Error(`Invalid extraction profile for ${key}: expected an object`);
+  }
+
+  const normalized = {};
+  for (const field of SELECTOR_FIELDS) {
+    if (profile[field] === undefined) continue;
+    if (typeof profile[field] !== "string") {
+      throw new Error(`Invalid extraction profile for ${key}: ${field} must be a selector string`);
+    }
+    normalized[field] = profile[field];
+  }
+  for (const field of LIST_FIELDS) {
+    if (profile[field] === undefined) continue;
+    const list = [].concat(profile[field]);
+    if (!list.every((selector) => typeof selector === "string")) {
+      throw new Error(`Invalid extraction profile for ${key}: ${field} must list selector strings`);
+    }
+    normalized[field] = list;
+  }
+  if (profile.json !== undefined) {
+    normalized.json = { ...validateJsonMapping(profile.json, key) };
+  }
+  return normalized;
+}
+
+/**
+ * Layer one profile over another
+ *
+ * Selector fields in the override win; remove and keep lists are combined,
+ * and JSON mappings are merged field by field.
+ *
+ * @param {Object} [base] - The base profile
+ * @param {Object} [override] - The profile to apply on top
+ * @returns {Object} - The merged profile
+ */
+function mergeProfiles(base = {}, override = {}) {
+  const merged = { ...base, ...override };
+  for (const field of LIST_FIELDS) {
+    if (base[field] || override[field]) {
+      merged[field] = [...(base[field] || []), ...(override[field] || [])];
+    }
+  }
+  if (base.json && override.json) {
+    merged.json = { ...base.json, ...override.json };
+  }
+  return merged;
+}
+
+/**
+ * Check whether a profile key applies to a URL
+ * @param {string} key - Hostname, *.domain wildcard or URL pattern
+ * @param {URL} urlObj - The page URL
+ * @returns {boolean} - True if the key matches
+ */
+function matchesProfileKey(key, urlObj) {
+  if (!key.includes("/")) {
+    const hostname = urlObj.hostname;
+    return key.startsWith("*.")
+      ? hostname === key.slice(2) || hostname.endsWith(key.slice(1))
+      : hostname === key.toLowerCase();
+  }
+
+  // Patterns without a scheme match any scheme
+  const target = key.includes("://")
+    ? urlObj.href
+    : urlObj.href.replace(/^https?:\/\//, "");
+  const pattern = key
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${pattern}$`, "i").test(target);
+}
+
+/**
+ * Find the profile for a URL
+ *
+ * Every matching profile is applied, hostnames before URL patterns and
+ * shorter (less specific) keys before longer ones, followed by the
+ * route's own override.
+ *
+ * @param {Object} [profiles] - Profiles keyed by hostname or URL pattern
+ * @param {string} url - The page URL
+ * @param {Object} [override] - Profile given for this route
+ * @returns {Object|null} - The resolved profile, or null if none applies
+ */
+function resolveProfile(profiles, url, override) {
+  const urlObj = new URL(url);
+  const keys = Object.keys(profiles || {})
+    .filter((key) => matchesProfileKey(key, urlObj))
+    .sort(
+      (a, b) =>
+        Number(a.includes("/")) - Number(b.includes("/")) || a.length - b.length
+    );
+
+  if (keys.length === 0 && !override) return null;
+
+  let profile = {};
+  for (const key of keys) {
+    profile = mergeProfiles(profile, normalizeProfile(profiles[key], key));
+  }
+  if (override) {
+    profile = mergeProfiles(profile, normalizeProfile(override, url));
+  }
+
+  logger.debug(`Using extraction profile for ${url}`, { keys, profile });
+  return profile;
+}
+
+/**
+ * Load extraction profiles from the "profiles" key of a JSON file
+ *
+ * The file can be a dedicated profiles file or scoopit.config.json.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<Object>} - Profiles keyed by hostname or URL pattern
+ */
+async function loadProfiles(filePath) {
+  let config;
+  try {
+    config = await fs.readJson(filePath);
+  } catch (error) {
+    throw new Error(`Could not read profiles file ${filePath}: ${error.message}`);
+  }
+
+  const profiles = {};
+  for (const [key, profile] of Object.entries(config.profiles || {})) {
+    profiles[key] = normalizeProfile(profile, key);
+  }
+
+  logger.debug(`Loaded extraction profiles from ${filePath}`, {
+    keys: Object.keys(profiles),
+  });
+  return profiles;
+}
+
+module.exports = {
+  normalizeProfile,
+  mergeProfiles,
+  resolveProfile,
+  loadProfiles,
+};
@@ -0,0 +1,228 @@
+/**
+ * Readability-style scoring to find the main content block of a page
+ */
+
+// Class, id and role hints that suggest content or page furniture
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_HINTS = /-ad-|\bads?\b|banner|breadcrumb|combx|comment|contact|foot|footnote|masthead|media|menu|meta|nav|outbrain|promo|related|share|shoutbox|sidebar|skyscraper|social|sponsor|tags|tool|widget/i;
+const HINT_WEIGHT = 25;
+
+// Starting scores by tag: containers of prose score up, lists and headings down
+const TAG_SCORES = {
+  article: 10,
+  main: 10,
+  div: 5,
+  section: 3,
+  pre: 3,
+  td: 3,
+  blockquote: 3,
+  address: -3,
+  ol: -3,
+  ul: -3,
+  dl: -3,
+  dd: -3,
+  dt: -3,
+  li: -3,
+  form: -3,
+  aside: -10,
+  header: -10,
+  nav: -25,
+  h1: -5,
+  h2: -5,
+  h3: -5,
+  h4: -5,
+  h5: -5,
+  h6: -5,
+  th: -5,
+};
+
+// Elements whose own text counts as a paragraph
+const PARAGRAPH_SELECTOR = "p, pre, td, blockquote, div, section";
+
+// Block elements; a div or section containing none of these is a paragraph
+const BLOCK_SELECTOR =
+  "address, article, aside, blockquote, dl, div, fieldset, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, main, nav, ol, p, pre, section, table, ul";
+
+// Paragraphs shorter than this are ignored
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// How many ancestors of a paragraph share its score
+const ANCESTOR_LEVELS = 3;
+
+// A best candidate scoring below this isn't trusted
+const MIN_CANDIDATE_SCORE = 20;
+
+/**
+ * Collapse whitespace in an element's text
+ * @param {Object} $el - Cheerio element
+ * @returns {string} - Normalized text
+ */
+function getText($el) {
+  return $el.text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} $el - Cheerio element
+ * @returns {number} - Link density between 0 and 1
+ */
+function getLinkDensity($, $el) {
+  const textLength = getText($el).length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  $el.find("a").each(function () {
+    linkLength += getText($(this)).length;
+  });
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Score an element's class, id and role against the content hints
+ * @param {Object} element - DOM element
+ * @returns {number} - Weight added to the element's score
+ */
+function getHintWeight(element) {
+  const attribs = element.attribs || {};
+  let weight = 0;
+
+  for (const hint of [attribs.class, attribs.id, attribs.role]) {
+    if (!hint) continue;
+    if (NEGATIVE_HINTS.test(hint)) weight -= HINT_WEIGHT;
+    if (POSITIVE_HINTS.test(hint)) weight += HINT_WEIGHT;
+  }
+  return weight;
+}
+
+/**
+ * Describe an element as a CSS selector, e.g. "div#content" or "article.post"
+ * @param {Object} element - DOM element
+ * @returns {string} - Selector for debugging output
+ */
+function describeElement(element) {
+  const attribs = element.attribs || {};
+  const classes = (attribs.class || "").trim().split(/\s+/).filter(Boolean);
+
+  return (
+    element.name +
+    (attribs.id ? `#${attribs.id}` : "") +
+    classes.map((name) => `.${name}`).join("")
+  );
+}
+
+/**
+ * Score a paragraph by length and punctuation
+ * @param {string} text - Paragraph text
+ * @returns {number} - Paragraph score
+ */
+function scoreParagraph(text) {
+  const commas = (text.match(/[,，、;；]/g) || []).length;
+  return 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+}
+
+/**
+ * Decide whether a sibling of the best candidate belongs with it
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} sibling - Sibling element
+ * @param {Object} scores - Candidate scores by element
+ * @param {Object} top - { element, score } of the best candidate
+ * @returns {boolean} - True if the sibling is part of the content
+ */
+function isRelatedSibling($, sibling, scores, top) {
+  const threshold = Math.max(10, top.score * 0.2);
+  const topClass = (top.element.attribs || {}).class;
+  const bonus =
+    topClass && (sibling.attribs || {}).class === topClass ? top.score * 0.2 : 0;
+
+  if (scores.has(sibling) && scores.get(sibling) + bonus >= threshold) {
+    return true;
+  }
+  if (sibling.name !== "p") return false;
+
+  const $sibling = $(sibling);
+  const text = getText($sibling);
+  const linkDensity = getLinkDensity($, $sibling);
+
+  return text.length > 80
+    ? linkDensity < 0.25
+    : text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text);
+}
+
+/**
+ * Find the block of a page most likely to hold its main content
+ *
+ * Every paragraph adds to the score of its parent and, by smaller
+ * amounts, its grandparent and great-grandparent. Longer paragraphs and
+ * paragraphs with more commas count for more. Candidates start from a
+ * tag-based score, gain or lose points for class, id and role hints
+ * such as "content" or "sidebar", and are finally scaled down by the
+ * share of their text that is link text. The winner is returned
+ * together with any siblings that score nearly as well or are plain
+ * paragraphs of prose.
+ *
+ * @param {Object} $ - Cheerio instance of the (cleaned) page
+ * @returns {Object|null} - { elements, selector, score } or null if no candidate scores high enough
+ */
+function findMainContent($) {
+  const scores = new Map();
+
+  $(PARAGRAPH_SELECTOR).each(function () {
+    const $paragraph = $(this);
+    if (
+      (this.name === "div" || this.name === "section") &&
+      $paragraph.find(BLOCK_SELECTOR).length
+    ) {
+      return;
+    }
+
+    const text = getText($paragraph);
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const paragraphScore = scoreParagraph(text);
+    $paragraph
+      .parents()
+      .slice(0, ANCESTOR_LEVELS)
+      .each(function (level) {
+        if (this.name === "html") return;
+        if (!scores.has(this)) {
+          scores.set(this, (TAG_SCORES[this.name] || 0) + getHintWeight(this));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(this, scores.get(this) + paragraphScore / divider);
+      });
+  });
+
+  let top = null;
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - getLinkDensity($, $(element)));
+    scores.set(element, finalScore);
+    if (!top || finalScore > top.score) {
+      top = { element, score: finalScore };
+    }
+  }
+
+  if (!top || top.score < MIN_CANDIDATE_SCORE) return null;
+
+  const parent = top.element.parent;
+  const elements =
+    parent && top.element.name !== "body"
+      ? $(parent)
+          .children()
+          .toArray()
+          .filter(
+            (sibling) =>
+              sibling === top.element || isRelatedSibling($, sibling, scores, top)
+          )
+      : [top.element];
+
+  return {
+    elements,
+    selector: describeElement(top.element),
+    score: Math.round(top.score * 100) / 100,
+  };
+}
+
+module.exports = {
+  findMainContent,
+};
@@ -0,0 +1,154 @@
+/**
+ * Retry, backoff and circuit breaker helpers for HTTP requests
+ */
+
+// Defaults for retrying failed requests
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000; // Base delay (ms) before the first retry
+const DEFAULT_MAX_RETRY_DELAY = 30000; // Upper bound (ms) for any single wait
+
+// Network error codes that are worth retrying (DNS failures like ENOTFOUND are not)
+const RETRYABLE_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ERR_SOCKET_CONNECTION_TIMEOUT",
+];
+
+/**
+ * Check whether a failed request should be retried
+ * @param {Error} error - The axios error
+ * @returns {boolean} - True for transient network errors, 429 and 5xx responses
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|undefined} header - Header value (delay in seconds or an HTTP date)
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date values
+ * @returns {number|null} - Milliseconds to wait, or null if absent/invalid
+ */
+function parseRetryAfter(header, now = Date.now()) {
+  if (header === undefined || header === null || header === "") return null;
+
+  const value = String(header).trim();
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) return null;
+
+  return Math.max(0, date - now);
+}
+
+/**
+ * Calculate the exponential backoff delay for an attempt, with jitter
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.retryDelay] - Base delay in ms
+ * @param {number} [options.maxRetryDelay] - Maximum delay in ms
+ * @returns {number} - Milliseconds to wait before the next attempt
+ */
+function getBackoffDelay(attempt, options = {}) {
+  const base = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+  const max = options.maxRetryDelay ?? DEFAULT_MAX_RETRY_DELAY;
+  const delay = Math.min(max, base * 2 ** (attempt - 1));
+
+  // "Equal jitter": keep half the delay, randomize the other half
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Create a per-host circuit breaker
+ *
+ * After `threshold` consecutive failures a host's circuit opens and
+ * requests to it are refused until `cooldown` ms have passed. The next
+ * request is then let through as a single trial while every other caller
+ * is still refused: success closes the circuit, failure opens it again.
+ * A trial that never reports back is given up on after another cooldown.
+ *
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.threshold=5] - Consecutive failures before opening
+ * @param {number} [options.cooldown=60000] - Ms to wait before a trial request
+ * @returns {Object} - Breaker with canRequest, recordSuccess and recordFailure methods
+ */
+function createCircuitBreaker(options = {}) {
+  const threshold = options.threshold || 5;
+  const cooldown = options.cooldown ?? 60000;
+  const hosts = new Map();
+
+  const getHost = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { failures: 0, openedAt: null, trialAt: null });
+    }
+    return hosts.get(host);
+  };
+
+  return {
+    /**
+     * Check whether requests to a host are currently allowed
+     * @param {string} host - The host name
+     * @returns {boolean} - False while the host's circuit is open or its trial request is in flight
+     */
+    canRequest(host) {
+      const state = getHost(host);
+      if (state.openedAt === null) return true;
+
+      const now = Date.now();
+      if (now - state.openedAt < cooldown) return false;
+      if (state.trialAt !== null && now - state.trialAt < cooldown) return false;
+
+      state.trialAt = now;
+      return true;
+    },
+
+    /**
+     * Record a successful request, closing the host's circuit
+     * @param {string} host - The host name
+     */
+    recordSuccess(host) {
+      const state = getHost(host);
+      state.failures = 0;
+      state.openedAt = null;
+      state.trialAt = null;
+    },
+
+    /**
+     * Record a failed request, opening the circuit at the threshold
+     * @param {string} host - The host name
+     * @returns {boolean} - True if the circuit is now open
+     */
+    recordFailure(host) {
+      const state = getHost(host);
+      state.failures++;
+      state.trialAt = null;
+      if (state.failures >= threshold) {
+        state.openedAt = Date.now();
+      }
+      return state.openedAt !== null;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_DELAY,
+  DEFAULT_MAX_RETRY_DELAY,
+  isRetryableError,
+  parseRetryAfter,
+  getBackoffDelay,
+  createCircuitBreaker,
+};
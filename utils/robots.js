@@ -0,0 +1,333 @@
+/**
+ * robots.txt, meta robots and X-Robots-Tag handling
+ */
+const axios = require("axios");
+const cheerio = require("cheerio");
+const logger = require("./logger");
+const { DEFAULT_USER_AGENT } = require("./requestOptions");
+const {
+  DEFAULT_RETRIES,
+  DEFAULT_MAX_RETRY_DELAY,
+  isRetryableError,
+  parseRetryAfter,
+  getBackoffDelay,
+} = require("./retry");
+
+// Product token that robots.txt groups and meta tags address us by
+const ROBOTS_AGENT = "scoopit";
+
+// robots.txt rules per origin, cached for the life of the process
+const robotsCache = new Map();
+
+// How long (ms) a server error or failed request for robots.txt is trusted
+// before asking again, so a site that recovers is crawled again
+const ROBOTS_ERROR_TTL = 60000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parse a robots.txt file into user-agent groups
+ * @param {string} text - The robots.txt content
+ * @returns {Object[]} - Groups of { agents, rules: [{ allow, path }], crawlDelay }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((key === "allow" || key === "disallow") && value) {
+      current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Collect the rules that apply to a user agent
+ * @param {Object[]} groups - Groups returned by parseRobotsTxt
+ * @param {string} [agent] - Product token to match (defaults to "scoopit")
+ * @returns {Object} - { rules, crawlDelay } from the matching groups (or the "*" groups)
+ */
+function getRulesForAgent(groups, agent = ROBOTS_AGENT) {
+  const token = agent.toLowerCase();
+  let matching = groups.filter((group) => group.agents.includes(token));
+  if (matching.length === 0) {
+    matching = groups.filter((group) => group.agents.includes("*"));
+  }
+
+  const delays = matching
+    .map((group) => group.crawlDelay)
+    .filter((delay) => delay !== null);
+
+  return {
+    rules: matching.flatMap((group) => group.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+}
+
+/**
+ * Convert a robots.txt path pattern (with * and $) into a RegExp
+ * @param {string} pattern - The rule path
+ * @returns {RegExp} - Pattern anchored at the start of the path
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Check whether a path is allowed by a set of rules
+ *
+ * The longest matching rule wins; on a tie, Allow wins.
+ *
+ * @param {Object[]} rules - Rules from getRulesForAgent
+ * @param {string} routePath - The path (and query) to check
+ * @returns {boolean} - True if the path may be fetched
+ */
+function isPathAllowed(rules, routePath) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(routePath)) continue;
+
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch and parse the robots.txt for an origin (cached per origin)
+ *
+ * A missing robots.txt (4xx) allows everything. A server error (5xx, or
+ * 429) disallows everything, as the robots.txt standard asks. If the request
+ * fails outright (DNS, connection refused), the site is treated as having
+ * no robots.txt and the page fetch reports the real error.
+ *
+ * Server errors and failed requests are retried with backoff first, and
+ * their outcome is only cached for ROBOTS_ERROR_TTL.
+ *
+ * @param {string} origin - The origin, e.g. https://example.org
+ * @param {Object} [requestConfig] - axios config (headers, agents, proxy) for the site
+ * @param {Object} [retryOptions] - { retries, retryDelay, maxRetryDelay } (see utils/retry.js)
+ * @returns {Promise<Object>} - { rules, crawlDelay } that apply to ScoopIt
+ */
+async function loadRobots(origin, requestConfig, retryOptions) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.robots;
+  }
+
+  const entry = { expiresAt: Infinity };
+  entry.robots = fetchRobots(origin, requestConfig, retryOptions).then((robots) => {
+    if (robots.failed) {
+      entry.expiresAt = Date.now() + ROBOTS_ERROR_TTL;
+    }
+    return robots;
+  });
+  robotsCache.set(origin, entry);
+  return entry.robots;
+}
+
+/**
+ * Fetch and parse robots.txt (uncached)
+ * @param {string} origin - The origin, e.g. https://example.org
+ * @param {Object} [requestConfig] - axios config (headers, agents, proxy) for the site
+ * @param {Object} [retryOptions] - { retries, retryDelay, maxRetryDelay } (see utils/retry.js)
+ * @returns {Promise<Object>} - { rules, crawlDelay } that apply to ScoopIt, with failed set after a server error or failed request
+ */
+async function fetchRobots(origin, requestConfig = {}, retryOptions = {}) {
+  const url = `${origin}/robots.txt`;
+  const maxAttempts = (retryOptions.retries ?? DEFAULT_RETRIES) + 1;
+  const maxRetryDelay = retryOptions.maxRetryDelay ?? DEFAULT_MAX_RETRY_DELAY;
+
+  let response;
+  let error;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    error = null;
+    try {
+      response = await axios.get(url, {
+        ...requestConfig,
+        timeout: Math.min(requestConfig.timeout || 10000, 10000),
+        responseType: "text",
+        headers: {
+          "User-Agent": DEFAULT_USER_AGENT,
+          ...requestConfig.headers,
+        },
+        validateStatus: () => true,
+      });
+      if (!isRetryableError({ response })) break;
+    } catch (requestError) {
+      error = requestError;
+      response = null;
+      if (!isRetryableError(error)) break;
+    }
+
+    if (attempt === maxAttempts) break;
+
+    // Wait as long as the server asks, but at least the backoff delay
+    const retryAfter = parseRetryAfter(response?.headers?.["retry-after"]);
+    if (retryAfter !== null && retryAfter > maxRetryDelay) break;
+
+    const delay = Math.max(retryAfter || 0, getBackoffDelay(attempt, retryOptions));
+    logger.debug(`Retrying ${url} in ${delay}ms`, {
+      attempt,
+      maxAttempts,
+      status: response?.status,
+      code: error?.code,
+    });
+    await sleep(delay);
+  }
+
+  if (error) {
+    logger.warn(`Could not read ${url}: ${error.message}`);
+    return { rules: [], crawlDelay: null, failed: true };
+  }
+
+  if (isRetryableError({ response })) {
+    logger.warn(
+      `robots.txt at ${url} returned ${response.status}; treating ${origin} as disallowed for now`
+    );
+    return { rules: [{ allow: false, path: "/" }], crawlDelay: null, failed: true };
+  }
+
+  if (response.status >= 400) {
+    logger.debug(`No robots.txt at ${url} (${response.status})`);
+    return { rules: [], crawlDelay: null };
+  }
+
+  const robots = getRulesForAgent(parseRobotsTxt(response.data));
+  logger.debug(`Loaded robots.txt for ${origin}`, {
+    ruleCount: robots.rules.length,
+    crawlDelay: robots.crawlDelay,
+  });
+  return robots;
+}
+
+/**
+ * Check a URL against its site's robots.txt
+ * @param {string} url - The URL about to be fetched
+ * @param {Object} [requestConfig] - axios config (headers, agents, proxy) for the site
+ * @param {Object} [retryOptions] - { retries, retryDelay, maxRetryDelay } for robots.txt (see utils/retry.js)
+ * @returns {Promise<Object>} - { allowed, crawlDelay } (crawlDelay in seconds or null)
+ */
+async function checkRobots(url, requestConfig, retryOptions) {
+  const urlObj = new URL(url);
+  const robots = await loadRobots(urlObj.origin, requestConfig, retryOptions);
+
+  return {
+    allowed: isPathAllowed(robots.rules, `${urlObj.pathname}${urlObj.search}`),
+    crawlDelay: robots.crawlDelay,
+  };
+}
+
+/**
+ * Parse a robots directive list such as "noindex, nofollow"
+ * @param {string} value - Comma-separated directives
+ * @returns {Object} - { noindex, nofollow }
+ */
+function parseRobotsDirectives(value) {
+  const directives = String(value || "")
+    .toLowerCase()
+    .split(",")
+    .map((directive) => directive.trim());
+  const none = directives.includes("none");
+
+  return {
+    noindex: none || directives.includes("noindex"),
+    nofollow: none || directives.includes("nofollow"),
+  };
+}
+
+/**
+ * Read the robots directives for a page from its meta tags and X-Robots-Tag header
+ * @param {string} html - The page HTML
+ * @param {Object} [headers] - The response headers
+ * @returns {Object} - { noindex, nofollow }
+ */
+function getPageRobotsDirectives(html, headers = {}) {
+  const values = [];
+
+  if (html) {
+    const $ = cheerio.load(html);
+    $("meta[name][content]").each(function () {
+      const name = ($(this).attr("name") || "").toLowerCase();
+      if (name === "robots" || name === ROBOTS_AGENT) {
+        values.push($(this).attr("content"));
+      }
+    });
+  }
+
+  // The header may be repeated, and entries may be scoped to one agent ("googlebot: noindex")
+  const headerValue = headers["x-robots-tag"];
+  const headerValues = Array.isArray(headerValue) ? headerValue : [headerValue];
+  for (const value of headerValues.filter(Boolean)) {
+    const scoped = value.match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+    if (!scoped || scoped[1].toLowerCase() === "unavailable_after") {
+      values.push(value);
+    } else if (scoped[1].toLowerCase() === ROBOTS_AGENT) {
+      values.push(scoped[2]);
+    }
+  }
+
+  return values.map(parseRobotsDirectives).reduce(
+    (merged, directives) => ({
+      noindex: merged.noindex || directives.noindex,
+      nofollow: merged.nofollow || directives.nofollow,
+    }),
+    { noindex: false, nofollow: false }
+  );
+}
+
+/**
+ * Forget all cached robots.txt files
+ */
+function clearRobotsCache() {
+  robotsCache.clear();
+}
+
+module.exports = {
+  ROBOTS_AGENT,
+  parseRobotsTxt,
+  getRulesForAgent,
+  isPathAllowed,
+  checkRobots,
+  getPageRobotsDirectives,
+  clearRobotsCache,
+};
@@ -0,0 +1,211 @@
+const axios = require("axios");
+const cheerio = require("cheerio");
+const zlib = require("zlib");
+const logger = require("./logger");
+const { buildRequestConfig } = require("./requestOptions");
+const { decodeBody } = require("./charset");
+
+// Safety limit so a misconfigured sitemap index can't recurse forever
+const MAX_SITEMAPS = 50;
+
+/**
+ * Check whether a buffer holds gzip-compressed data
+ * @param {Buffer} buffer - The raw response body
+ * @returns {boolean} - True if the buffer starts with the gzip magic bytes
+ */
+function isGzipped(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+/**
+ * Fetch a sitemap and return its XML, decompressing .xml.gz files
+ * @param {string} url - The sitemap URL
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout=30000] - Request timeout in ms
+ * @param {Object} [options.request] - Headers, proxy and TLS options (see utils/requestOptions)
+ * @returns {Promise<string|null>} - The sitemap XML or null if fetch fails
+ */
+async function fetchSitemap(url, options = {}) {
+  try {
+    const startTime = Date.now();
+    const requestConfig = buildRequestConfig(options.request, url);
+    const response = await axios.get(url, {
+      ...requestConfig,
+      timeout: options.timeout || requestConfig.timeout,
+      responseType: "arraybuffer",
+      validateStatus: (status) => status >= 200 && status < 300,
+    });
+
+    logger.httpSuccess(url, response.status, Date.now() - startTime, {
+      contentType: response.headers["content-type"],
+    });
+
+    const buffer = Buffer.from(response.data);
+    if (isGzipped(buffer)) {
+      return decodeBody(zlib.gunzipSync(buffer)).text;
+    }
+    return decodeBody(buffer, response.headers["content-type"]).text;
+  } catch (error) {
+    logger.httpError(url, error, {
+      code: error.code || "UNKNOWN",
+      status: error.response?.status,
+    });
+    return null;
+  }
+}
+
+/**
+ * Parse sitemap XML into its entries
+ * @param {string} xml - The sitemap XML
+ * @returns {Object} - { type: "index"|"urlset", entries: [{ loc, lastmod }] }
+ */
+function parseSitemap(xml) {
+  if (!xml) return { type: "urlset", entries: [] };
+
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const isIndex = $("sitemapindex").length > 0;
+  const entries = [];
+
+  $(isIndex ? "sitemapindex > sitemap" : "urlset > url").each(function () {
+    const loc = $(this).children("loc").first().text().trim();
+    if (!loc) return;
+
+    const lastmod = $(this).children("lastmod").first().text().trim();
+    entries.push({ loc, lastmod: lastmod || null });
+  });
+
+  return { type: isIndex ? "index" : "urlset", entries };
+}
+
+/**
+ * Check whether a sitemap entry passes the configured filters
+ * @param {string} route - The route derived from the entry
+ * @param {string|null} lastmod - The entry's lastmod value
+ * @param {Object} filters - Filter options (since, prefix, pattern)
+ * @returns {boolean} - True if the entry should be kept
+ */
+function matchesFilters(route, lastmod, filters) {
+  const { since, prefix, pattern } = filters;
+
+  if (since) {
+    // Entries without a lastmod can't be shown to be recent, so skip them
+    const modified = lastmod ? new Date(lastmod) : null;
+    if (!modified || isNaN(modified) || modified < since) {
+      return false;
+    }
+  }
+
+  if (prefix && !route.startsWith(prefix)) {
+    return false;
+  }
+
+  if (pattern && !pattern.test(route)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Discover routes for a site from its sitemap
+ * @param {string} baseUrl - The base URL of the site
+ * @param {Object} [options] - Discovery options
+ * @param {string} [options.url] - Sitemap URL (defaults to baseUrl/sitemap.xml)
+ * @param {Date|string} [options.since] - Only keep entries modified on or after this date
+ * @param {string} [options.prefix] - Only keep routes starting with this path prefix
+ * @param {RegExp|string} [options.pattern] - Only keep routes matching this regex
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {Object} [options.request] - Headers, proxy and TLS options for the sitemap requests
+ * @returns {Promise<string[]>} - Array of routes found in the sitemap
+ */
+async function loadSitemapRoutes(baseUrl, options = {}) {
+  const origin = new URL(baseUrl).origin;
+  const sitemapUrl = options.url || `${origin}/sitemap.xml`;
+
+  const since = options.since ? new Date(options.since) : null;
+  if (since && isNaN(since)) {
+    throw new Error(`Invalid sitemap date filter: ${options.since}`);
+  }
+
+  const filters = {
+    since,
+    prefix: options.prefix || null,
+    pattern:
+      typeof options.pattern === "string"
+        ? new RegExp(options.pattern)
+        : options.pattern || null,
+  };
+
+  const sitemapContext = logger.startOperation("load_sitemap", {
+    sitemapUrl,
+    since: options.since,
+    prefix: filters.prefix,
+    pattern: filters.pattern ? filters.pattern.source : undefined,
+  });
+
+  const queue = [sitemapUrl];
+  const visited = new Set();
+  const routes = new Set();
+  let skippedForeign = 0;
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAPS) {
+    const url = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    const xml = await fetchSitemap(url, options);
+    if (!xml) {
+      logger.warn(`Could not read sitemap: ${url}`);
+      continue;
+    }
+
+    const { type, entries } = parseSitemap(xml);
+
+    if (type === "index") {
+      logger.debug(`Sitemap index ${url} lists ${entries.length} sitemaps`);
+      entries.forEach((entry) => queue.push(entry.loc));
+      continue;
+    }
+
+    for (const entry of entries) {
+      let locUrl;
+      try {
+        locUrl = new URL(entry.loc, url);
+      } catch (error) {
+        logger.debug(`Skipping invalid sitemap location: ${entry.loc}`);
+        continue;
+      }
+
+      // Routes are resolved against baseUrl, so only same-origin pages apply
+      if (locUrl.origin !== origin) {
+        skippedForeign++;
+        continue;
+      }
+
+      const route = `${locUrl.pathname}${locUrl.search}`;
+      if (matchesFilters(route, entry.lastmod, filters)) {
+        routes.add(route);
+      }
+    }
+  }
+
+  if (queue.length > 0) {
+    logger.warn(
+      `Stopped reading sitemaps after ${MAX_SITEMAPS} files; ${queue.length} not read`
+    );
+  }
+
+  logger.endOperation(sitemapContext, "success", {
+    sitemapsRead: visited.size,
+    routeCount: routes.size,
+    skippedForeign,
+  });
+
+  return Array.from(routes);
+}
+
+module.exports = {
+  fetchSitemap,
+  parseSitemap,
+  loadSitemapRoutes,
+};
@@ -0,0 +1,381 @@
+/**
+ * Structured data extraction: JSON-LD, microdata, RDFa, microformats,
+ * Open Graph and Twitter cards
+ */
+const cheerio = require("cheerio");
+
+// Open Graph and its object-type namespaces
+const OPEN_GRAPH_PREFIXES = /^(og|article|book|profile|video|music|fb):/i;
+
+// Microformats2 root class (h-entry, h-card, ...) and property classes
+const MF_ROOT_CLASS = /^h-[a-z0-9]+(-[a-z0-9]+)*$/;
+const MF_PROPERTY_CLASS = /^(p|u|dt|e)-([a-z0-9]+(-[a-z0-9]+)*)$/;
+
+// Microdata and RDFa share a shape: a scope with a type holding properties
+const ITEM_SYNTAXES = {
+  microdata: { scope: "itemscope", type: "itemtype", property: "itemprop" },
+  rdfa: { scope: "typeof", type: "typeof", property: "property" },
+};
+
+// Item types that describe the page's own content (not the site or a person)
+const CONTENT_TYPES = /Article|BlogPosting|Report|WebPage|CreativeWork|Dataset|Event|Book|Chapter|Thesis|Course|Recipe|h-entry|h-event|h-recipe|h-review/i;
+
+// Elements whose URL attribute is their value
+const URL_ATTRIBUTES = {
+  a: "href",
+  area: "href",
+  link: "href",
+  img: "src",
+  audio: "src",
+  video: "src",
+  source: "src",
+  track: "src",
+  embed: "src",
+  iframe: "src",
+  object: "data",
+};
+
+/**
+ * Collapse whitespace in an element's text
+ * @param {Object} $el - Cheerio element
+ * @returns {string} - Normalized text
+ */
+function getText($el) {
+  return $el.text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Add a value to a property list, creating the list on first use
+ * @param {Object} properties - Properties by name
+ * @param {string} name - Property name
+ * @param {*} value - Property value
+ */
+function addProperty(properties, name, value) {
+  (properties[name] = properties[name] || []).push(value);
+}
+
+/**
+ * Parse every JSON-LD block, flattening arrays and @graph lists
+ * @param {Object} $ - Cheerio instance
+ * @returns {Object[]} - JSON-LD entities
+ */
+function parseJsonLd($) {
+  const entities = [];
+
+  $('script[type="application/ld+json"]').each(function () {
+    // Some CMSes wrap the JSON in HTML comments or CDATA markers
+    const source = $(this)
+      .html()
+      .replace(/^\s*(<!--|\/\*\s*<!\[CDATA\[\s*\*\/)/, "")
+      .replace(/(-->|\/\*\s*\]\]>\s*\*\/)\s*$/, "");
+
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      return;
+    }
+
+    for (const item of [].concat(data)) {
+      if (item && Array.isArray(item["@graph"])) {
+        entities.push(...item["@graph"]);
+      } else if (item && typeof item === "object") {
+        entities.push(item);
+      }
+    }
+  });
+
+  return entities;
+}
+
+/**
+ * Read the value of a microdata or RDFa property element
+ * @param {Object} $el - Cheerio element
+ * @returns {string} - The property value
+ */
+function getItemValue($el) {
+  const name = $el[0].name;
+  const candidates = [
+    $el.attr("content"),
+    $el.attr("resource"),
+    URL_ATTRIBUTES[name] && $el.attr(URL_ATTRIBUTES[name]),
+    name === "time" ? $el.attr("datetime") : undefined,
+    name === "data" || name === "meter" ? $el.attr("value") : undefined,
+  ];
+  const value = candidates.find((candidate) => typeof candidate === "string");
+  return value !== undefined ? value : getText($el);
+}
+
+/**
+ * Parse microdata or RDFa items
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} syntax - Attribute names from ITEM_SYNTAXES
+ * @returns {Object[]} - Top-level items as { type, properties }
+ */
+function parseItems($, syntax) {
+  const scopeSelector = `[${syntax.scope}]`;
+
+  const parseItem = (element) => {
+    const $item = $(element);
+    const item = {
+      type: ($item.attr(syntax.type) || "").split(/\s+/).filter(Boolean),
+      properties: {},
+    };
+    if ($item.attr("itemid")) item.id = $item.attr("itemid");
+
+    // Properties belong to the nearest enclosing item
+    $item
+      .find(`[${syntax.property}]`)
+      .filter(function () {
+        return $(this).parent().closest(scopeSelector)[0] === element;
+      })
+      .each(function () {
+        const $prop = $(this);
+        const value = $prop.is(scopeSelector)
+          ? parseItem(this)
+          : getItemValue($prop);
+        for (const name of $prop.attr(syntax.property).split(/\s+/).filter(Boolean)) {
+          addProperty(item.properties, name, value);
+        }
+      });
+
+    return item;
+  };
+
+  return $(scopeSelector)
+    .filter(function () {
+      return !$(this).is(`[${syntax.property}]`);
+    })
+    .toArray()
+    .map(parseItem);
+}
+
+/**
+ * Get an element's microformats2 root classes
+ * @param {Object} $el - Cheerio element
+ * @returns {string[]} - Classes such as "h-entry"
+ */
+function getRootClasses($el) {
+  return ($el.attr("class") || "").split(/\s+/).filter((name) => MF_ROOT_CLASS.test(name));
+}
+
+/**
+ * Parse microformats2 (h-entry, h-card, h-event, ...)
+ * @param {Object} $ - Cheerio instance
+ * @returns {Object[]} - Top-level items as { type, properties }
+ */
+function parseMicroformats($) {
+  const isRoot = function () {
+    return getRootClasses($(this)).length > 0;
+  };
+
+  const parseItem = (element) => {
+    const item = { type: getRootClasses($(element)), properties: {} };
+
+    // Walk down to property elements, stopping at nested items
+    const visit = (parent) => {
+      $(parent)
+        .children()
+        .each(function () {
+          const $child = $(this);
+          const nested = $child.filter(isRoot).length > 0;
+          const classes = ($child.attr("class") || "").split(/\s+/);
+
+          for (const name of classes) {
+            const match = MF_PROPERTY_CLASS.exec(name);
+            if (!match) continue;
+            const [, prefix, property] = match;
+            addProperty(
+              item.properties,
+              property,
+              nested ? parseItem(this) : getMicroformatValue($child, prefix)
+            );
+          }
+
+          if (!nested) visit(this);
+        });
+    };
+    visit(element);
+
+    // An item with no properties, like <a class="h-card" href="/me">Di</a>,
+    // implies its name (and URL) from the element itself
+    if (Object.keys(item.properties).length === 0) {
+      const $element = $(element);
+      item.properties.name = [$element.attr("alt") || getText($element)];
+      if ($element.attr("href")) item.properties.url = [$element.attr("href")];
+    }
+
+    return item;
+  };
+
+  return $("[class]")
+    .filter(isRoot)
+    .filter(function () {
+      return !$(this).parents().filter(isRoot).length;
+    })
+    .toArray()
+    .map(parseItem);
+}
+
+/**
+ * Read a microformats2 property value by its prefix
+ * @param {Object} $el - Cheerio element
+ * @param {string} prefix - p, u, dt or e
+ * @returns {string} - The property value
+ */
+function getMicroformatValue($el, prefix) {
+  const element = $el[0];
+  if (prefix === "u") {
+    return $el.attr(URL_ATTRIBUTES[element.name] || "href") || getText($el);
+  }
+  if (prefix === "dt") {
+    return $el.attr("datetime") || $el.attr("value") || getText($el);
+  }
+  if (prefix === "p" && (element.name === "img" || element.name === "area")) {
+    return $el.attr("alt") || "";
+  }
+  if (prefix === "p" && element.name === "abbr" && $el.attr("title")) {
+    return $el.attr("title");
+  }
+  return getText($el);
+}
+
+/**
+ * Collect <meta> tags whose name or property matches a pattern
+ * @param {Object} $ - Cheerio instance
+ * @param {RegExp} pattern - Pattern for the name/property
+ * @returns {Object} - Values by name; repeated names (e.g. og:image) become arrays
+ */
+function collectMetaTags($, pattern) {
+  const tags = {};
+
+  $("meta[property], meta[name]").each(function () {
+    const $meta = $(this);
+    const name = ($meta.attr("property") || $meta.attr("name") || "").toLowerCase();
+    const content = $meta.attr("content");
+    if (!pattern.test(name) || content === undefined) return;
+
+    if (tags[name] === undefined) {
+      tags[name] = content;
+    } else {
+      tags[name] = [].concat(tags[name], content);
+    }
+  });
+
+  return tags;
+}
+
+/**
+ * Extract every kind of structured data from an HTML page
+ * @param {string|Object} html - The HTML, or a Cheerio instance of it
+ * @returns {Object} - { jsonLd, microdata, rdfa, microformats, openGraph, twitter }, with only the sources present
+ */
+function extractStructuredData(html) {
+  const $ = typeof html === "string" ? cheerio.load(html) : html;
+
+  const structuredData = {
+    jsonLd: parseJsonLd($),
+    microdata: parseItems($, ITEM_SYNTAXES.microdata),
+    rdfa: parseItems($, ITEM_SYNTAXES.rdfa),
+    microformats: parseMicroformats($),
+    openGraph: collectMetaTags($, OPEN_GRAPH_PREFIXES),
+    twitter: collectMetaTags($, /^twitter:/i),
+  };
+
+  return Object.fromEntries(
+    Object.entries(structuredData).filter(([, value]) =>
+      Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0
+    )
+  );
+}
+
+/**
+ * Turn a person/organization value into a display name
+ * @param {*} value - String, { name } object, or a list of either
+ * @returns {string} - Names joined with commas
+ */
+function toName(value) {
+  if (!value) return "";
+  if (Array.isArray(value)) {
+    return value.map(toName).filter(Boolean).join(", ");
+  }
+  if (typeof value === "object") {
+    // Microdata, RDFa and microformats wrap values in lists and properties
+    const properties = value.properties || value;
+    return toName(properties.name || properties["schema:name"]) || "";
+  }
+  return String(value).trim();
+}
+
+/**
+ * Find the first value of one of several properties across items
+ * @param {Object[]} items - JSON-LD entities or parsed items
+ * @param {string[]} names - Property names in order of preference
+ * @returns {*} - The first value found, or undefined
+ */
+function findProperty(items, names) {
+  for (const item of items) {
+    const properties = item.properties || item;
+    for (const name of names) {
+      const value = properties[name] ?? properties[`schema:${name}`];
+      if (value !== undefined && value !== "" && !(Array.isArray(value) && !value.length)) {
+        return value;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Pick title, author, date and description from structured data
+ *
+ * Sources are tried in order: JSON-LD, microdata, RDFa, microformats,
+ * then Open Graph and Twitter card tags. Apart from a headline, only
+ * items describing content (articles, reports, web pages, events...)
+ * are used, so an Organization's name or a person's h-card never
+ * becomes the title.
+ *
+ * @param {Object} structuredData - Result of extractStructuredData
+ * @returns {Object} - { title, author, date, description } (empty strings when missing)
+ */
+function getStructuredMetadata(structuredData) {
+  const items = [
+    ...(structuredData.jsonLd || []),
+    ...(structuredData.microdata || []),
+    ...(structuredData.rdfa || []),
+    ...(structuredData.microformats || []),
+  ];
+  const contentItems = items.filter((item) =>
+    [].concat(item.type || item["@type"] || []).some((type) => CONTENT_TYPES.test(type))
+  );
+  const og = structuredData.openGraph || {};
+  const twitter = structuredData.twitter || {};
+  const first = (value) => (Array.isArray(value) ? first(value[0]) : value);
+  const asText = (value) => {
+    const single = first(value);
+    return typeof single === "string" ? single.trim() : "";
+  };
+
+  return {
+    title:
+      asText(findProperty(items, ["headline"])) ||
+      asText(findProperty(contentItems, ["name"])) ||
+      asText(og["og:title"]) ||
+      asText(twitter["twitter:title"]),
+    author:
+      toName(findProperty(contentItems, ["author", "creator"])) ||
+      asText(og["article:author"]),
+    date:
+      asText(findProperty(contentItems, ["datePublished", "published", "dateCreated", "startDate", "start"])) ||
+      asText(og["article:published_time"]),
+    description:
+      asText(findProperty(contentItems, ["description", "summary", "abstract"])) ||
+      asText(og["og:description"]) ||
+      asText(twitter["twitter:description"]),
+  };
+}
+
+module.exports = {
+  extractStructuredData,
+  getStructuredMetadata,
+};
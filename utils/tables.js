@@ -0,0 +1,237 @@
+/**
+ * HTML table extraction: structured rows, GFM markdown tables and CSV
+ */
+const cheerio = require("cheerio");
+
+// Browsers cap spans at these values; anything larger is a typo
+const MAX_COLSPAN = 1000;
+const MAX_ROWSPAN = 65534;
+
+/**
+ * Collapse whitespace in a cell's text, treating <br> as a space
+ * @param {Object} $cell - Cheerio element
+ * @returns {string} - Normalized text
+ */
+function getCellText($cell) {
+  const $copy = $cell.clone();
+  $copy.find("br").replaceWith(" ");
+  return $copy.text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Read a span attribute, clamped to the range browsers accept
+ * @param {string|undefined} value - The colspan or rowspan attribute
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} - The span
+ */
+function getSpan(value, min, max) {
+  const span = parseInt(value, 10);
+  if (Number.isNaN(span)) return 1;
+  return Math.min(Math.max(span, min), max);
+}
+
+/**
+ * Check whether a table is used for layout rather than data
+ *
+ * Tables holding other tables, and tables marked role="presentation",
+ * are page layout; their cells are converted like any other content.
+ *
+ * @param {Object} $table - Cheerio element
+ * @returns {boolean} - True for layout tables
+ */
+function isLayoutTable($table) {
+  const role = ($table.attr("role") || "").toLowerCase();
+  return role === "presentation" || role === "none" || $table.find("table").length > 0;
+}
+
+/**
+ * Lay out a group of rows as a grid, repeating spanned cells in every slot they cover
+ * @param {Object} $ - Cheerio instance
+ * @param {Object[]} rows - <tr> elements of one table section
+ * @param {Function} formatCell - Turns a cell into its value
+ * @returns {Object[]} - Grid rows as { cells, allHeaders }
+ */
+function buildGrid($, rows, formatCell) {
+  const grid = rows.map(() => ({ cells: [], allHeaders: true }));
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    $(row)
+      .children("th, td")
+      .each(function () {
+        const $cell = $(this);
+        const value = formatCell($cell);
+        const colspan = getSpan($cell.attr("colspan"), 1, MAX_COLSPAN);
+        let rowspan = getSpan($cell.attr("rowspan"), 0, MAX_ROWSPAN);
+        // rowspan="0" spans the rest of the section
+        if (rowspan === 0) rowspan = rows.length - rowIndex;
+        rowspan = Math.min(rowspan, rows.length - rowIndex);
+
+        if (this.name !== "th") grid[rowIndex].allHeaders = false;
+
+        // Skip slots already filled by rowspans from the rows above
+        while (grid[rowIndex].cells[column] !== undefined) column++;
+
+        for (let r = 0; r < rowspan; r++) {
+          for (let c = 0; c < colspan; c++) {
+            grid[rowIndex + r].cells[column + c] = value;
+          }
+        }
+        column += colspan;
+      });
+  });
+
+  return grid;
+}
+
+/**
+ * Parse a data table into its caption, column headers and rows
+ *
+ * Header rows come from <thead>, or else from leading rows made only of
+ * <th> cells. With several header rows, each column's header joins the
+ * distinct labels above it ("2023 / Q1"). Rows from <tfoot> come last.
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} table - The <table> element
+ * @param {Function} [formatCell] - Turns a cell into its value (defaults to its text)
+ * @returns {Object} - { caption, headers, rows }; headers is empty when the table has none
+ */
+function parseTable($, table, formatCell = getCellText) {
+  const $table = $(table);
+  const ownRows = $table.find("tr").filter(function () {
+    return $(this).closest("table")[0] === $table[0];
+  });
+  const section = (row) => $(row).parent()[0].name;
+
+  const sections = { thead: [], tbody: [], tfoot: [] };
+  ownRows.each(function () {
+    const name = section(this);
+    (sections[name] || sections.tbody).push(this);
+  });
+
+  const head = buildGrid($, sections.thead, formatCell);
+  const body = buildGrid($, sections.tbody, formatCell);
+  const foot = buildGrid($, sections.tfoot, formatCell);
+
+  // Without a <thead>, leading rows of <th> cells are the header
+  if (head.length === 0) {
+    while (body.length > 1 && body[0].allHeaders && body[0].cells.length) {
+      head.push(body.shift());
+    }
+  }
+
+  const width = Math.max(
+    0,
+    ...[...head, ...body, ...foot].map((row) => row.cells.length)
+  );
+  const pad = (cells) =>
+    Array.from({ length: width }, (_, i) => (cells[i] === undefined ? "" : cells[i]));
+
+  const headers =
+    head.length === 0
+      ? []
+      : Array.from({ length: width }, (_, column) => {
+          const labels = head
+            .map((row) => row.cells[column])
+            .filter((label) => label !== undefined && label !== "");
+          return [...new Set(labels)].join(" / ");
+        });
+
+  const rows = [...body, ...foot]
+    .map((row) => pad(row.cells))
+    .filter((cells) => cells.some((cell) => cell !== ""));
+
+  const $caption = $table.children("caption").first();
+
+  return {
+    caption: $caption.length ? getCellText($caption) : "",
+    headers,
+    rows,
+  };
+}
+
+/**
+ * Extract every data table from an HTML fragment
+ * @param {string|Object} html - The HTML, or a Cheerio instance of it
+ * @returns {Object[]} - Tables as { caption, headers, rows }, skipping layout and empty tables
+ */
+function extractTables(html) {
+  const $ = typeof html === "string" ? cheerio.load(html) : html;
+
+  return $("table")
+    .filter(function () {
+      return !isLayoutTable($(this));
+    })
+    .toArray()
+    .map((table) => parseTable($, table))
+    .filter((table) => table.rows.length > 0 || table.headers.length > 0);
+}
+
+/**
+ * Escape a value for a GFM table cell
+ * @param {string} value - The cell value
+ * @returns {string} - The value on one line, with pipes escaped
+ */
+function escapeMarkdownCell(value) {
+  return String(value)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, "<br>")
+    .trim();
+}
+
+/**
+ * Render a parsed table as a GitHub-flavored markdown table
+ *
+ * GFM tables need a header row, so a table without headers gets an
+ * empty one. A caption becomes a bold line above the table.
+ *
+ * @param {Object} table - Result of parseTable
+ * @returns {string} - The markdown table
+ */
+function tableToMarkdown(table) {
+  const width = Math.max(table.headers.length, ...table.rows.map((row) => row.length), 1);
+  const line = (cells) =>
+    "| " +
+    Array.from({ length: width }, (_, i) => escapeMarkdownCell(cells[i] || "")).join(" | ") +
+    " |";
+
+  const lines = [
+    line(table.headers),
+    "|" + " --- |".repeat(width),
+    ...table.rows.map(line),
+  ];
+
+  if (table.caption) {
+    lines.unshift(`**${table.caption}**`, "");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ * @param {string} value - The field value
+ * @returns {string} - The CSV field
+ */
+function escapeCsvField(value) {
+  const field = String(value);
+  return /[",\r\n]|^\s|\s$/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Render a parsed table as CSV (RFC 4180, CRLF line endings)
+ * @param {Object} table - Result of parseTable
+ * @returns {string} - The CSV text, with the header row first when the table has one
+ */
+function tableToCsv(table) {
+  const rows = table.headers.length ? [table.headers, ...table.rows] : table.rows;
+  return rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  isLayoutTable,
+  parseTable,
+  extractTables,
+  tableToMarkdown,
+  tableToCsv,
+};
@@ -0,0 +1,345 @@
+const cheerio = require("cheerio");
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^fbclid$/i,
+  /^gclid$/i,
+  /^dclid$/i,
+  /^msclkid$/i,
+  /^mc_cid$/i,
+  /^mc_eid$/i,
+  /^_ga$/i,
+  /^_hsenc$/i,
+  /^_hsmi$/i,
+];
+
+// Links to these files are downloads rather than pages
+const DOCUMENT_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|odt|ods|odp|rtf|csv)$/i;
+
+// File extensions that never contain page content worth scooping
+const SKIPPED_EXTENSIONS = /\.(jpe?g|png|gif|webp|svg|ico|bmp|css|js|mjs|json|xml|zip|gz|tgz|rar|7z|mp3|mp4|m4a|mov|avi|wmv|webm|woff2?|ttf|eot|exe|dmg|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Normalize a URL so equivalent addresses compare equal
+ *
+ * Drops the fragment, tracking query parameters and trailing slashes,
+ * and sorts the remaining query parameters.
+ *
+ * @param {string} url - The URL to normalize
+ * @param {string} [base] - Base URL for resolving relative URLs
+ * @returns {string|null} - The normalized URL or null if it isn't a valid http(s) URL
+ */
+function normalizeUrl(url, base) {
+  let urlObj;
+  try {
+    urlObj = base ? new URL(url, base) : new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (urlObj.protocol !== "http:" && urlObj.protocol !== "https:") {
+    return null;
+  }
+
+  urlObj.hash = "";
+
+  const params = [...urlObj.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some((pattern) => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  urlObj.search = new URLSearchParams(params).toString();
+
+  if (urlObj.pathname.length > 1) {
+    urlObj.pathname = urlObj.pathname.replace(/\/+$/, "") || "/";
+  }
+
+  return urlObj.toString();
+}
+
+/**
+ * Find the URL that relative links in a page resolve against
+ * @param {string|Object} html - The HTML page, or a Cheerio instance of it
+ * @param {string} pageUrl - The URL of the page (after redirects)
+ * @returns {string} - The page's <base href> resolved against its URL, else the URL itself
+ */
+function getBaseUrl(html, pageUrl) {
+  const $ = typeof html === "string" ? cheerio.load(html) : html;
+
+  // A <base href> changes what relative links resolve against
+  const baseHref = $("base[href]").attr("href");
+  if (baseHref) {
+    try {
+      return new URL(baseHref.trim(), pageUrl).toString();
+    } catch (error) {
+      // Ignore an invalid <base> and resolve against the page URL
+    }
+  }
+  return pageUrl;
+}
+
+/**
+ * Resolve a URL against a base, leaving it alone if it can't be resolved
+ * @param {string} url - The URL as written in the page
+ * @param {string} baseUrl - The URL to resolve against
+ * @returns {string} - The absolute URL
+ */
+function resolveUrl(url, baseUrl) {
+  const value = url.trim();
+  if (!value || /^(data|javascript):/i.test(value)) return value;
+
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Split a srcset attribute into its image candidates
+ * @param {string} srcset - e.g. "small.jpg 480w, large.jpg 1080w"
+ * @returns {Object[]} - Candidates as { url, descriptor }, where descriptor is e.g. "480w", "2x" or ""
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  let rest = (srcset || "").trim();
+
+  while (rest) {
+    // A URL runs to the next whitespace; trailing commas end a candidate without a descriptor
+    const url = rest.match(/^\S+/)[0];
+    rest = rest.slice(url.length);
+    if (/,$/.test(url)) {
+      candidates.push({ url: url.replace(/,+$/, ""), descriptor: "" });
+    } else {
+      const [match, descriptor] = rest.match(/^([^,]*)(,|$)/);
+      rest = rest.slice(match.length);
+      candidates.push({ url, descriptor: descriptor.trim() });
+    }
+    rest = rest.trimStart();
+  }
+
+  return candidates.filter((candidate) => candidate.url);
+}
+
+/**
+ * Pick the largest image from a srcset (widest "w", else densest "x")
+ * @param {string} srcset - The srcset attribute
+ * @returns {string|null} - The candidate's URL, or null for an empty srcset
+ */
+function pickSrcsetUrl(srcset) {
+  const size = ({ descriptor }) => {
+    const match = /^([\d.]+)([wx])$/i.exec(descriptor);
+    if (!match) return [0, 1];
+    return match[2].toLowerCase() === "w" ? [1, Number(match[1])] : [0, Number(match[1])];
+  };
+
+  const [best] = parseSrcset(srcset).sort((a, b) => {
+    const [unitA, valueA] = size(a);
+    const [unitB, valueB] = size(b);
+    return unitB - unitA || valueB - valueA;
+  });
+  return best ? best.url : null;
+}
+
+/**
+ * Rewrite the link and image URLs in HTML to absolute URLs
+ *
+ * Covers href on <a> and <area>, and src and srcset on <img> and
+ * <source>. Same-page #anchors can be kept as they are.
+ *
+ * @param {Object} $ - Cheerio instance of the HTML (changed in place)
+ * @param {string} baseUrl - URL to resolve against (see getBaseUrl)
+ * @param {Object} [options] - Rewrite options
+ * @param {boolean} [options.keepAnchors=false] - Leave "#section" links as local links
+ * @returns {Object} - The same Cheerio instance
+ */
+function resolveHtmlUrls($, baseUrl, options = {}) {
+  $("a[href], area[href]").each(function () {
+    const href = $(this).attr("href");
+    if (options.keepAnchors && href.trim().startsWith("#")) return;
+    $(this).attr("href", resolveUrl(href, baseUrl));
+  });
+
+  $("img[src], source[src]").each(function () {
+    $(this).attr("src", resolveUrl($(this).attr("src"), baseUrl));
+  });
+
+  $("img[srcset], source[srcset]").each(function () {
+    const srcset = parseSrcset($(this).attr("srcset"))
+      .map(({ url, descriptor }) =>
+        [resolveUrl(url, baseUrl), descriptor].filter(Boolean).join(" ")
+      )
+      .join(", ");
+    $(this).attr("srcset", srcset);
+  });
+
+  return $;
+}
+
+/**
+ * Extract absolute URLs from the <a href> links in an HTML page
+ * @param {string} html - The HTML content
+ * @param {string} pageUrl - The URL of the page (used to resolve relative links)
+ * @returns {string[]} - Absolute URLs in document order (not deduplicated)
+ */
+function extractLinks(html, pageUrl) {
+  if (!html) return [];
+
+  const $ = cheerio.load(html);
+  const baseUrl = getBaseUrl($, pageUrl);
+
+  const links = [];
+  $("a[href]").each(function () {
+    const href = ($(this).attr("href") || "").trim();
+    if (!href || href.startsWith("#")) return;
+
+    try {
+      links.push(new URL(href, baseUrl).toString());
+    } catch (error) {
+      // Skip hrefs that can't be resolved
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Classify a link by where it points
+ * @param {string} url - The absolute link URL
+ * @param {string} pageUrl - The URL of the page holding the link
+ * @returns {string} - "anchor", "mailto", "tel", "document", "internal" or "external"
+ */
+function classifyLink(url, pageUrl) {
+  let target;
+  let page;
+  try {
+    target = new URL(url);
+    page = new URL(pageUrl);
+  } catch (error) {
+    return "external";
+  }
+
+  if (target.protocol === "mailto:") return "mailto";
+  if (target.protocol === "tel:") return "tel";
+  if (target.protocol !== "http:" && target.protocol !== "https:") return "external";
+
+  const withoutHash = (urlObj) => urlObj.href.replace(/#.*$/, "");
+  if (target.hash && withoutHash(target) === withoutHash(page)) return "anchor";
+  if (DOCUMENT_EXTENSIONS.test(target.pathname)) return "document";
+
+  // www.example.org and example.org are the same site
+  const site = (urlObj) => urlObj.hostname.replace(/^www\./, "");
+  return site(target) === site(page) ? "internal" : "external";
+}
+
+/**
+ * List every hyperlink in an HTML page with its text, rel and type
+ *
+ * When the page's extracted content is given, each link records
+ * whether it is part of that content or of the page around it
+ * (menus, footers, sidebars).
+ *
+ * @param {string} html - The full HTML page
+ * @param {string} pageUrl - The URL of the page (after redirects)
+ * @param {string} [contentHtml] - The page's extracted content
+ * @returns {Object[]} - Links in document order as { url, text, rel, type, inContent }
+ */
+function getLinkInventory(html, pageUrl, contentHtml) {
+  if (!html) return [];
+
+  const $page = cheerio.load(html);
+  const baseUrl = getBaseUrl($page, pageUrl);
+
+  const readLinks = ($) =>
+    $("a[href], area[href]")
+      .toArray()
+      .map((element) => {
+        const $link = $(element);
+        const href = $link.attr("href").trim();
+        if (!href || /^javascript:/i.test(href)) return null;
+
+        const url = resolveUrl(href, baseUrl);
+        const text =
+          $link.text().replace(/\s+/g, " ").trim() ||
+          $link.attr("aria-label") ||
+          $link.find("img[alt]").attr("alt") ||
+          $link.attr("title") ||
+          $link.attr("alt") ||
+          "";
+        const rel = ($link.attr("rel") || "").toLowerCase().split(/\s+/).filter(Boolean);
+
+        return { url, text: text.trim(), rel, type: classifyLink(url, pageUrl) };
+      })
+      .filter(Boolean);
+
+  // The content's links appear in the page in the same order, so they are
+  // matched in sequence
+  const key = (link) => `${link.url} ${link.text}`;
+  const contentKeys = contentHtml
+    ? readLinks(cheerio.load(contentHtml)).map(key)
+    : [];
+  let next = 0;
+
+  return readLinks($page).map((link) => {
+    const matched = next < contentKeys.length && key(link) === contentKeys[next];
+    if (matched) next++;
+    return { ...link, inContent: matched };
+  });
+}
+
+/**
+ * Convert a string or RegExp (or an array of them) into an array of RegExps
+ * @param {string|RegExp|Array<string|RegExp>} patterns - The patterns
+ * @returns {RegExp[]} - The compiled patterns
+ */
+function toPatternList(patterns) {
+  if (!patterns) return [];
+  return (Array.isArray(patterns) ? patterns : [patterns]).map((pattern) =>
+    pattern instanceof RegExp ? pattern : new RegExp(pattern)
+  );
+}
+
+/**
+ * Check whether a path passes include/exclude patterns
+ * @param {string} routePath - The path (and query) to check
+ * @param {Object} [filters] - Path filters
+ * @param {string|RegExp|Array<string|RegExp>} [filters.include] - Path must match at least one
+ * @param {string|RegExp|Array<string|RegExp>} [filters.exclude] - Path must match none
+ * @returns {boolean} - True if the path should be kept
+ */
+function matchesPathPatterns(routePath, filters = {}) {
+  const include = toPatternList(filters.include);
+  const exclude = toPatternList(filters.exclude);
+
+  if (include.length && !include.some((pattern) => pattern.test(routePath))) {
+    return false;
+  }
+
+  return !exclude.some((pattern) => pattern.test(routePath));
+}
+
+/**
+ * Check whether a URL points at a file type that isn't page content
+ * @param {string} url - The URL to check
+ * @returns {boolean} - True if the URL should not be crawled
+ */
+function isSkippedResource(url) {
+  try {
+    return SKIPPED_EXTENSIONS.test(new URL(url).pathname);
+  } catch (error) {
+    return true;
+  }
+}
+
+module.exports = {
+  normalizeUrl,
+  getBaseUrl,
+  resolveUrl,
+  parseSrcset,
+  pickSrcsetUrl,
+  resolveHtmlUrls,
+  extractLinks,
+  classifyLink,
+  getLinkInventory,
+  matchesPathPatterns,
+  isSkippedResource,
+};